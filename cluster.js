@@ -0,0 +1,24 @@
+// ============================================
+// CLUSTER ENTRY POINT
+// ============================================
+//
+// Runs the chat server in several processes, one per CPU core by default:
+//
+//   node cluster.js              (or: npm run start:cluster)
+//   WORKERS=4 node cluster.js
+//
+// All workers listen on the same PORT; every other setting (DATA_DIR, ...)
+// is passed on to them unchanged. See lib/cluster.js and lib/adapters.js.
+
+const os = require('os');      // Counts the CPU cores
+const path = require('path');  // Finds server.js
+
+const { startPrimary } = require('./lib/cluster');
+
+// How many worker processes to run
+const WORKERS = parseInt(process.env.WORKERS, 10) || os.cpus().length;
+
+startPrimary({
+  exec: path.join(__dirname, 'server.js'),
+  workers: WORKERS
+});
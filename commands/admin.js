@@ -0,0 +1,23 @@
+// /admin <secret> - become an admin (the secret is the server's ADMIN_SECRET)
+
+module.exports = {
+  name: 'admin',
+  usage: '/admin <secret>',
+  description: 'Become an admin for this session',
+  roomOnly: false,
+  secretArgs: true, // Keep the secret out of the server log
+
+  run(context) {
+    if (context.chat.isAdmin(context.ws)) {
+      context.reply('You are already an admin');
+      return;
+    }
+
+    if (!context.chat.grantAdmin(context.ws, context.args)) {
+      context.fail('not-allowed', 'Wrong admin secret');
+      return;
+    }
+
+    context.reply('You are now an admin. Type /help to see the moderation commands.');
+  }
+};
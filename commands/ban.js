@@ -0,0 +1,32 @@
+// /ban <user or IP> [duration] [reason] - keep a user or an address out for a while
+// Durations look like 30m, 12h or 7d (default: 1 day)
+
+const { parseDuration } = require('../lib/moderation');
+
+module.exports = {
+  name: 'ban',
+  usage: '/ban <user or IP> [duration, e.g. 12h] [reason]',
+  description: 'Disconnect a user or IP address and keep them out',
+  roomOnly: false,
+  adminOnly: true,
+
+  run(context) {
+    const parts = context.args.split(/\s+/);
+    if (!parts[0]) {
+      context.fail('invalid-command', `Usage: ${this.usage}`);
+      return;
+    }
+
+    // The duration is optional, so the second word may already be the reason
+    const duration = parseDuration(parts[1]);
+    const reason = parts.slice(duration ? 2 : 1).join(' ');
+
+    const error = context.chat.ban(parts[0], duration, context.username, reason);
+    if (error) {
+      context.fail(error.code, error.text);
+      return;
+    }
+
+    context.reply(`Banned ${parts[0]}`);
+  }
+};
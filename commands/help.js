@@ -0,0 +1,18 @@
+// /help - list the registered commands (only you see the answer)
+// Admin commands are only listed for admins
+
+module.exports = {
+  name: 'help',
+  usage: '/help',
+  description: 'List the available commands',
+  roomOnly: false,
+
+  run(context) {
+    const isAdmin = context.chat.isAdmin(context.ws);
+    const lines = context.chat.listCommands()
+      .filter((command) => isAdmin || !command.adminOnly)
+      .map((command) => `${command.usage} - ${command.description}`);
+
+    context.reply(['Commands:'].concat(lines).join('\n'));
+  }
+};
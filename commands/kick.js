@@ -0,0 +1,22 @@
+// /kick <user> [reason] - disconnect a user (they can come back)
+
+module.exports = {
+  name: 'kick',
+  usage: '/kick <user> [reason]',
+  description: 'Disconnect a user',
+  roomOnly: false,
+  adminOnly: true,
+
+  run(context) {
+    const parts = context.args.split(/\s+/);
+    if (!parts[0]) {
+      context.fail('invalid-command', `Usage: ${this.usage}`);
+      return;
+    }
+
+    const error = context.chat.kickUser(parts[0], context.username, parts.slice(1).join(' '));
+    if (error) {
+      context.fail(error.code, error.text);
+    }
+  }
+};
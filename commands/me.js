@@ -0,0 +1,21 @@
+// /me <action> - send an action line, shown as "Alice waves"
+
+module.exports = {
+  name: 'me',
+  usage: '/me <action>',
+  description: 'Describe what you are doing ("/me waves" shows "Alice waves")',
+  roomOnly: true,
+
+  run(context) {
+    if (!context.args) {
+      context.fail('invalid-command', `Usage: ${this.usage}`);
+      return;
+    }
+
+    context.chat.postChatMessage(context.ws, {
+      room: context.room,
+      text: context.args,
+      action: true
+    });
+  }
+};
@@ -0,0 +1,32 @@
+// /mute <user> [duration] [reason] - stop a user from sending messages for a while
+// Durations look like 30m, 12h or 7d (default: 10 minutes)
+
+const { parseDuration } = require('../lib/moderation');
+
+module.exports = {
+  name: 'mute',
+  usage: '/mute <user> [duration, e.g. 30m] [reason]',
+  description: 'Stop a user from sending messages and reactions',
+  roomOnly: false,
+  adminOnly: true,
+
+  run(context) {
+    const parts = context.args.split(/\s+/);
+    if (!parts[0]) {
+      context.fail('invalid-command', `Usage: ${this.usage}`);
+      return;
+    }
+
+    // The duration is optional, so the second word may already be the reason
+    const duration = parseDuration(parts[1]);
+    const reason = parts.slice(duration ? 2 : 1).join(' ');
+
+    const error = context.chat.muteUser(parts[0], duration, context.username, reason);
+    if (error) {
+      context.fail(error.code, error.text);
+      return;
+    }
+
+    context.reply(`Muted ${parts[0]}`);
+  }
+};
@@ -0,0 +1,21 @@
+// /nick <new name> - change your username
+// The server checks the name like a 'hello' handshake and tells everyone in your rooms
+
+module.exports = {
+  name: 'nick',
+  usage: '/nick <new name>',
+  description: 'Change your username',
+  roomOnly: false,
+
+  run(context) {
+    if (!context.args) {
+      context.fail('invalid-command', `Usage: ${this.usage}`);
+      return;
+    }
+
+    const error = context.chat.renameUser(context.ws, context.args);
+    if (error) {
+      context.fail(error.code, error.text);
+    }
+  }
+};
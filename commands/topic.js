@@ -0,0 +1,21 @@
+// /topic [text] - show the room's topic, or set a new one
+
+module.exports = {
+  name: 'topic',
+  usage: '/topic [new topic]',
+  description: 'Show the topic of this room, or change it',
+  roomOnly: true,
+
+  run(context) {
+    if (!context.args) {
+      const topic = context.chat.getTopic(context.room);
+      context.reply(topic ? `Topic of #${context.room}: ${topic}` : `#${context.room} has no topic`);
+      return;
+    }
+
+    const error = context.chat.setTopic(context.room, context.args, context.username);
+    if (error) {
+      context.fail(error.code, error.text);
+    }
+  }
+};
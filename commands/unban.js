@@ -0,0 +1,24 @@
+// /unban <user or IP> - lift a ban
+
+module.exports = {
+  name: 'unban',
+  usage: '/unban <user or IP>',
+  description: 'Lift a ban',
+  roomOnly: false,
+  adminOnly: true,
+
+  run(context) {
+    if (!context.args) {
+      context.fail('invalid-command', `Usage: ${this.usage}`);
+      return;
+    }
+
+    const error = context.chat.unban(context.args, context.username);
+    if (error) {
+      context.fail(error.code, error.text);
+      return;
+    }
+
+    context.reply(`Unbanned ${context.args}`);
+  }
+};
@@ -0,0 +1,24 @@
+// /unmute <user> - let a muted user talk again
+
+module.exports = {
+  name: 'unmute',
+  usage: '/unmute <user>',
+  description: 'Let a muted user talk again',
+  roomOnly: false,
+  adminOnly: true,
+
+  run(context) {
+    if (!context.args) {
+      context.fail('invalid-command', `Usage: ${this.usage}`);
+      return;
+    }
+
+    const error = context.chat.unmuteUser(context.args, context.username);
+    if (error) {
+      context.fail(error.code, error.text);
+      return;
+    }
+
+    context.reply(`Unmuted ${context.args}`);
+  }
+};
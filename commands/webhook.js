@@ -0,0 +1,67 @@
+// /webhook - connect other systems to the chat (see lib/webhooks.js)
+//   /webhook add <url> [room]        - POST new chat messages to a URL
+//   /webhook incoming <bot> [room]   - make a URL other systems can post to
+//   /webhook list                    - show all webhooks
+//   /webhook remove <id>             - remove a webhook
+// Secrets and tokens are only answered to the admin, and shown only once
+
+module.exports = {
+  name: 'webhook',
+  usage: '/webhook add <url> [room] | incoming <bot name> [room] | list | remove <id>',
+  description: 'Send chat messages to other systems, or let them post here',
+  roomOnly: false,
+  adminOnly: true,
+
+  run(context) {
+    const parts = context.args.split(/\s+/);
+    const action = parts[0];
+
+    if (action === 'add' && parts[1]) {
+      const result = context.chat.addWebhook(parts[1], parts[2] || null, context.username);
+      if (result.error) {
+        context.fail(result.error.code, result.error.text);
+        return;
+      }
+
+      context.reply(`Added webhook ${result.hook.id}: ${result.hook.room ? `#${result.hook.room}` : 'all rooms'} → ${result.hook.url}. ` +
+        `Signing secret (shown only now): ${result.hook.secret}`);
+      return;
+    }
+
+    if (action === 'incoming' && parts[1]) {
+      // Without a room, the bot posts where the command was typed
+      const room = parts[2] || context.room || 'general';
+      const result = context.chat.addIncomingWebhook(parts[1], room, context.username);
+      if (result.error) {
+        context.fail(result.error.code, result.error.text);
+        return;
+      }
+
+      context.reply(`Added incoming webhook ${result.hook.id}: ${result.hook.name} posts to #${result.hook.room} with ` +
+        `POST /hooks/${result.token} (shown only now)`);
+      return;
+    }
+
+    if (action === 'list') {
+      const hooks = context.chat.listWebhooks();
+      const lines = hooks.outgoing.map((hook) => `${hook.id}: ${hook.room ? `#${hook.room}` : 'all rooms'} → ${hook.url}`)
+        .concat(hooks.incoming.map((hook) => `${hook.id}: ${hook.name} → #${hook.room} (incoming)`));
+
+      context.reply(lines.length > 0 ? `Webhooks:\n${lines.join('\n')}` : 'There are no webhooks');
+      return;
+    }
+
+    if (action === 'remove' && parts[1]) {
+      const error = context.chat.removeWebhook(parts[1], context.username);
+      if (error) {
+        context.fail(error.code, error.text);
+        return;
+      }
+
+      context.reply(`Removed webhook ${parts[1]}`);
+      return;
+    }
+
+    context.fail('invalid-command', `Usage: ${this.usage}`);
+  }
+};
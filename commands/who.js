@@ -0,0 +1,16 @@
+// /who - list everyone who is online (only you see the answer)
+
+module.exports = {
+  name: 'who',
+  usage: '/who',
+  description: 'List the users who are online',
+  roomOnly: false,
+
+  run(context) {
+    const labels = { online: '', away: ' (away)', dnd: ' (do not disturb)' };
+    const users = context.chat.getOnlineUsers()
+      .map((user) => user.username + labels[user.status]);
+
+    context.reply(`Online (${users.length}): ${users.join(', ')}`);
+  }
+};
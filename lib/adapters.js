@@ -0,0 +1,99 @@
+// ============================================
+// ADAPTERS (ONE PROCESS OR SEVERAL)
+// ============================================
+//
+// Every server process keeps its own WebSocket connections in memory. When
+// several processes share the work (see cluster.js), what happens in one of
+// them - a message to a room, a user coming online, an edit - must reach the
+// others. server.js does that through an adapter:
+//
+//   adapter.slot, adapter.slots   - This process's number (0, 1, ...) and how many
+//                                   there are (used to give out unique message ids)
+//   adapter.publish(event)        - Send an event to the other processes (never to this one)
+//   adapter.onEvent(handler)      - handler(event) runs for every event another process published
+//   adapter.setPresence(users)    - Share this process's online users:
+//                                   [{ username, status, text, rooms: [room names] }]
+//   adapter.getRemoteUsers()      - The online users of all other processes (same format)
+//
+// Events are plain JSON objects with a 'type' (see the CLUSTER section of server.js).
+//
+// Two adapters are included:
+// - createMemoryAdapter(): a single process, nothing to share (the default)
+// - createClusterAdapter(): a worker of a Node cluster; events and presence go
+//   through the primary process over IPC (see lib/cluster.js)
+
+/**
+ * Create the adapter for a server that runs as a single process
+ * @returns {object} The adapter ({ slot, slots, publish, onEvent, setPresence, getRemoteUsers })
+ */
+function createMemoryAdapter() {
+  return {
+    slot: 0,
+    slots: 1,
+    publish() {},
+    onEvent() {},
+    setPresence() {},
+    getRemoteUsers: () => []
+  };
+}
+
+/**
+ * Create the adapter for a worker started by the cluster primary (lib/cluster.js)
+ * The primary gives every worker its slot in the CLUSTER_SLOT and CLUSTER_SLOTS
+ * environment variables, and relays the messages between the workers
+ *
+ * @returns {object} The adapter ({ slot, slots, publish, onEvent, setPresence, getRemoteUsers })
+ */
+function createClusterAdapter() {
+  // Online users of the other workers, as last sent by the primary
+  let remoteUsers = [];
+
+  // Called for every event of another worker
+  let eventHandler = () => {};
+
+  // Messages from the primary: { chat: 'event', event } or { chat: 'presence', users }
+  // (Node's own cluster messages don't have a 'chat' field)
+  process.on('message', (message) => {
+    if (!message || typeof message !== 'object') {
+      return;
+    }
+
+    if (message.chat === 'presence') {
+      remoteUsers = message.users;
+    } else if (message.chat === 'event') {
+      try {
+        eventHandler(message.event);
+      } catch (error) {
+        console.error(`[Cluster] Could not handle a ${message.event.type} event:`, error.message);
+      }
+    }
+  });
+
+  // Without the primary we can't reach the other workers any more: stop, so
+  // our users reconnect to a cluster that works
+  process.on('disconnect', () => {
+    console.error('[Cluster] Lost the primary process');
+    process.exit(1);
+  });
+
+  /**
+   * Send a message to the primary, unless it is gone (e.g. while shutting down)
+   * @param {object} message - { chat, ... }
+   */
+  function sendToPrimary(message) {
+    if (process.connected) {
+      process.send(message);
+    }
+  }
+
+  return {
+    slot: parseInt(process.env.CLUSTER_SLOT, 10) || 0,
+    slots: parseInt(process.env.CLUSTER_SLOTS, 10) || 1,
+    publish: (event) => sendToPrimary({ chat: 'event', event: event }),
+    onEvent: (handler) => { eventHandler = handler; },
+    setPresence: (users) => sendToPrimary({ chat: 'presence', users: users }),
+    getRemoteUsers: () => remoteUsers
+  };
+}
+
+module.exports = { createMemoryAdapter, createClusterAdapter };
@@ -0,0 +1,300 @@
+// ============================================
+// BACKPRESSURE (SLOW CLIENTS)
+// ============================================
+//
+// ws.send() never refuses a frame: when a client reads slower than we write
+// (a phone on a bad network), the frames pile up in the server's memory.
+// Every frame sent to a client goes through here instead, which watches how
+// much data is still waiting to go out on the connection (ws.bufferedAmount):
+//
+// - Below the high watermark, frames are sent right away.
+// - Above it, the connection is "congested": frames wait in a queue of their
+//   own, and are sent once the waiting data has fallen below the low watermark.
+// - While congested, frames that only show a passing state are not queued one
+//   by one: typing indicators are dropped (browsers hide them after a few
+//   seconds anyway), and presence changes, room lists and read receipts are
+//   merged into the one already waiting.
+// - A congested connection whose queue doesn't move for too long, or grows past
+//   its limit, is disconnected. The browser reconnects and fetches what it missed.
+//
+// getStats() counts the dropped and merged frames and the disconnects (shown
+// by GET /health).
+
+// Frames a congested connection doesn't get at all
+const DROPPED_TYPES = ['typing'];
+
+// How often congested connections are checked (drained, or disconnected when too slow)
+const CHECK_INTERVAL = 1000; // 1 second
+
+/**
+ * Get the key under which a frame is merged with a waiting one
+ * @param {object} message - The frame
+ * @returns {string|null} The key, or null if the frame must be sent as it is
+ */
+function getMergeKey(message) {
+  if (message.type === 'presence' || message.type === 'read-receipts') {
+    return `${message.type}:${message.room}`;
+  }
+  if (message.type === 'room-list') {
+    return 'room-list';
+  }
+  return null;
+}
+
+/**
+ * Merge a frame into the waiting frame with the same key (see getMergeKey())
+ * Both frames may be shared with other connections, so neither is changed
+ *
+ * @param {object} waiting - The frame already in the queue
+ * @param {object} next - The newer frame
+ * @returns {object} One frame with the effect of both
+ */
+function mergeFrames(waiting, next) {
+  if (next.type === 'presence') {
+    // Roster diffs: the newer change of each user wins
+    const updated = new Map(waiting.updated.map((member) => [member.username, member]));
+    const removed = new Set(waiting.removed);
+
+    next.removed.forEach((username) => {
+      updated.delete(username);
+      removed.add(username);
+    });
+    next.updated.forEach((member) => {
+      removed.delete(member.username);
+      updated.set(member.username, member);
+    });
+
+    return Object.assign({}, next, { updated: Array.from(updated.values()), removed: Array.from(removed) });
+  }
+
+  if (next.type === 'read-receipts') {
+    // "Seen by" lists: the newer list of each message wins
+    const receipts = new Map(waiting.messages.map((receipt) => [receipt.id, receipt]));
+    next.messages.forEach((receipt) => receipts.set(receipt.id, receipt));
+
+    return Object.assign({}, next, {
+      messages: Array.from(receipts.values()).sort((a, b) => a.id - b.id)
+    });
+  }
+
+  // Room lists are complete, the newest one replaces the older
+  return next;
+}
+
+/**
+ * Create the send queues
+ *
+ * @param {object} options
+ * @param {number} options.highWatermark - Bytes waiting on a connection above which it is congested
+ * @param {number} options.lowWatermark - Bytes waiting below which its queue is sent
+ * @param {number} options.maxQueueBytes - Queued bytes after which a congested connection is dropped
+ * @param {number} options.slowClientTimeout - Milliseconds a congested connection may go without sending any of its queue
+ * @returns {object} The queues ({ send, forget, getStats, stop })
+ */
+function createSendQueues(options) {
+  // The congested connections and their queues
+  // Format: Map<WebSocket, { queue: Array<{ message, data, bytes, key }>, queuedBytes,
+  //   waiting: Map<string (merge key), entry>, stalledSince }>
+  const congested = new Map();
+
+  // Counters since the server started
+  const counters = { droppedFrames: 0, mergedFrames: 0, slowDisconnects: 0 };
+
+  // Checks congested connections while there are any
+  let checkTimer = null;
+
+  /**
+   * Write a frame to the connection, and send more of the queue once it is out
+   * @param {WebSocket} ws - The connection
+   * @param {string} data - The JSON frame
+   */
+  function write(ws, data) {
+    ws.send(data, (error) => {
+      const state = congested.get(ws);
+      if (!error && state && ws.bufferedAmount <= options.lowWatermark) {
+        drain(ws, state);
+      }
+    });
+  }
+
+  /**
+   * Send a frame to a client, or queue it if the connection is congested
+   *
+   * @param {WebSocket} ws - The connection (must be open)
+   * @param {object} message - The frame (after the middleware)
+   * @param {string} data - The same frame as JSON
+   */
+  function send(ws, message, data) {
+    let state = congested.get(ws);
+
+    if (!state) {
+      if (ws.bufferedAmount < options.highWatermark) {
+        write(ws, data);
+        return;
+      }
+
+      state = { queue: [], queuedBytes: 0, waiting: new Map(), stalledSince: Date.now() };
+      congested.set(ws, state);
+      startChecking();
+    }
+
+    enqueue(ws, state, message, data);
+  }
+
+  /**
+   * Add a frame to the queue of a congested connection (or drop or merge it)
+   *
+   * @param {WebSocket} ws - The connection
+   * @param {object} state - Its queue
+   * @param {object} message - The frame
+   * @param {string} data - The same frame as JSON
+   */
+  function enqueue(ws, state, message, data) {
+    if (DROPPED_TYPES.includes(message.type)) {
+      counters.droppedFrames++;
+      return;
+    }
+
+    const key = getMergeKey(message);
+    const waiting = key ? state.waiting.get(key) : null;
+
+    if (waiting) {
+      waiting.message = mergeFrames(waiting.message, message);
+      waiting.data = JSON.stringify(waiting.message);
+
+      const bytes = Buffer.byteLength(waiting.data);
+      state.queuedBytes += bytes - waiting.bytes;
+      waiting.bytes = bytes;
+      counters.mergedFrames++;
+    } else {
+      const entry = { message: message, data: data, bytes: Buffer.byteLength(data), key: key };
+      state.queue.push(entry);
+      state.queuedBytes += entry.bytes;
+      if (key) {
+        state.waiting.set(key, entry);
+      }
+    }
+
+    if (state.queuedBytes > options.maxQueueBytes) {
+      disconnect(ws, `${state.queuedBytes} bytes queued`);
+    }
+  }
+
+  /**
+   * Send queued frames until the connection is congested again (or the queue is empty)
+   * @param {WebSocket} ws - The connection
+   * @param {object} state - Its queue
+   */
+  function drain(ws, state) {
+    const queued = state.queue.length;
+
+    while (state.queue.length > 0 && ws.bufferedAmount < options.highWatermark) {
+      const entry = state.queue.shift();
+      state.queuedBytes -= entry.bytes;
+      if (entry.key) {
+        state.waiting.delete(entry.key);
+      }
+
+      try {
+        write(ws, entry.data);
+      } catch (error) {
+        console.error('[Backpressure] Error sending to client:', error.message);
+      }
+    }
+
+    // Everything is out: the connection is back to normal
+    if (state.queue.length === 0) {
+      congested.delete(ws);
+    }
+
+    // A slow connection that keeps reading is no reason to disconnect (see checkCongested())
+    if (state.queue.length < queued) {
+      state.stalledSince = Date.now();
+    }
+  }
+
+  /**
+   * Drop a connection that can't keep up
+   * Its 'close' event then removes it like any other disconnect
+   *
+   * @param {WebSocket} ws - The connection
+   * @param {string} why - For the log
+   */
+  function disconnect(ws, why) {
+    congested.delete(ws);
+    counters.slowDisconnects++;
+    console.warn(`[Backpressure] Disconnecting a client that can't keep up (${why})`);
+
+    // terminate(): a closing handshake would wait behind everything still buffered
+    ws.terminate();
+  }
+
+  /**
+   * Send the queues of connections that caught up, and drop the ones whose queue didn't move for too long
+   * (a backup for the write callbacks, which only come while something is being written)
+   */
+  function checkCongested() {
+    congested.forEach((state, ws) => {
+      if (ws.readyState !== ws.OPEN) {
+        congested.delete(ws);
+      } else if (ws.bufferedAmount <= options.lowWatermark) {
+        drain(ws, state);
+      } else if (Date.now() - state.stalledSince > options.slowClientTimeout) {
+        disconnect(ws, `nothing sent for ${Math.round((Date.now() - state.stalledSince) / 1000)}s`);
+      }
+    });
+
+    if (congested.size === 0) {
+      clearInterval(checkTimer);
+      checkTimer = null;
+    }
+  }
+
+  /**
+   * Start checking congested connections (if not already)
+   */
+  function startChecking() {
+    if (!checkTimer) {
+      checkTimer = setInterval(checkCongested, CHECK_INTERVAL);
+    }
+  }
+
+  /**
+   * Forget a connection that closed (its queue is dropped)
+   * @param {WebSocket} ws - The connection
+   */
+  function forget(ws) {
+    congested.delete(ws);
+  }
+
+  /**
+   * Get the numbers for monitoring
+   * @returns {object} { congestedClients, queuedFrames, queuedBytes, droppedFrames, mergedFrames, slowDisconnects }
+   */
+  function getStats() {
+    let queuedFrames = 0;
+    let queuedBytes = 0;
+    congested.forEach((state) => {
+      queuedFrames += state.queue.length;
+      queuedBytes += state.queuedBytes;
+    });
+
+    return Object.assign({
+      congestedClients: congested.size,
+      queuedFrames: queuedFrames,
+      queuedBytes: queuedBytes
+    }, counters);
+  }
+
+  /**
+   * Stop checking congested connections (when the server stops)
+   */
+  function stop() {
+    clearInterval(checkTimer);
+    checkTimer = null;
+  }
+
+  return { send, forget, getStats, stop };
+}
+
+module.exports = { createSendQueues };
@@ -0,0 +1,188 @@
+// ============================================
+// CLUSTER PRIMARY
+// ============================================
+//
+// Runs server.js in several worker processes that share one port (Node's
+// cluster module hands each new connection to one of them), so the chat can
+// use every CPU core. The primary process serves no clients itself: it
+// relays events between the workers and keeps track of who is online in
+// each of them (see lib/adapters.js for the worker side).
+//
+// Every worker has a slot (0, 1, ...). A worker that crashes is started again
+// in the same slot; its users reconnect by themselves and land on any worker.
+
+const cluster = require('cluster');  // Starts the worker processes
+
+// Wait before restarting a crashed worker, doubled while it keeps crashing
+const RESTART_DELAY = 1000;       // 1 second
+const MAX_RESTART_DELAY = 30000;  // 30 seconds
+
+// A worker that ran this long before it crashed is considered healthy again
+const HEALTHY_UPTIME = 60 * 1000; // 1 minute
+
+/**
+ * Start the workers and relay their messages
+ *
+ * @param {object} options
+ * @param {string} options.exec - The worker script (server.js)
+ * @param {number} options.workers - How many workers to run
+ */
+function startPrimary(options) {
+  cluster.setupPrimary({ exec: options.exec });
+
+  // The running workers, and what we know about each slot
+  // Format: Map<number (slot), { worker, users: Array<object>, startedAt, restartDelay }>
+  const slots = new Map();
+
+  // True once we are shutting down: stopped workers are not restarted
+  let stopping = false;
+
+  /**
+   * Start the worker of a slot
+   * @param {number} slot - The slot number
+   */
+  function startWorker(slot) {
+    const worker = cluster.fork({ CLUSTER_SLOT: String(slot), CLUSTER_SLOTS: String(options.workers) });
+    const previous = slots.get(slot);
+
+    slots.set(slot, {
+      worker: worker,
+      users: [],
+      startedAt: Date.now(),
+      restartDelay: previous ? previous.restartDelay : RESTART_DELAY
+    });
+
+    worker.on('message', (message) => handleWorkerMessage(slot, message));
+
+    // Who is online elsewhere, before its first client arrives
+    worker.send({ chat: 'presence', users: getUsersExcept(slot) });
+    console.log(`[Cluster] Started worker ${slot} (pid ${worker.process.pid})`);
+  }
+
+  /**
+   * Get the online users of every worker but one
+   * @param {number} slot - The worker to leave out
+   * @returns {Array<object>} [{ username, status, text, rooms }]
+   */
+  function getUsersExcept(slot) {
+    const users = [];
+    slots.forEach((entry, otherSlot) => {
+      if (otherSlot !== slot) {
+        users.push(...entry.users);
+      }
+    });
+    return users;
+  }
+
+  /**
+   * Send every worker the online users of the others
+   */
+  function sendPresence() {
+    slots.forEach((entry, slot) => {
+      if (entry.worker.isConnected()) {
+        entry.worker.send({ chat: 'presence', users: getUsersExcept(slot) });
+      }
+    });
+  }
+
+  /**
+   * Pass an event on to every worker but the one it came from
+   * @param {number} fromSlot - The worker that published it
+   * @param {object} event - The event
+   */
+  function relayEvent(fromSlot, event) {
+    slots.forEach((entry, slot) => {
+      if (slot !== fromSlot && entry.worker.isConnected()) {
+        entry.worker.send({ chat: 'event', event: event });
+      }
+    });
+  }
+
+  /**
+   * Handle a message from a worker (see createClusterAdapter() in lib/adapters.js)
+   * @param {number} slot - The worker's slot
+   * @param {object} message - { chat: 'event', event } or { chat: 'presence', users }
+   */
+  function handleWorkerMessage(slot, message) {
+    if (!message || typeof message !== 'object') {
+      return;
+    }
+
+    if (message.chat === 'event') {
+      relayEvent(slot, message.event);
+    } else if (message.chat === 'presence') {
+      slots.get(slot).users = message.users;
+      sendPresence();
+    }
+  }
+
+  cluster.on('exit', (worker, code, signal) => {
+    const slot = Array.from(slots.keys()).find((key) => slots.get(key).worker === worker);
+    if (slot === undefined) {
+      return;
+    }
+
+    const entry = slots.get(slot);
+    const goneUsers = entry.users;
+    entry.users = [];
+
+    if (stopping) {
+      slots.delete(slot);
+      if (slots.size === 0) {
+        console.log('[Cluster] All workers stopped');
+        process.exit(0);
+      }
+      return;
+    }
+
+    console.error(`[Cluster] Worker ${slot} died (${signal || `exit code ${code}`})`);
+
+    // The users of the dead worker never said goodbye: every other worker
+    // forgets what it knew about them, and one of them (the announcer) tells
+    // their rooms - after everyone knows they are offline
+    sendPresence();
+    const announcer = Array.from(slots.keys()).find((other) => other !== slot && slots.get(other).worker.isConnected());
+    relayEvent(slot, { type: 'process-gone', slot: slot, users: goneUsers, announcer: announcer });
+
+    // A worker that keeps crashing right after starting is restarted less and less often
+    const crashedEarly = Date.now() - entry.startedAt < HEALTHY_UPTIME;
+    const delay = crashedEarly ? entry.restartDelay : RESTART_DELAY;
+    entry.restartDelay = Math.min(delay * 2, MAX_RESTART_DELAY);
+
+    console.log(`[Cluster] Restarting worker ${slot} in ${delay}ms`);
+    setTimeout(() => {
+      if (!stopping) {
+        startWorker(slot);
+      }
+    }, delay);
+  });
+
+  // Ctrl+C: let every worker shut down gracefully (see the end of server.js)
+  process.on('SIGINT', () => {
+    if (stopping) {
+      return;
+    }
+
+    stopping = true;
+    console.log('\n[Cluster] Stopping the workers...');
+
+    // Workers waiting to be restarted are simply not started again
+    slots.forEach((entry, slot) => {
+      if (entry.worker.isDead()) {
+        slots.delete(slot);
+      } else {
+        entry.worker.process.kill('SIGINT');
+      }
+    });
+
+    if (slots.size === 0) {
+      process.exit(0);
+    }
+  });
+
+  for (let slot = 0; slot < options.workers; slot++) {
+    startWorker(slot);
+  }
+}
+
+module.exports = { startPrimary };
@@ -0,0 +1,104 @@
+// ============================================
+// SLASH COMMANDS
+// ============================================
+//
+// Chat text starting with "/" (e.g. "/nick Bob") is a command for the server
+// instead of a message for the room. Each command is a small module that is
+// registered here by name:
+//
+//   module.exports = {
+//     name: 'hello',                     // Typed as "/hello"
+//     usage: '/hello [name]',            // Shown by /help
+//     description: 'Say hello',          // Shown by /help
+//     roomOnly: false,                   // True if it can't be used in direct messages
+//     adminOnly: false,                  // True if only admins may use it
+//     secretArgs: false,                 // True if the arguments must not be logged
+//     run(context) { context.reply('Hi!'); }
+//   };
+//
+// The server passes every command a context with the caller, the arguments
+// and helper functions (see runCommand() in server.js).
+//
+// Text starting with "//" is not a command: it is sent as a normal message
+// with the first "/" removed (so "//shrug" shows up as "/shrug").
+
+const fs = require('fs');      // Lists the command modules
+const path = require('path');  // Builds the command module paths
+
+// Command names: lowercase letters, numbers and dashes
+const COMMAND_NAME_PATTERN = /^[a-z][a-z0-9-]{0,19}$/;
+
+/**
+ * Create a registry of slash commands
+ * @returns {object} The registry ({ register, loadDirectory, parse, get, list })
+ */
+function createCommandRegistry() {
+  // Format: Map<string (name), object (command module)>
+  const commands = new Map();
+
+  /**
+   * Add a command
+   * @param {object} command - { name, usage, description, roomOnly, adminOnly, secretArgs, run }
+   */
+  function register(command) {
+    if (!command || !COMMAND_NAME_PATTERN.test(command.name) || typeof command.run !== 'function') {
+      throw new Error('A command needs a lowercase name and a run() function');
+    }
+
+    if (commands.has(command.name)) {
+      throw new Error(`The command /${command.name} is already registered`);
+    }
+
+    commands.set(command.name, command);
+  }
+
+  /**
+   * Register every command module (.js file) in a directory
+   * @param {string} directory - Absolute path of the directory
+   */
+  function loadDirectory(directory) {
+    fs.readdirSync(directory)
+      .filter((file) => file.endsWith('.js'))
+      .sort()
+      .forEach((file) => register(require(path.join(directory, file))));
+  }
+
+  /**
+   * Split chat text into a command name and its arguments
+   * @param {string} text - The chat text
+   * @returns {object|null} { name, args } - or null if the text isn't a command
+   */
+  function parse(text) {
+    if (!text.startsWith('/') || text.startsWith('//')) {
+      return null;
+    }
+
+    const match = text.slice(1).match(/^(\S+)\s*([\s\S]*)$/);
+    if (!match) {
+      return null;
+    }
+
+    return { name: match[1].toLowerCase(), args: match[2].trim() };
+  }
+
+  /**
+   * Look up a command by name
+   * @param {string} name - The command name (without "/")
+   * @returns {object|undefined} The command module
+   */
+  function get(name) {
+    return commands.get(name);
+  }
+
+  /**
+   * Get all registered commands
+   * @returns {Array<object>} The command modules, sorted by name
+   */
+  function list() {
+    return Array.from(commands.values()).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  return { register, loadDirectory, parse, get, list };
+}
+
+module.exports = { createCommandRegistry };
@@ -0,0 +1,503 @@
+// ============================================
+// MESSAGE STORE
+// ============================================
+//
+// Keeps the chat history in an append-only JSON-lines file:
+// every chat message is written as one line of JSON at the end of the file.
+// Changes to a message (edits, deletes, reactions) are written as extra lines that refer
+// to the message id - the file itself is never rewritten. So is a user's change of name:
+// their earlier messages then belong to the new name (message.owner), not the old one.
+// Messages that aren't saved (direct messages) leave a line with just their id,
+// so ids never repeat.
+//
+// The file is read once at startup so recent messages can be sent to users
+// when they join a room. Only the newest messages of each room are kept in memory.
+//
+// A reconnecting user asks for the messages after the last one it saw
+// (getSince()), and for the older ones that changed meanwhile (getChangedSince()).
+// Changes are dated with message ids too: the id of the newest message at the time.
+//
+// When several server processes share the file (see cluster.js), each one
+// appends its own lines and passes them to the others (options.onRecord and
+// applyRemote()). Their ids never collide: with 3 processes, process 0 gives
+// out 3, 6, 9..., process 1 gives out 4, 7, 10..., and so on.
+
+const fs = require('fs');      // Reads and appends to the history file
+const path = require('path');  // Builds the history file path
+
+// Lines that change an earlier message (every other line is a new message)
+const CHANGE_TYPES = ['message-edited', 'message-deleted', 'reaction-added', 'reaction-removed'];
+
+/**
+ * Create a message store backed by a JSON-lines file
+ *
+ * @param {object} options
+ * @param {string} options.dataDir - Directory holding the history file (created if missing)
+ * @param {number} [options.maxMessagesPerRoom=1000] - How many messages per room to keep in memory
+ * @param {number} [options.idSlot=0] - This process's number, when several processes share the file
+ * @param {number} [options.idSlots=1] - How many processes share the file
+ * @param {Function} [options.onRecord] - Called with every line this store writes (to share it)
+ * @returns {object} The store
+ *   ({ load, reserveId, append, get, edit, remove, toggleReaction, renameAuthor, getThread, getRecent,
+ *      getSince, getChangedSince, getBefore, hasAuthor, applyRemote, close })
+ */
+function createMessageStore(options) {
+  const filePath = path.join(options.dataDir, 'messages.jsonl');
+  const maxMessagesPerRoom = options.maxMessagesPerRoom || 1000;
+  const idSlot = options.idSlot || 0;
+  const idSlots = options.idSlots || 1;
+
+  // The newest messages of each room, oldest first
+  // Format: Map<string, Array<object>>
+  const roomMessages = new Map();
+
+  // The same in-memory messages, looked up by id
+  // Format: Map<number, object>
+  const messagesById = new Map();
+
+  // Id of the last stored message (ids keep counting up across restarts)
+  let lastId = 0;
+
+  // When each in-memory message last changed (edit, delete, reaction or new reply),
+  // as the id of the newest message at that time (see getChangedSince())
+  // Format: Map<number (message id), number (lastId at the change)>
+  const changedAt = new Map();
+
+  // Write stream opened in append mode by load()
+  let stream = null;
+
+  /**
+   * Remember a message in memory, dropping the oldest one if the room is full
+   * @param {object} message - A stored message
+   */
+  function remember(message) {
+    if (!roomMessages.has(message.room)) {
+      roomMessages.set(message.room, []);
+    }
+
+    const messages = roomMessages.get(message.room);
+    messages.push(message);
+    messagesById.set(message.id, message);
+
+    // Replies update the reply count of the message that started the thread
+    const parent = message.replyTo ? messagesById.get(message.replyTo) : undefined;
+    if (parent) {
+      parent.replyCount = (parent.replyCount || 0) + 1;
+      parent.lastReplyAt = message.timestamp;
+      changedAt.set(parent.id, Math.max(lastId, message.id));
+    }
+
+    if (messages.length > maxMessagesPerRoom) {
+      const oldest = messages.shift();
+      messagesById.delete(oldest.id);
+      changedAt.delete(oldest.id);
+    }
+  }
+
+  /**
+   * Apply one line of the history file to the in-memory messages
+   * @param {object} record - A message, or a change to an earlier message
+   */
+  function applyRecord(record) {
+    if (CHANGE_TYPES.includes(record.type) && messagesById.has(record.id)) {
+      changedAt.set(record.id, lastId);
+    }
+
+    if (record.type === 'message-edited') {
+      const message = messagesById.get(record.id);
+      if (message) {
+        message.text = record.text;
+        message.editedAt = record.editedAt;
+
+        // The new text can mention other users than the old one
+        if (record.mentions) {
+          message.mentions = record.mentions;
+        } else {
+          delete message.mentions;
+        }
+      }
+    } else if (record.type === 'message-deleted') {
+      const message = messagesById.get(record.id);
+      if (message) {
+        // Keep a "tombstone" so the message's place in the conversation stays visible
+        message.text = '';
+        delete message.attachments;
+        delete message.mentions;
+        delete message.reactions;
+        message.deleted = true;
+        message.deletedAt = record.deletedAt;
+      }
+    } else if (record.type === 'reaction-added' || record.type === 'reaction-removed') {
+      const message = messagesById.get(record.id);
+      if (message) {
+        updateReactions(message, record.emoji, record.username, record.type === 'reaction-added');
+      }
+    } else if (record.type === 'id-reserved') {
+      // A message that wasn't saved (see reserveId())
+      lastId = Math.max(lastId, record.id);
+    } else if (record.type === 'author-renamed') {
+      // The messages keep showing the name they were sent with
+      const from = record.from.toLowerCase();
+      messagesById.forEach((message) => {
+        if (!message.bot && getOwner(message).toLowerCase() === from) {
+          message.owner = record.to;
+          changedAt.set(message.id, lastId);
+        }
+      });
+    } else {
+      remember(record);
+      lastId = Math.max(lastId, record.id || 0);
+    }
+  }
+
+  /**
+   * Get the name of the user a message belongs to (see renameAuthor())
+   * @param {object} message - A stored message
+   * @returns {string} The name its author has now, as far as we know
+   */
+  function getOwner(message) {
+    return message.owner || message.username;
+  }
+
+  /**
+   * Add or remove one user's reaction on a message
+   *
+   * Reactions are kept on the message in the same form they are sent to browsers:
+   * message.reactions = [{ emoji: '👍', count: 2, users: ['alice', 'bob'] }, ...]
+   *
+   * @param {object} message - The stored message
+   * @param {string} emoji - The reaction emoji
+   * @param {string} username - Who reacted
+   * @param {boolean} add - True to add the reaction, false to remove it
+   */
+  function updateReactions(message, emoji, username, add) {
+    const reactions = message.reactions || [];
+    let reaction = reactions.find((entry) => entry.emoji === emoji);
+
+    if (add && !reaction) {
+      reaction = { emoji: emoji, count: 0, users: [] };
+      reactions.push(reaction);
+    }
+
+    if (reaction) {
+      reaction.users = reaction.users.filter((user) => user !== username);
+      if (add) {
+        reaction.users.push(username);
+      }
+      reaction.count = reaction.users.length;
+    }
+
+    // Drop emojis nobody uses any more
+    message.reactions = reactions.filter((entry) => entry.count > 0);
+    if (message.reactions.length === 0) {
+      delete message.reactions;
+    }
+  }
+
+  /**
+   * Write one line to the history file
+   * @param {object} record - A message, or a change to an earlier message
+   */
+  function writeRecord(record) {
+    stream.write(JSON.stringify(record) + '\n');
+
+    if (options.onRecord) {
+      options.onRecord(record);
+    }
+  }
+
+  /**
+   * Read the existing history file and open it for appending
+   * Must be called once before append()
+   */
+  function load() {
+    fs.mkdirSync(options.dataDir, { recursive: true });
+
+    if (fs.existsSync(filePath)) {
+      const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+
+      lines.forEach((line, index) => {
+        if (line.trim() === '') {
+          return;
+        }
+
+        try {
+          applyRecord(JSON.parse(line));
+        } catch (error) {
+          // A half-written last line (e.g. after a crash) shouldn't stop the server
+          console.error(`[Store] Skipping bad line ${index + 1} in ${filePath}:`, error.message);
+        }
+      });
+    }
+
+    stream = fs.createWriteStream(filePath, { flags: 'a' });
+    stream.on('error', (error) => {
+      console.error('[Store] Error writing history:', error.message);
+    });
+
+    console.log(`[Store] Loaded history from ${filePath} (last id: ${lastId})`);
+  }
+
+  /**
+   * Take the next message id
+   * Ids only ever go up, so they also tell the order messages were sent in.
+   *
+   * @returns {number} A new, unique message id
+   */
+  function nextId() {
+    lastId++;
+
+    // Skip the ids of the other processes sharing the file
+    while (lastId % idSlots !== idSlot) {
+      lastId++;
+    }
+
+    return lastId;
+  }
+
+  /**
+   * Reserve a message id for a message that isn't saved (like a direct message)
+   * Only the id is written to the file, so it isn't given out again after a restart
+   *
+   * @returns {number} A new, unique message id
+   */
+  function reserveId() {
+    const record = { type: 'id-reserved', id: nextId() };
+    writeRecord(record);
+    return record.id;
+  }
+
+  /**
+   * Store a new message
+   * The message gets the next id, is kept in memory and appended to the file
+   *
+   * @param {object} message - The message to store (must have a room)
+   * @returns {object} The stored message, including its id
+   */
+  function append(message) {
+    const stored = Object.assign({ id: nextId() }, message);
+
+    remember(stored);
+    writeRecord(stored);
+
+    return stored;
+  }
+
+  /**
+   * Find a stored message by id
+   * Only messages still kept in memory can be found
+   *
+   * @param {number} id - The message id
+   * @returns {object|undefined} The message
+   */
+  function get(id) {
+    return messagesById.get(id);
+  }
+
+  /**
+   * Change the text of a stored message
+   * @param {number} id - The message id (must exist, see get())
+   * @param {string} text - The new text
+   * @param {Array<string>} [mentions] - Users mentioned in the new text (left out if none)
+   * @returns {object} The change record ({ type: 'message-edited', id, room, text, editedAt, mentions? })
+   */
+  function edit(id, text, mentions) {
+    const record = {
+      type: 'message-edited',
+      id: id,
+      room: messagesById.get(id).room,
+      text: text,
+      editedAt: Date.now()
+    };
+
+    if (mentions && mentions.length > 0) {
+      record.mentions = mentions;
+    }
+
+    applyRecord(record);
+    writeRecord(record);
+    return record;
+  }
+
+  /**
+   * Delete a stored message (its text is removed, a tombstone stays)
+   * @param {number} id - The message id (must exist, see get())
+   * @returns {object} The change record ({ type: 'message-deleted', id, room, deletedAt })
+   */
+  function remove(id) {
+    const record = {
+      type: 'message-deleted',
+      id: id,
+      room: messagesById.get(id).room,
+      deletedAt: Date.now()
+    };
+
+    applyRecord(record);
+    writeRecord(record);
+    return record;
+  }
+
+  /**
+   * Give a user's messages to their new name (after /nick), so they can still change them
+   * and whoever takes the old name can't
+   *
+   * @param {string} from - The old name
+   * @param {string} to - The new name
+   */
+  function renameAuthor(from, to) {
+    const record = { type: 'author-renamed', from: from, to: to, renamedAt: Date.now() };
+
+    applyRecord(record);
+    writeRecord(record);
+  }
+
+  /**
+   * Get a thread: the message that started it and all replies to it
+   * @param {number} id - Id of the message that started the thread (must exist, see get())
+   * @returns {object} { parent, replies } - replies oldest first
+   */
+  function getThread(id) {
+    const parent = messagesById.get(id);
+    const replies = roomMessages.get(parent.room).filter((message) => message.replyTo === id);
+
+    return { parent: parent, replies: replies };
+  }
+
+  /**
+   * Get the newest messages of a room
+   * @param {string} room - The room name
+   * @param {number} limit - Maximum number of messages to return
+   * @returns {Array<object>} Messages, oldest first
+   */
+  function getRecent(room, limit) {
+    const messages = roomMessages.get(room) || [];
+    return messages.slice(-limit);
+  }
+
+  /**
+   * Get the messages of a room that are newer than a given id
+   * Used to send a reconnecting client only the messages it missed
+   *
+   * @param {string} room - The room name
+   * @param {number} afterId - Id of the last message the client has seen
+   * @returns {Array<object>} Messages with a bigger id, oldest first
+   */
+  function getSince(room, afterId) {
+    const messages = roomMessages.get(room) || [];
+    return messages.filter((message) => message.id > afterId);
+  }
+
+  /**
+   * Get the messages of a room up to a given id that changed after it was the newest message
+   * Used to send a reconnecting client the edits, deletes, reactions and reply counts it missed
+   * (a few it already has may be sent again, they are sent as they are now)
+   *
+   * @param {string} room - The room name
+   * @param {number} afterId - Id of the last message the client has seen
+   * @returns {Array<object>} The changed messages, oldest first
+   */
+  function getChangedSince(room, afterId) {
+    const messages = roomMessages.get(room) || [];
+    return messages.filter((message) => message.id <= afterId && changedAt.get(message.id) >= afterId);
+  }
+
+  /**
+   * Get the newest messages of a room that are older than a given message
+   * Used to page back through the history
+   *
+   * @param {string} room - The room name
+   * @param {number} beforeId - Only messages with a smaller id are returned
+   * @param {number} limit - Maximum number of messages
+   * @returns {Array<object>} The messages, oldest first
+   */
+  function getBefore(room, beforeId, limit) {
+    const messages = roomMessages.get(room) || [];
+    return messages.filter((message) => message.id < beforeId).slice(-limit);
+  }
+
+  /**
+   * Apply a line written by another process sharing the file (see options.onRecord)
+   * It is already in the file, so it is only applied in memory
+   *
+   * @param {object} record - A message, or a change to an earlier message
+   */
+  function applyRemote(record) {
+    // A process that just started can read a message from the file and hear about it too
+    // (changes can safely be applied twice, new messages can't)
+    if (!CHANGE_TYPES.includes(record.type) && messagesById.has(record.id)) {
+      return;
+    }
+
+    applyRecord(record);
+  }
+
+  /**
+   * Flush and close the history file
+   * @param {Function} [callback] - Called once everything is written
+   */
+  function close(callback) {
+    if (stream) {
+      stream.end(callback);
+    } else if (callback) {
+      callback();
+    }
+  }
+
+  /**
+   * Toggle a user's reaction on a stored message: add it, or remove it if
+   * the user already reacted with that emoji
+   *
+   * @param {number} id - The message id (must exist, see get())
+   * @param {string} emoji - The reaction emoji
+   * @param {string} username - Who reacted
+   * @returns {object} The message's reactions after the change
+   *   ({ type: 'reactions-updated', id, room, reactions })
+   */
+  function toggleReaction(id, emoji, username) {
+    const message = messagesById.get(id);
+    const existing = (message.reactions || []).find((entry) => entry.emoji === emoji);
+    const hasReacted = Boolean(existing && existing.users.includes(username));
+
+    const record = {
+      type: hasReacted ? 'reaction-removed' : 'reaction-added',
+      id: id,
+      room: message.room,
+      emoji: emoji,
+      username: username
+    };
+
+    applyRecord(record);
+    writeRecord(record);
+
+    return {
+      type: 'reactions-updated',
+      id: id,
+      room: message.room,
+      reactions: message.reactions || []
+    };
+  }
+
+  /**
+   * Check whether a person (not a bot) wrote one of the in-memory messages, under this name or
+   * under an older one
+   * @param {string} username - The name to look for (any upper/lower case)
+   * @returns {boolean} True if someone posted under this name
+   */
+  function hasAuthor(username) {
+    const wanted = username.toLowerCase();
+
+    for (const message of messagesById.values()) {
+      if (!message.bot && (message.username.toLowerCase() === wanted || getOwner(message).toLowerCase() === wanted)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  return {
+    load, reserveId, append, get, edit, remove, toggleReaction, renameAuthor, getThread, getRecent,
+    getSince, getChangedSince, getBefore, hasAuthor, applyRemote, close
+  };
+}
+
+module.exports = { createMessageStore };
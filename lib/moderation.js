@@ -0,0 +1,260 @@
+// ============================================
+// MODERATION
+// ============================================
+//
+// Bans and mutes set by admins, and the audit log of every moderation action.
+//
+// Bans and mutes are saved to DATA_DIR/moderation.json (rewritten on every
+// change - the file stays small) so they survive restarts. Expired entries
+// are dropped when they are next looked at.
+//
+// The audit log, DATA_DIR/audit.log, is append-only: one line of JSON per
+// action ({ time, action, by, target, ... }).
+//
+// When several server processes share DATA_DIR (see cluster.js), the one that
+// changed a ban or mute tells the others (options.onSave), and they reload().
+
+const fs = require('fs');      // Reads and writes the moderation files
+const path = require('path');  // Builds the file paths
+
+// Duration units for parseDuration(), in milliseconds
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+/**
+ * Parse a duration like "30s", "10m", "2h" or "7d"
+ * @param {string} text - The duration typed by an admin
+ * @returns {number|null} Milliseconds, or null if the text isn't a duration
+ */
+function parseDuration(text) {
+  const match = /^(\d{1,5})([smhd])$/.exec(text || '');
+  if (!match) {
+    return null;
+  }
+
+  return parseInt(match[1], 10) * DURATION_UNITS[match[2]];
+}
+
+/**
+ * Normalize an IP address so "::ffff:1.2.3.4" and "1.2.3.4" are the same client
+ * @param {string} ip - The address from the socket
+ * @returns {string} The address to compare and save
+ */
+function normalizeIp(ip) {
+  return (ip || '').replace(/^::ffff:/, '');
+}
+
+/**
+ * Create the moderation store
+ *
+ * @param {object} options
+ * @param {string} options.dataDir - Directory holding moderation.json and audit.log (created if missing)
+ * @param {Function} [options.onSave] - Called after every change to the bans and mutes
+ * @returns {object} The store ({ load, reload, ban, unban, findBan, mute, unmute, getMute, audit, close })
+ */
+function createModeration(options) {
+  const statePath = path.join(options.dataDir, 'moderation.json');
+  const auditPath = path.join(options.dataDir, 'audit.log');
+
+  // Format: Array<{ kind: 'username' | 'ip', target, until, by, reason }>
+  let bans = [];
+
+  // Format: Array<{ target (lowercase username), until, by, reason }>
+  let mutes = [];
+
+  // Write stream for the audit log, opened by load()
+  let auditStream = null;
+
+  /**
+   * Read the saved bans and mutes, and open the audit log
+   * Must be called once before anything else
+   */
+  function load() {
+    fs.mkdirSync(options.dataDir, { recursive: true });
+
+    reload();
+    console.log(`[Moderation] ${bans.length} active bans, ${mutes.length} active mutes`);
+
+    auditStream = fs.createWriteStream(auditPath, { flags: 'a' });
+    auditStream.on('error', (error) => {
+      console.error('[Moderation] Could not write the audit log:', error.message);
+    });
+  }
+
+  /**
+   * Read the saved bans and mutes again (another process changed them)
+   */
+  function reload() {
+    if (fs.existsSync(statePath)) {
+      try {
+        const state = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+        bans = state.bans || [];
+        mutes = state.mutes || [];
+      } catch (error) {
+        console.error(`[Moderation] Could not read ${statePath}:`, error.message);
+      }
+    }
+
+    dropExpired();
+  }
+
+  /**
+   * Forget bans and mutes whose time is up
+   */
+  function dropExpired() {
+    const now = Date.now();
+    bans = bans.filter((ban) => ban.until > now);
+    mutes = mutes.filter((mute) => mute.until > now);
+  }
+
+  /**
+   * Save the bans and mutes
+   * The file is written under a temporary name first, so a crash never leaves half a file
+   */
+  function save() {
+    const temporaryPath = statePath + '.tmp';
+    fs.writeFileSync(temporaryPath, JSON.stringify({ bans: bans, mutes: mutes }, null, 2));
+    fs.renameSync(temporaryPath, statePath);
+
+    if (options.onSave) {
+      options.onSave();
+    }
+  }
+
+  /**
+   * Ban a username or an IP address (replaces an older ban of the same target)
+   *
+   * @param {object} details - { kind: 'username' | 'ip', target, duration (ms), by, reason }
+   * @returns {object} The saved ban
+   */
+  function ban(details) {
+    const target = details.kind === 'ip' ? normalizeIp(details.target) : details.target.toLowerCase();
+    const record = {
+      kind: details.kind,
+      target: target,
+      until: Date.now() + details.duration,
+      by: details.by,
+      reason: details.reason || ''
+    };
+
+    bans = bans.filter((existing) => !(existing.kind === record.kind && existing.target === target));
+    bans.push(record);
+    save();
+
+    return record;
+  }
+
+  /**
+   * Lift the ban of a username or an IP address
+   * @param {string} kind - 'username' or 'ip'
+   * @param {string} target - The username or address
+   * @returns {boolean} False if there was no such ban
+   */
+  function unban(kind, target) {
+    const wanted = kind === 'ip' ? normalizeIp(target) : target.toLowerCase();
+    const before = bans.length;
+
+    bans = bans.filter((existing) => !(existing.kind === kind && existing.target === wanted));
+    if (bans.length === before) {
+      return false;
+    }
+
+    save();
+    return true;
+  }
+
+  /**
+   * Find an active ban of a username or an IP address
+   * @param {string|null} username - The username (null if not known yet)
+   * @param {string|null} ip - The client's address
+   * @returns {object|null} The ban, or null if neither is banned
+   */
+  function findBan(username, ip) {
+    dropExpired();
+
+    const name = username ? username.toLowerCase() : null;
+    const address = ip ? normalizeIp(ip) : null;
+
+    return bans.find((existing) =>
+      (existing.kind === 'username' && existing.target === name) ||
+      (existing.kind === 'ip' && existing.target === address)) || null;
+  }
+
+  /**
+   * Mute a user (replaces an older mute)
+   * @param {object} details - { username, duration (ms), by, reason }
+   * @returns {object} The saved mute
+   */
+  function mute(details) {
+    const target = details.username.toLowerCase();
+    const record = {
+      target: target,
+      until: Date.now() + details.duration,
+      by: details.by,
+      reason: details.reason || ''
+    };
+
+    mutes = mutes.filter((existing) => existing.target !== target);
+    mutes.push(record);
+    save();
+
+    return record;
+  }
+
+  /**
+   * Lift a user's mute
+   * @param {string} username - The muted user
+   * @returns {boolean} False if the user wasn't muted
+   */
+  function unmute(username) {
+    const target = username.toLowerCase();
+    const before = mutes.length;
+
+    mutes = mutes.filter((existing) => existing.target !== target);
+    if (mutes.length === before) {
+      return false;
+    }
+
+    save();
+    return true;
+  }
+
+  /**
+   * Find the active mute of a user
+   * @param {string} username - The username
+   * @returns {object|null} The mute, or null if the user may talk
+   */
+  function getMute(username) {
+    dropExpired();
+    return mutes.find((existing) => existing.target === username.toLowerCase()) || null;
+  }
+
+  /**
+   * Write a moderation action to the audit log
+   * @param {string} action - What happened, e.g. 'ban' or 'message-removed'
+   * @param {object} details - Who did it to whom ({ by, target, ... })
+   */
+  function audit(action, details) {
+    const entry = Object.assign({ time: new Date().toISOString(), action: action }, details);
+
+    console.log(`[Moderation] ${action}:`, details);
+    if (auditStream) {
+      auditStream.write(JSON.stringify(entry) + '\n');
+    }
+  }
+
+  /**
+   * Flush and close the audit log
+   * @param {Function} [callback] - Called once everything is written
+   */
+  function close(callback) {
+    if (auditStream) {
+      auditStream.end(callback);
+    } else if (callback) {
+      callback();
+    }
+  }
+
+  return { load, reload, ban, unban, findBan, mute, unmute, getMute, audit, close };
+}
+
+module.exports = { createModeration, parseDuration, normalizeIp };
@@ -0,0 +1,127 @@
+// ============================================
+// MESSAGE PIPELINE (MIDDLEWARE)
+// ============================================
+//
+// An ordered list of functions ("middleware") that every message passes
+// through: frames coming in from clients ('inbound') and messages going out
+// to them ('outbound'). Middleware can change a message, add to it, or
+// refuse it - e.g. a word filter, link cleaning or logging - without
+// changing server.js.
+//
+// A middleware is a plain function:
+//
+//   function shout(message, context) {
+//     if (context.direction === 'inbound' && message.type === 'chat-message') {
+//       return Object.assign({}, message, { text: message.text.toUpperCase() });
+//     }
+//   }
+//
+// - Return nothing to pass the message on unchanged
+// - Return an object to pass that on instead. Don't change the message in
+//   place: outbound messages are often the saved history entries themselves
+// - Call context.reject('reason') to stop the message (inbound frames are
+//   answered with an error, outbound messages are simply not sent)
+//
+// The context tells the middleware where the message is going:
+//   { direction: 'inbound' | 'outbound',
+//     ws,        // The sender (inbound) or the single recipient (null for broadcasts)
+//     username,  // That client's username (null if it hasn't said hello yet)
+//     room,      // Outbound room broadcasts only: the room (null otherwise)
+//     reject(reason) }
+
+const fs = require('fs');      // Lists the middleware modules
+const path = require('path');  // Builds the middleware module paths
+
+/**
+ * Create an empty message pipeline
+ * @returns {object} The pipeline ({ use, loadDirectory, run })
+ */
+function createPipeline() {
+  // The middleware functions, in the order they run
+  const middlewares = [];
+
+  /**
+   * Add a middleware at the end of the pipeline
+   * @param {Function} middleware - function (message, context) -> object | undefined
+   */
+  function use(middleware) {
+    if (typeof middleware !== 'function') {
+      throw new Error('A middleware must be a function');
+    }
+
+    middlewares.push(middleware);
+  }
+
+  /**
+   * Add every middleware module (.js file) in a directory, sorted by file name
+   * Prefix the file names with numbers (e.g. "10-words.js") to control the order
+   *
+   * @param {string} directory - Absolute path of the directory (skipped if it doesn't exist)
+   */
+  function loadDirectory(directory) {
+    if (!fs.existsSync(directory)) {
+      return;
+    }
+
+    fs.readdirSync(directory)
+      .filter((file) => file.endsWith('.js'))
+      .sort()
+      .forEach((file) => {
+        use(require(path.join(directory, file)));
+        console.log(`[Pipeline] Loaded middleware ${file}`);
+      });
+  }
+
+  /**
+   * Pass a message through every middleware
+   * A middleware that throws refuses the message (and the error is logged),
+   * so one broken middleware can't crash the server
+   *
+   * @param {object} message - The message (not changed)
+   * @param {object} context - { direction, ws, username, room }
+   * @returns {object} { message, reason } - message is null if a middleware refused it
+   */
+  function run(message, context) {
+    let current = message;
+    let rejection = null;
+
+    const middlewareContext = Object.assign({}, context, {
+      reject(reason) {
+        rejection = reason || 'The message was refused';
+      }
+    });
+
+    for (const middleware of middlewares) {
+      let result;
+
+      try {
+        result = middleware(current, middlewareContext);
+      } catch (error) {
+        console.error(`[Pipeline] Middleware ${middleware.name || '(anonymous)'} failed:`, error.message);
+        return { message: null, reason: 'The server could not process this message' };
+      }
+
+      if (rejection !== null) {
+        console.log(`[Pipeline] ${middleware.name || '(anonymous)'} refused an ${context.direction} ${current.type}: ${rejection}`);
+        return { message: null, reason: rejection };
+      }
+
+      if (result === undefined) {
+        continue;
+      }
+
+      if (!result || typeof result !== 'object') {
+        console.error(`[Pipeline] Middleware ${middleware.name || '(anonymous)'} returned something that is not a message`);
+        return { message: null, reason: 'The server could not process this message' };
+      }
+
+      current = result;
+    }
+
+    return { message: current, reason: null };
+  }
+
+  return { use, loadDirectory, run };
+}
+
+module.exports = { createPipeline };
@@ -0,0 +1,230 @@
+// ============================================
+// PLUGINS (IN-PROCESS BOTS)
+// ============================================
+//
+// Plugins add behaviour to the server - bots, games, reminders - without
+// changing server.js. Every module in the plugins/ directory is loaded when
+// the server starts, sorted by file name:
+//
+//   module.exports = {
+//     name: 'greeter',                   // Shown in the logs
+//     description: 'Says hello',
+//     setup(api) {
+//       const bot = api.createBot('greeter');
+//       api.on('join', (event) => bot.say(event.room, `Welcome, ${event.username}!`));
+//     }
+//   };
+//
+// setup() receives an api object:
+//   api.on(event, handler)       - 'message' (every new chat message), 'join' and
+//                                  'leave' ({ username, room }), and 'stop' (the
+//                                  server is shutting down: clear your timers)
+//   api.createBot(name)          - a bot that posts as "name": bot.say(room, text, { replyTo })
+//   api.registerCommand(command) - a slash command, shaped like the modules in commands/
+//   api.getOnlineUsers()         - everyone online ([{ username, status, text }])
+//   api.getRoomMembers(room)     - the members of a room (same format)
+//   api.log(...)                 - console.log with the plugin's name in front
+//
+// A plugin whose setup() or event handler throws (or returns a rejected
+// promise) has the error logged, so one broken plugin can't crash the server.
+//
+// When the chat runs as several processes (see lib/cluster.js), only one of
+// them loads the plugins; server.js passes it the events and commands of the others.
+
+const fs = require('fs');      // Lists the plugin modules
+const path = require('path');  // Builds the plugin module paths
+
+// Events plugins can listen to
+const PLUGIN_EVENTS = ['message', 'join', 'leave', 'stop'];
+
+/**
+ * Create the plugin host
+ *
+ * @param {object} chat - The server features plugins may use:
+ *   { postBotMessage(botName, { room, text, replyTo }), registerCommand(command),
+ *     getOnlineUsers(), getRoomMembers(room), isValidBotName(name) }
+ * @returns {object} The host ({ load, loadDirectory, emit, getBotNames, getCommands, stop })
+ */
+function createPluginHost(chat) {
+  // Names of the loaded plugins
+  const loaded = new Set();
+
+  // Names of the bots the plugins created (people can't sign in with them)
+  const botNames = new Set();
+
+  // The slash commands the plugins registered
+  const commands = [];
+
+  // Event handlers of every plugin
+  // Format: Array<{ plugin: string (name), event: string, handler: Function }>
+  let listeners = [];
+
+  /**
+   * Call a plugin function, logging (instead of throwing) anything that goes wrong
+   * Works for async functions too: a rejected promise is logged the same way
+   *
+   * @param {string} pluginName - Whose function it is (for the log)
+   * @param {string} what - What was being done (for the log), e.g. 'its message handler'
+   * @param {Function} fn - The function to call
+   * @param {...*} args - Its arguments
+   */
+  function callSafely(pluginName, what, fn, ...args) {
+    try {
+      const result = fn(...args);
+      if (result && typeof result.then === 'function') {
+        result.then(null, (error) => {
+          console.error(`[Plugins] ${pluginName} failed in ${what}:`, error && error.message);
+        });
+      }
+    } catch (error) {
+      console.error(`[Plugins] ${pluginName} failed in ${what}:`, error.message);
+    }
+  }
+
+  /**
+   * Build the api object one plugin receives
+   * @param {string} pluginName - The plugin's name
+   * @returns {object} The api (see the top of this file)
+   */
+  function createApi(pluginName) {
+    return {
+      name: pluginName,
+
+      on(event, handler) {
+        if (!PLUGIN_EVENTS.includes(event) || typeof handler !== 'function') {
+          throw new Error(`Plugins can listen to ${PLUGIN_EVENTS.join(', ')} with a function`);
+        }
+
+        listeners.push({ plugin: pluginName, event: event, handler: handler });
+      },
+
+      createBot(botName) {
+        if (!chat.isValidBotName(botName)) {
+          throw new Error(`"${botName}" is not a valid bot name (2-20 letters, numbers, "-" or "_")`);
+        }
+
+        botNames.add(botName);
+        return {
+          name: botName,
+
+          /**
+           * Post a chat message as this bot
+           * @returns {object} { message } with the posted message, or { error: { code, text } }
+           */
+          say(room, text, options) {
+            return chat.postBotMessage(botName, {
+              room: room,
+              text: text,
+              replyTo: options && options.replyTo
+            });
+          }
+        };
+      },
+
+      registerCommand(command) {
+        chat.registerCommand(command);
+        commands.push(command);
+      },
+
+      getOnlineUsers: () => chat.getOnlineUsers(),
+      getRoomMembers: (room) => chat.getRoomMembers(room),
+
+      log(...args) {
+        console.log(`[Plugin ${pluginName}]`, ...args);
+      }
+    };
+  }
+
+  /**
+   * Load one plugin
+   * @param {object} plugin - { name, description, setup(api) }
+   * @returns {boolean} False if the plugin is invalid or its setup failed
+   */
+  function load(plugin) {
+    if (!plugin || typeof plugin.name !== 'string' || typeof plugin.setup !== 'function') {
+      console.error('[Plugins] A plugin needs a name and a setup() function');
+      return false;
+    }
+
+    if (loaded.has(plugin.name)) {
+      console.error(`[Plugins] Skipping a second plugin named ${plugin.name}`);
+      return false;
+    }
+
+    try {
+      plugin.setup(createApi(plugin.name));
+    } catch (error) {
+      // Forget the handlers it registered before failing, so it is fully off
+      listeners = listeners.filter((listener) => listener.plugin !== plugin.name);
+      console.error(`[Plugins] ${plugin.name} could not start:`, error.message);
+      return false;
+    }
+
+    loaded.add(plugin.name);
+    console.log(`[Plugins] Loaded ${plugin.name}`);
+    return true;
+  }
+
+  /**
+   * Load every plugin module (.js file) in a directory, sorted by file name
+   * @param {string} directory - Absolute path of the directory (skipped if it doesn't exist)
+   */
+  function loadDirectory(directory) {
+    if (!fs.existsSync(directory)) {
+      return;
+    }
+
+    fs.readdirSync(directory)
+      .filter((file) => file.endsWith('.js'))
+      .sort()
+      .forEach((file) => {
+        try {
+          load(require(path.join(directory, file)));
+        } catch (error) {
+          console.error(`[Plugins] Could not load ${file}:`, error.message);
+        }
+      });
+  }
+
+  /**
+   * Tell every plugin listening to an event about it
+   * Each handler gets its own copy of the data, so it can't change the server's
+   *
+   * @param {string} event - 'message', 'join', 'leave' or 'stop'
+   * @param {object} [data] - What happened (e.g. the chat message)
+   */
+  function emit(event, data) {
+    listeners
+      .filter((listener) => listener.event === event)
+      .forEach((listener) => {
+        callSafely(listener.plugin, `its ${event} handler`, listener.handler, Object.assign({}, data));
+      });
+  }
+
+  /**
+   * Get the names of the bots the plugins created
+   * @returns {Array<string>} The bot names
+   */
+  function getBotNames() {
+    return Array.from(botNames);
+  }
+
+  /**
+   * Get the slash commands the plugins registered
+   * @returns {Array<object>} The command modules
+   */
+  function getCommands() {
+    return commands.slice();
+  }
+
+  /**
+   * Tell the plugins the server is stopping
+   */
+  function stop() {
+    emit('stop');
+  }
+
+  return { load, loadDirectory, emit, getBotNames, getCommands, stop };
+}
+
+module.exports = { createPluginHost };
@@ -0,0 +1,169 @@
+// ============================================
+// WIRE PROTOCOL
+// ============================================
+//
+// Every WebSocket frame a client sends is a JSON object with a 'type'. Each
+// type has a schema (see CLIENT_MESSAGE_SCHEMAS in server.js) listing the
+// fields it may carry:
+//
+//   'chat-message': {
+//     room: { type: 'string', required: true },
+//     text: { type: 'string', required: true, maxLength: 2000,
+//             code: 'message-too-long', text: 'Messages can be at most 2000 characters' }
+//   }
+//
+// A field rule has a 'type' ('string', 'integer', 'boolean' or 'array') and
+// optionally 'required', 'maxLength' (characters, or items of an array),
+// 'min', 'pattern' and 'oneOf' (the allowed values). 'code' and 'text'
+// replace the generic error for a value of the right type that breaks one of
+// these limits. An array rule can also have 'items': the rule every item must
+// follow (errors still name the array field). Fields a schema doesn't list
+// (e.g. the browser's 'timestamp') are ignored, and null counts as "not sent".
+//
+// Frames are checked before the server does anything with them. A frame that
+// doesn't fit its schema is answered with an error naming the field:
+//
+//   { type: 'error', code: 'missing-field', field: 'room', text: '"room" is required', requestId }
+//
+// Any frame may carry a 'requestId' (a string of up to 64 characters): errors
+// caused by the frame repeat it, so a client can tell which request failed.
+//
+// The protocol has a version number, raised whenever a change would break
+// existing clients. A client says which version it speaks in its 'hello'
+// ({ type: 'hello', username, protocol: 1 }); the server refuses versions it
+// doesn't support and confirms the version in 'identified'. Clients that
+// don't say are treated as speaking version 1.
+
+// The version this server speaks, and every version it still accepts
+const PROTOCOL_VERSION = 1;
+const SUPPORTED_PROTOCOLS = [1];
+
+// The version of clients that don't say (they are older than versioning)
+const DEFAULT_PROTOCOL = 1;
+
+// Fields every frame may carry, whatever its type
+const COMMON_FIELDS = {
+  requestId: { type: 'string', maxLength: 64 }
+};
+
+// How each field type is checked, and how it is named in error texts
+const FIELD_TYPES = {
+  string: { check: (value) => typeof value === 'string', name: 'a string' },
+  integer: { check: (value) => Number.isInteger(value), name: 'a whole number' },
+  boolean: { check: (value) => typeof value === 'boolean', name: 'true or false' },
+  array: { check: (value) => Array.isArray(value), name: 'a list' }
+};
+
+/**
+ * Create a validation error
+ * @param {string} code - Short machine-readable reason, e.g. 'missing-field'
+ * @param {string|undefined} field - The offending field
+ * @param {string} text - Human-readable explanation
+ * @returns {object} { code, field, text }
+ */
+function createFieldError(code, field, text) {
+  return { code: code, field: field, text: text };
+}
+
+/**
+ * Check one field of a frame against its rule
+ *
+ * @param {string} name - The field name
+ * @param {object} rule - The field rule (see the top of this file)
+ * @param {*} value - The value the client sent
+ * @returns {object|null} null if the value is fine, or { code, field, text }
+ */
+function checkField(name, rule, value) {
+  if (value === undefined || value === null) {
+    return rule.required ? createFieldError('missing-field', name, `"${name}" is required`) : null;
+  }
+
+  const fieldType = FIELD_TYPES[rule.type];
+  if (!fieldType.check(value)) {
+    return createFieldError('invalid-field', name, `"${name}" must be ${fieldType.name}`);
+  }
+
+  // The value has the right type: check its limits
+  let problem = null;
+  if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+    problem = `"${name}" can have at most ${rule.maxLength} ${rule.type === 'array' ? 'items' : 'characters'}`;
+  } else if (rule.min !== undefined && value < rule.min) {
+    problem = `"${name}" must be at least ${rule.min}`;
+  } else if (rule.pattern && !rule.pattern.test(value)) {
+    problem = `"${name}" is not in the expected format`;
+  } else if (rule.oneOf && !rule.oneOf.includes(value)) {
+    problem = `"${name}" must be one of: ${rule.oneOf.join(', ')}`;
+  }
+
+  if (problem) {
+    return createFieldError(rule.code || 'invalid-field', name, rule.text || problem);
+  }
+
+  // Every item of an array must follow the 'items' rule (null items count as missing)
+  if (rule.items) {
+    const itemRule = Object.assign({ required: true }, rule.items);
+    for (let index = 0; index < value.length; index++) {
+      const error = checkField(`${name}[${index}]`, itemRule, value[index]);
+      if (error) {
+        return createFieldError(error.code, name, error.text);
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check a frame sent by a client against the schema of its type
+ *
+ * @param {object} schemas - The schema of every frame type: { [type]: { [field]: rule } }
+ * @param {*} frame - The parsed JSON frame
+ * @returns {object|null} null if the frame is valid, or { code, field, text } for the first problem
+ */
+function validateFrame(schemas, frame) {
+  if (!frame || typeof frame !== 'object' || Array.isArray(frame)) {
+    return createFieldError('invalid-message', undefined, 'Every frame must be a JSON object with a "type"');
+  }
+
+  if (frame.type === undefined || frame.type === null) {
+    return createFieldError('missing-field', 'type', '"type" is required');
+  }
+
+  if (typeof frame.type !== 'string' || !Object.prototype.hasOwnProperty.call(schemas, frame.type)) {
+    return createFieldError('unknown-type', 'type', `Unknown message type "${frame.type}"`);
+  }
+
+  const fields = Object.assign({}, COMMON_FIELDS, schemas[frame.type]);
+
+  for (const name of Object.keys(fields)) {
+    const error = checkField(name, fields[name], frame[name]);
+    if (error) {
+      return error;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Get the request id of a frame, if it sent a valid one
+ * @param {*} frame - The parsed JSON frame
+ * @returns {string|undefined} The request id
+ */
+function getRequestId(frame) {
+  const requestId = frame && typeof frame === 'object' ? frame.requestId : undefined;
+  return checkField('requestId', COMMON_FIELDS.requestId, requestId) === null ? requestId || undefined : undefined;
+}
+
+/**
+ * Pick the protocol version to use with a client
+ * @param {number|undefined} requested - The 'protocol' field of its hello (clients older than
+ *   versioning don't send one, and speak DEFAULT_PROTOCOL)
+ * @returns {number|null} The version, or null if this server doesn't support it
+ */
+function negotiateProtocol(requested) {
+  const version = requested === undefined || requested === null ? DEFAULT_PROTOCOL : requested;
+  return SUPPORTED_PROTOCOLS.includes(version) ? version : null;
+}
+
+module.exports = { PROTOCOL_VERSION, SUPPORTED_PROTOCOLS, validateFrame, getRequestId, negotiateProtocol };
@@ -0,0 +1,204 @@
+// ============================================
+// RATE LIMITING
+// ============================================
+//
+// Token buckets and "flood guards" that stop one client from flooding
+// everyone else. Flood guards are kept per user (or per IP address before a
+// client has a name), so reconnecting doesn't start with a clean slate.
+//
+// A token bucket holds up to `capacity` tokens and gets `refillPerSecond` new
+// tokens every second. Every frame takes one token; when the bucket is empty
+// the frame is refused. This allows short bursts but limits the average rate.
+
+/**
+ * Create a token bucket
+ *
+ * @param {object} options
+ * @param {number} options.capacity - Maximum number of tokens (the allowed burst)
+ * @param {number} options.refillPerSecond - Tokens added back every second
+ * @returns {object} The bucket ({ take, retryAfter })
+ */
+function createTokenBucket(options) {
+  let tokens = options.capacity;
+  let lastRefill = Date.now();
+
+  /**
+   * Add the tokens earned since the last refill
+   */
+  function refill() {
+    const now = Date.now();
+    const earned = ((now - lastRefill) / 1000) * options.refillPerSecond;
+
+    tokens = Math.min(options.capacity, tokens + earned);
+    lastRefill = now;
+  }
+
+  /**
+   * Try to take one token
+   * @returns {boolean} True if a token was available
+   */
+  function take() {
+    refill();
+
+    if (tokens < 1) {
+      return false;
+    }
+
+    tokens -= 1;
+    return true;
+  }
+
+  /**
+   * How long until the next token is available
+   * @returns {number} Milliseconds to wait (0 if a token is available now)
+   */
+  function retryAfter() {
+    refill();
+
+    if (tokens >= 1) {
+      return 0;
+    }
+
+    return Math.ceil(((1 - tokens) / options.refillPerSecond) * 1000);
+  }
+
+  return { take, retryAfter };
+}
+
+/**
+ * Create one flood guard
+ *
+ * Every frame kind (e.g. 'chat', 'typing') has its own token bucket.
+ * Each refused frame counts as a strike. Too many strikes in a short time
+ * mute the connection for a while, and being muted too often means the
+ * connection should be closed.
+ *
+ * @param {object} options
+ * @param {object} options.limits - Bucket options per frame kind, e.g. { chat: { capacity: 5, refillPerSecond: 1 } }
+ * @param {number} options.strikeWindow - Milliseconds in which strikes are counted
+ * @param {number} options.muteAfterStrikes - Strikes within the window that cause a mute
+ * @param {number} options.muteDuration - How long a mute lasts (milliseconds)
+ * @param {number} options.disconnectAfterMutes - Mutes after which the connection is closed
+ * @returns {object} The guard ({ check })
+ */
+function createFloodGuard(options) {
+  // One token bucket per frame kind
+  const buckets = new Map();
+  Object.keys(options.limits).forEach((kind) => {
+    buckets.set(kind, createTokenBucket(options.limits[kind]));
+  });
+
+  let strikes = []; // Times of recent violations
+  let mutedUntil = 0; // Time the current mute ends (0 = not muted)
+  let muteCount = 0; // How many times this connection has been muted
+
+  /**
+   * Record a violation and mute the connection if there were too many
+   * @returns {boolean} True if the connection should be closed
+   */
+  function addStrike() {
+    const now = Date.now();
+
+    strikes = strikes.filter((time) => now - time < options.strikeWindow);
+    strikes.push(now);
+
+    if (strikes.length >= options.muteAfterStrikes) {
+      strikes = [];
+      mutedUntil = now + options.muteDuration;
+      muteCount++;
+    }
+
+    return muteCount >= options.disconnectAfterMutes;
+  }
+
+  /**
+   * Check whether a frame of the given kind is allowed right now
+   *
+   * @param {string} kind - The frame kind (a key of options.limits)
+   * @returns {object|null} null if allowed, otherwise
+   *   { code: 'rate-limited' | 'muted', retryAfter: milliseconds, disconnect: boolean }
+   */
+  function check(kind) {
+    const now = Date.now();
+
+    // Muted connections can't send anything that is rate limited
+    if (now < mutedUntil) {
+      const disconnect = addStrike();
+      return { code: 'muted', retryAfter: mutedUntil - now, disconnect: disconnect };
+    }
+
+    const bucket = buckets.get(kind);
+    if (!bucket || bucket.take()) {
+      return null;
+    }
+
+    const retryAfter = bucket.retryAfter();
+    const disconnect = addStrike();
+
+    // This strike may have started a mute
+    if (Date.now() < mutedUntil) {
+      return { code: 'muted', retryAfter: mutedUntil - Date.now(), disconnect: disconnect };
+    }
+
+    return { code: 'rate-limited', retryAfter: retryAfter, disconnect: disconnect };
+  }
+
+  return { check };
+}
+
+/**
+ * Create the flood guards of everyone, each kept under a key
+ * (e.g. 'user:alice' or 'ip:203.0.113.7', chosen by the caller)
+ *
+ * @param {object} options - The options of createFloodGuard(), and:
+ * @param {number} options.forgetAfter - Milliseconds after which an unused guard is forgotten (see sweep())
+ * @returns {object} The guards ({ check, inherit, sweep })
+ */
+function createFloodGuards(options) {
+  // Format: Map<string (key), { guard: object, lastUsed: number (time) }>
+  const guards = new Map();
+
+  /**
+   * Check whether a frame of the given kind is allowed right now
+   * @param {string} key - Whose frame it is
+   * @param {string} kind - The frame kind (a key of options.limits)
+   * @returns {object|null} null if allowed, otherwise { code, retryAfter, disconnect } (see createFloodGuard())
+   */
+  function check(key, kind) {
+    let entry = guards.get(key);
+    if (!entry) {
+      entry = { guard: createFloodGuard(options), lastUsed: 0 };
+      guards.set(key, entry);
+    }
+
+    entry.lastUsed = Date.now();
+    return entry.guard.check(kind);
+  }
+
+  /**
+   * Let a new key use the guard of an old one (e.g. after a rename), unless it has its own
+   * @param {string} fromKey - The old key
+   * @param {string} toKey - The new key
+   */
+  function inherit(fromKey, toKey) {
+    if (guards.has(fromKey) && !guards.has(toKey)) {
+      guards.set(toKey, guards.get(fromKey));
+    }
+  }
+
+  /**
+   * Forget the guards nobody used for options.forgetAfter (call this now and then)
+   */
+  function sweep() {
+    const now = Date.now();
+    guards.forEach((entry, key) => {
+      if (now - entry.lastUsed > options.forgetAfter) {
+        guards.delete(key);
+      }
+    });
+  }
+
+  return { check, inherit, sweep };
+}
+
+module.exports = { createTokenBucket, createFloodGuard, createFloodGuards };
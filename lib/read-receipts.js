@@ -0,0 +1,71 @@
+// ============================================
+// READ RECEIPTS
+// ============================================
+//
+// Remembers how far each user has read in each room: the id of the newest
+// message they have actually seen (their "read position"). Because message ids
+// only ever go up, a user has seen a message when their read position is at
+// least the message's id.
+//
+// Read positions are kept in memory only, so they start from scratch when the
+// server restarts.
+
+/**
+ * Create the read receipt tracker
+ * @returns {object} The tracker ({ markRead, getSeenBy })
+ */
+function createReadReceipts() {
+  // Newest message id each user has seen, per room
+  // Format: Map<string (room), Map<string (username), number (message id)>>
+  const readPositions = new Map();
+
+  /**
+   * Move a user's read position forward
+   * Reports of an older position (e.g. from a second browser tab) are ignored
+   *
+   * @param {string} room - The room name
+   * @param {string} username - Who has read the messages
+   * @param {number} id - Id of the newest message they have seen
+   * @returns {number|null} The previous read position (0 if none), or null if nothing changed
+   */
+  function markRead(room, username, id) {
+    if (!readPositions.has(room)) {
+      readPositions.set(room, new Map());
+    }
+
+    const positions = readPositions.get(room);
+    const previous = positions.get(username) || 0;
+
+    if (id <= previous) {
+      return null;
+    }
+
+    positions.set(username, id);
+    return previous;
+  }
+
+  /**
+   * Get the users who have seen a message (not counting its author)
+   * @param {object} message - A stored room message
+   * @returns {Array<string>} Usernames, sorted alphabetically
+   */
+  function getSeenBy(message) {
+    const positions = readPositions.get(message.room);
+    if (!positions) {
+      return [];
+    }
+
+    const readers = [];
+    positions.forEach((position, username) => {
+      if (position >= message.id && username !== message.username) {
+        readers.push(username);
+      }
+    });
+
+    return readers.sort();
+  }
+
+  return { markRead, getSeenBy };
+}
+
+module.exports = { createReadReceipts };
@@ -0,0 +1,317 @@
+// ============================================
+// UPLOADS
+// ============================================
+//
+// Files (images, PDFs, ...) that users attach to their messages.
+//
+// Every upload is streamed to DATA_DIR/uploads/<id>, where the id is a long
+// random string (so nobody can guess the address of someone else's file).
+// What we know about each file - its name, type, size and who uploaded it -
+// is appended to DATA_DIR/uploads/index.jsonl, one line of JSON per file, and
+// read back when the server starts. A file belongs to the one message it is
+// attached to ({ id, attachedTo } line), so removing it when that message is
+// deleted can't break another message; removing appends a { id, removed: true }
+// line. When several server processes share DATA_DIR (see cluster.js), each new,
+// attached or removed upload is also passed to the others (options.onSave and
+// add(), options.onRemove and forget()).
+
+const fs = require('fs');          // Writes and reads the uploaded files
+const path = require('path');      // Builds the file paths
+const crypto = require('crypto');  // Makes the random upload ids
+const { pipeline, Transform } = require('stream'); // Streams the request body to disk
+
+// The first bytes ("magic numbers") every file of a type starts with
+// An upload that claims to be a PNG but isn't one is refused
+const FILE_SIGNATURES = {
+  'image/png': [Buffer.from([0x89, 0x50, 0x4e, 0x47])],
+  'image/jpeg': [Buffer.from([0xff, 0xd8, 0xff])],
+  'image/gif': [Buffer.from('GIF87a'), Buffer.from('GIF89a')],
+  'image/webp': [Buffer.from('RIFF')], // Followed by the size and "WEBP", checked below
+  'application/pdf': [Buffer.from('%PDF')]
+};
+
+// Upload ids: 24 hex characters
+const UPLOAD_ID_PATTERN = /^[0-9a-f]{24}$/;
+
+/**
+ * Create an upload error that carries its HTTP status and error code
+ * @param {number} status - HTTP status code, e.g. 413
+ * @param {string} code - Short machine-readable reason, e.g. 'file-too-large'
+ * @param {string} text - Human-readable explanation
+ * @returns {Error} The error
+ */
+function createUploadError(status, code, text) {
+  const error = new Error(text);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+/**
+ * Check that a file really starts like a file of its type
+ * Types without a known signature (e.g. text/plain) always pass
+ *
+ * @param {Buffer} head - The first bytes of the file
+ * @param {string} type - The MIME type the uploader claimed
+ * @returns {boolean} True if the bytes match the type
+ */
+function matchesSignature(head, type) {
+  const signatures = FILE_SIGNATURES[type];
+  if (!signatures) {
+    return true;
+  }
+
+  const matches = signatures.some((signature) => head.subarray(0, signature.length).equals(signature));
+  if (type === 'image/webp') {
+    return matches && head.subarray(8, 12).toString() === 'WEBP';
+  }
+  return matches;
+}
+
+/**
+ * Create the upload store
+ *
+ * @param {object} options
+ * @param {string} options.dataDir - Directory for the uploaded files (created if missing)
+ * @param {number} options.maxBytes - Largest file accepted, in bytes
+ * @param {Array<string>} options.allowedTypes - MIME types that may be uploaded
+ * @param {Function} [options.onSave] - Called with every new or attached upload (to share it)
+ * @param {Function} [options.onRemove] - Called with the id of every removed upload (to share it)
+ * @returns {object} The store ({ load, save, add, attach, remove, forget, get, getFilePath })
+ */
+function createUploadStore(options) {
+  const indexPath = path.join(options.dataDir, 'index.jsonl');
+
+  // Every upload we know about
+  // Format: Map<string (id), { id, name, type, size, username, uploadedAt, attachedTo? }>
+  const uploads = new Map();
+
+  /**
+   * Read the list of uploaded files
+   * Must be called once before anything else
+   */
+  function load() {
+    fs.mkdirSync(options.dataDir, { recursive: true });
+
+    if (fs.existsSync(indexPath)) {
+      fs.readFileSync(indexPath, 'utf8').split('\n').forEach((line) => {
+        if (!line.trim()) {
+          return;
+        }
+
+        try {
+          const upload = JSON.parse(line);
+          if (upload.removed) {
+            uploads.delete(upload.id);
+          } else if (upload.attachedAt) {
+            // Not a new upload: the message an earlier one was attached to
+            if (uploads.has(upload.id)) {
+              uploads.get(upload.id).attachedTo = upload.attachedTo;
+            }
+          } else {
+            uploads.set(upload.id, upload);
+          }
+        } catch (error) {
+          console.error('[Uploads] Skipping unreadable line in the upload index:', error.message);
+        }
+      });
+    }
+
+    console.log(`[Uploads] ${uploads.size} files in ${options.dataDir}`);
+  }
+
+  /**
+   * Save a file streamed in an HTTP request body
+   *
+   * @param {http.IncomingMessage} req - The upload request (the body is the file)
+   * @param {object} details - { name, type, username } - the file name, its MIME type and the uploader
+   * @param {Function} callback - Called with (error, upload); errors have a status and a code
+   */
+  function save(req, details, callback) {
+    if (!options.allowedTypes.includes(details.type)) {
+      callback(createUploadError(415, 'file-type-not-allowed', `Files of type "${details.type}" can't be uploaded`));
+      return;
+    }
+
+    // Refuse a file that says it is too big before reading any of it
+    const declaredSize = parseInt(req.headers['content-length'], 10);
+    if (declaredSize > options.maxBytes) {
+      callback(createUploadError(413, 'file-too-large', `Files can be at most ${formatSize(options.maxBytes)}`));
+      return;
+    }
+
+    const id = crypto.randomBytes(12).toString('hex');
+    const filePath = path.join(options.dataDir, id);
+    const temporaryPath = filePath + '.part';
+
+    // Count the bytes as they arrive: Content-Length can be missing or wrong
+    let size = 0;
+    let head = Buffer.alloc(0);
+    const counter = new Transform({
+      transform(chunk, encoding, done) {
+        size += chunk.length;
+        if (size > options.maxBytes) {
+          done(createUploadError(413, 'file-too-large', `Files can be at most ${formatSize(options.maxBytes)}`));
+          return;
+        }
+
+        // Keep the first bytes for the signature check
+        if (head.length < 16) {
+          head = Buffer.concat([head, chunk.subarray(0, 16 - head.length)]);
+        }
+        done(null, chunk);
+      }
+    });
+
+    pipeline(req, counter, fs.createWriteStream(temporaryPath), (error) => {
+      // Whatever went wrong, don't leave half a file behind
+      const fail = (uploadError) => {
+        fs.unlink(temporaryPath, () => callback(uploadError));
+      };
+
+      if (error) {
+        fail(error.status ? error : createUploadError(400, 'upload-failed', 'The upload was interrupted'));
+        return;
+      }
+
+      if (size === 0) {
+        fail(createUploadError(400, 'empty-file', 'The file is empty'));
+        return;
+      }
+
+      if (!matchesSignature(head, details.type)) {
+        fail(createUploadError(415, 'file-type-mismatch', `The file is not really of type "${details.type}"`));
+        return;
+      }
+
+      const upload = {
+        id: id,
+        name: details.name,
+        type: details.type,
+        size: size,
+        username: details.username,
+        uploadedAt: Date.now()
+      };
+
+      fs.rename(temporaryPath, filePath, (renameError) => {
+        if (renameError) {
+          fail(createUploadError(500, 'upload-failed', 'The file could not be saved'));
+          return;
+        }
+
+        fs.appendFile(indexPath, JSON.stringify(upload) + '\n', (indexError) => {
+          if (indexError) {
+            console.error('[Uploads] Could not write the upload index:', indexError.message);
+          }
+        });
+
+        uploads.set(id, upload);
+        if (options.onSave) {
+          options.onSave(upload);
+        }
+        callback(null, upload);
+      });
+    });
+  }
+
+  /**
+   * Add an upload saved or attached by another process sharing the directory (see options.onSave)
+   * @param {object} upload - { id, name, type, size, username, uploadedAt, attachedTo? }
+   */
+  function add(upload) {
+    uploads.set(upload.id, upload);
+  }
+
+  /**
+   * Record the message an upload is attached to (get() then shows it in attachedTo)
+   * @param {string} id - The upload id
+   * @param {number} messageId - The id of the message
+   */
+  function attach(id, messageId) {
+    const upload = uploads.get(id);
+    if (!upload) {
+      return;
+    }
+
+    upload.attachedTo = messageId;
+
+    fs.appendFile(indexPath, JSON.stringify({ id: id, attachedTo: messageId, attachedAt: Date.now() }) + '\n', (indexError) => {
+      if (indexError) {
+        console.error('[Uploads] Could not write the upload index:', indexError.message);
+      }
+    });
+
+    if (options.onSave) {
+      options.onSave(upload);
+    }
+  }
+
+  /**
+   * Remove an upload: its file is deleted and get() no longer finds it
+   * @param {string} id - The upload id
+   */
+  function remove(id) {
+    if (!uploads.has(id)) {
+      return;
+    }
+
+    uploads.delete(id);
+
+    fs.unlink(path.join(options.dataDir, id), (error) => {
+      if (error && error.code !== 'ENOENT') {
+        console.error(`[Uploads] Could not delete ${id}:`, error.message);
+      }
+    });
+    fs.appendFile(indexPath, JSON.stringify({ id: id, removed: true, removedAt: Date.now() }) + '\n', (indexError) => {
+      if (indexError) {
+        console.error('[Uploads] Could not write the upload index:', indexError.message);
+      }
+    });
+
+    if (options.onRemove) {
+      options.onRemove(id);
+    }
+  }
+
+  /**
+   * Forget an upload removed by another process sharing the directory (see options.onRemove)
+   * @param {string} id - The upload id
+   */
+  function forget(id) {
+    uploads.delete(id);
+  }
+
+  /**
+   * Find an upload by id
+   * @param {string} id - The upload id
+   * @returns {object|undefined} { id, name, type, size, username, uploadedAt, attachedTo? }
+   */
+  function get(id) {
+    return typeof id === 'string' && UPLOAD_ID_PATTERN.test(id) ? uploads.get(id) : undefined;
+  }
+
+  /**
+   * Get where an upload's file is saved
+   * @param {string} id - The upload id (must exist, see get())
+   * @returns {string} Absolute path of the file
+   */
+  function getFilePath(id) {
+    return path.join(options.dataDir, id);
+  }
+
+  return { load, save, add, attach, remove, forget, get, getFilePath };
+}
+
+/**
+ * Format a number of bytes for people, e.g. 10485760 -> "10 MB"
+ * @param {number} bytes - The size
+ * @returns {string} The size with a unit
+ */
+function formatSize(bytes) {
+  if (bytes >= 1024 * 1024) {
+    return `${Math.round(bytes / (1024 * 1024))} MB`;
+  }
+  return `${Math.round(bytes / 1024)} KB`;
+}
+
+module.exports = { createUploadStore, UPLOAD_ID_PATTERN };
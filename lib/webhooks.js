@@ -0,0 +1,326 @@
+// ============================================
+// WEBHOOKS
+// ============================================
+//
+// Connections to other systems, set up by admins with /webhook:
+//
+// - Outgoing webhooks: every new chat message (of one room, or of all rooms)
+//   is POSTed as JSON to a URL. Each request is signed with the webhook's
+//   secret, so the receiver can check it really came from us. Failed
+//   deliveries are retried with a growing wait (1s, 2s, 4s, ...).
+// - Incoming webhooks: a secret URL (/hooks/<token>) that lets another system
+//   (CI, alerting, ...) post into one room under a bot name.
+//
+// Both kinds are saved to DATA_DIR/webhooks.json (rewritten on every change).
+// Incoming tokens are only saved as a hash: they are shown once, when created.
+// When several server processes share DATA_DIR (see cluster.js), the one that
+// changed the webhooks tells the others (options.onSave), and they load() again.
+// Deliveries waiting for a retry are kept in memory only, and are dropped
+// when the server stops.
+
+const fs = require('fs');          // Reads and writes webhooks.json
+const path = require('path');      // Builds the file path
+const http = require('http');      // Sends deliveries to http:// URLs
+const https = require('https');    // Sends deliveries to https:// URLs
+const crypto = require('crypto');  // Makes ids, secrets and signatures
+
+// Longest webhook URL (in characters)
+const MAX_URL_LENGTH = 500;
+
+/**
+ * Hash an incoming webhook token for saving and looking it up
+ * @param {string} token - The token
+ * @returns {string} The SHA-256 hash, as hex
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Sign a delivery the way receivers check it:
+ * HMAC-SHA256 of "<timestamp>.<body>" with the webhook's secret
+ *
+ * @param {string} secret - The webhook's secret
+ * @param {number} timestamp - The X-Webhook-Timestamp header (milliseconds)
+ * @param {string} body - The exact request body
+ * @returns {string} "sha256=<hex>" (the X-Webhook-Signature header)
+ */
+function signPayload(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Check that a URL can receive deliveries
+ * @param {string} text - The URL typed by an admin
+ * @returns {URL|null} The parsed URL, or null if it isn't an http(s) URL
+ */
+function parseWebhookUrl(text) {
+  if (typeof text !== 'string' || text.length > MAX_URL_LENGTH) {
+    return null;
+  }
+
+  try {
+    const target = new URL(text);
+    return target.protocol === 'http:' || target.protocol === 'https:' ? target : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Create the webhook store
+ *
+ * @param {object} options
+ * @param {string} options.dataDir - Directory holding webhooks.json (created if missing)
+ * @param {number} options.timeout - Milliseconds to wait for a receiver to answer
+ * @param {number} options.maxAttempts - Deliveries are given up after this many tries
+ * @param {number} options.retryDelay - Milliseconds before the first retry (doubled for each next one)
+ * @param {Function} [options.onSave] - Called after every change to the webhooks
+ * @returns {object} The store ({ load, addOutgoing, addIncoming, remove, list, findIncoming, deliver, stop })
+ */
+function createWebhooks(options) {
+  const statePath = path.join(options.dataDir, 'webhooks.json');
+
+  // Format: Array<{ id, url, room (null = all rooms), secret, by, createdAt }>
+  let outgoing = [];
+
+  // Format: Array<{ id, name (bot name), room, tokenHash, by, createdAt }>
+  let incoming = [];
+
+  // Timers of deliveries waiting for their next try (cleared by stop())
+  const retryTimers = new Set();
+
+  /**
+   * Read the saved webhooks
+   * Must be called once before anything else (and again after another process changed them)
+   */
+  function load() {
+    fs.mkdirSync(options.dataDir, { recursive: true });
+
+    if (fs.existsSync(statePath)) {
+      try {
+        const state = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+        outgoing = state.outgoing || [];
+        incoming = state.incoming || [];
+      } catch (error) {
+        console.error(`[Webhooks] Could not read ${statePath}:`, error.message);
+      }
+    }
+
+    console.log(`[Webhooks] ${outgoing.length} outgoing, ${incoming.length} incoming`);
+  }
+
+  /**
+   * Save the webhooks
+   * The file is written under a temporary name first, so a crash never leaves half a file
+   */
+  function save() {
+    const temporaryPath = statePath + '.tmp';
+    fs.writeFileSync(temporaryPath, JSON.stringify({ outgoing: outgoing, incoming: incoming }, null, 2));
+    fs.renameSync(temporaryPath, statePath);
+
+    if (options.onSave) {
+      options.onSave();
+    }
+  }
+
+  /**
+   * Make a short id for a new webhook (used by /webhook remove)
+   * @returns {string} 8 hex characters
+   */
+  function createId() {
+    return crypto.randomBytes(4).toString('hex');
+  }
+
+  /**
+   * Add an outgoing webhook
+   * @param {object} details - { url, room (null for all rooms), by }
+   * @returns {object|null} The webhook, including its signing secret - or null if the URL isn't valid
+   */
+  function addOutgoing(details) {
+    if (!parseWebhookUrl(details.url)) {
+      return null;
+    }
+
+    const hook = {
+      id: createId(),
+      url: details.url,
+      room: details.room || null,
+      secret: crypto.randomBytes(24).toString('hex'),
+      by: details.by,
+      createdAt: Date.now()
+    };
+
+    outgoing.push(hook);
+    save();
+
+    return hook;
+  }
+
+  /**
+   * Add an incoming webhook
+   * @param {object} details - { name (bot name), room, by }
+   * @returns {object} { hook, token } - the token is not saved, so this is the only time it is known
+   */
+  function addIncoming(details) {
+    const token = crypto.randomBytes(24).toString('hex');
+    const hook = {
+      id: createId(),
+      name: details.name,
+      room: details.room,
+      tokenHash: hashToken(token),
+      by: details.by,
+      createdAt: Date.now()
+    };
+
+    incoming.push(hook);
+    save();
+
+    return { hook: hook, token: token };
+  }
+
+  /**
+   * Remove a webhook of either kind
+   * @param {string} id - The webhook id
+   * @returns {object|null} The removed webhook, or null if there was none with this id
+   */
+  function remove(id) {
+    const hook = outgoing.find((existing) => existing.id === id) ||
+      incoming.find((existing) => existing.id === id);
+    if (!hook) {
+      return null;
+    }
+
+    outgoing = outgoing.filter((existing) => existing !== hook);
+    incoming = incoming.filter((existing) => existing !== hook);
+    save();
+
+    return hook;
+  }
+
+  /**
+   * Get all webhooks, without their secrets
+   * @returns {object} { outgoing: [{ id, url, room, by }], incoming: [{ id, name, room, by }] }
+   */
+  function list() {
+    return {
+      outgoing: outgoing.map((hook) => ({ id: hook.id, url: hook.url, room: hook.room, by: hook.by })),
+      incoming: incoming.map((hook) => ({ id: hook.id, name: hook.name, room: hook.room, by: hook.by }))
+    };
+  }
+
+  /**
+   * Find the incoming webhook of a token
+   * @param {string} token - The token from the /hooks/<token> URL
+   * @returns {object|null} { id, name, room, ... }, or null if the token is unknown
+   */
+  function findIncoming(token) {
+    if (typeof token !== 'string' || !token) {
+      return null;
+    }
+
+    const tokenHash = hashToken(token);
+    return incoming.find((hook) => hook.tokenHash === tokenHash) || null;
+  }
+
+  /**
+   * Send an event to every outgoing webhook of its room
+   * Returns right away: the deliveries (and their retries) happen in the background
+   *
+   * @param {string} event - What happened, e.g. 'chat-message'
+   * @param {object} data - The event's data (must have a 'room')
+   */
+  function deliver(event, data) {
+    outgoing
+      .filter((hook) => hook.room === null || hook.room === data.room)
+      .forEach((hook) => {
+        const delivery = {
+          id: crypto.randomBytes(8).toString('hex'),
+          hook: hook,
+          body: JSON.stringify({ event: event, data: data }),
+          event: event,
+          attempt: 1
+        };
+        attemptDelivery(delivery);
+      });
+  }
+
+  /**
+   * Try to send one delivery, and plan a retry if it fails
+   * Network errors, timeouts, 429 and 5xx answers are retried; other 4xx answers
+   * mean the receiver will never accept it, so they are not
+   *
+   * @param {object} delivery - { id, hook, body, event, attempt }
+   */
+  function attemptDelivery(delivery) {
+    const target = parseWebhookUrl(delivery.hook.url);
+    const timestamp = Date.now();
+    let finished = false;
+
+    const finish = (status, error) => {
+      if (finished) {
+        return;
+      }
+      finished = true;
+
+      if (status >= 200 && status < 300) {
+        return;
+      }
+
+      const problem = error ? error.message : `HTTP ${status}`;
+      const retryable = !status || status === 429 || status >= 500;
+
+      // The webhook may have been removed while we were waiting
+      const exists = outgoing.some((hook) => hook.id === delivery.hook.id);
+      if (!retryable || delivery.attempt >= options.maxAttempts || !exists) {
+        console.error(`[Webhooks] Giving up on delivery ${delivery.id} to ${delivery.hook.url} after ${delivery.attempt} tries: ${problem}`);
+        return;
+      }
+
+      const delay = options.retryDelay * Math.pow(2, delivery.attempt - 1);
+      console.warn(`[Webhooks] Delivery ${delivery.id} to ${delivery.hook.url} failed (${problem}), retrying in ${delay}ms`);
+
+      const timer = setTimeout(() => {
+        retryTimers.delete(timer);
+        delivery.attempt += 1;
+        attemptDelivery(delivery);
+      }, delay);
+      retryTimers.add(timer);
+    };
+
+    const transport = target.protocol === 'https:' ? https : http;
+    const req = transport.request(target, {
+      method: 'POST',
+      timeout: options.timeout,
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(delivery.body),
+        'User-Agent': 'realtime-chat-webhooks',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': delivery.id,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': signPayload(delivery.hook.secret, timestamp, delivery.body)
+      }
+    }, (res) => {
+      // We only need the status; read and drop the answer so the socket is freed
+      res.resume();
+      finish(res.statusCode, null);
+    });
+
+    req.on('timeout', () => req.destroy(new Error(`no answer within ${options.timeout}ms`)));
+    req.on('error', (error) => finish(0, error));
+    req.end(delivery.body);
+  }
+
+  /**
+   * Cancel the deliveries waiting for a retry (when the server stops)
+   */
+  function stop() {
+    retryTimers.forEach((timer) => clearTimeout(timer));
+    retryTimers.clear();
+  }
+
+  return { load, addOutgoing, addIncoming, remove, list, findIncoming, deliver, stop };
+}
+
+module.exports = { createWebhooks, signPayload };
@@ -0,0 +1,32 @@
+// Refuses chat messages, direct messages, edits, status texts and room topics
+// that contain a blocked word
+// The words come from the BLOCKED_WORDS environment variable, separated by
+// commas (e.g. BLOCKED_WORDS="spam,scam"). Without it this middleware does nothing.
+
+// Escape characters that have a meaning in regular expressions
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+const words = (process.env.BLOCKED_WORDS || '')
+  .split(',')
+  .map((word) => word.trim())
+  .filter(Boolean);
+
+// Whole words only, in any case ("Spam!" matches "spam", "spammer" doesn't)
+const BLOCKED_PATTERN = words.length > 0
+  ? new RegExp(`(^|[^\\p{L}\\p{N}])(${words.map(escapeRegExp).join('|')})(?=$|[^\\p{L}\\p{N}])`, 'iu')
+  : null;
+
+// Frames whose text is shown to other users ('set-topic' comes from /topic, see setRoomTopic() in server.js)
+const CHECKED_TYPES = ['chat-message', 'direct-message', 'edit-message', 'set-status', 'set-topic'];
+
+module.exports = function blockedWords(message, context) {
+  if (!BLOCKED_PATTERN || context.direction !== 'inbound' || !CHECKED_TYPES.includes(message.type)) {
+    return;
+  }
+
+  if (typeof message.text === 'string' && BLOCKED_PATTERN.test(message.text)) {
+    context.reject(`Your ${message.type === 'chat-message' || message.type === 'direct-message' ? 'message' : 'text'} contains a word that is not allowed here`);
+  }
+};
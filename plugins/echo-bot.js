@@ -0,0 +1,23 @@
+// Echo bot - answers "!echo <text>" with the text, in the message's thread
+// The smallest useful plugin: one bot and one event handler
+
+module.exports = {
+  name: 'echo-bot',
+  description: 'Repeats "!echo <text>"',
+
+  setup(api) {
+    const bot = api.createBot('echo-bot');
+
+    api.on('message', (message) => {
+      // Never answer bots (including ourselves), or two bots could talk forever
+      if (message.bot) {
+        return;
+      }
+
+      const match = /^!echo\s+([\s\S]+)$/.exec(message.text);
+      if (match) {
+        bot.say(message.room, match[1], { replyTo: message.id });
+      }
+    });
+  }
+};
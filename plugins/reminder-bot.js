@@ -0,0 +1,62 @@
+// Reminder bot - "/remind 10m stand up and stretch" mentions you in the room
+// after 10 minutes. Reminders are kept in memory only: a restart forgets them
+
+const { parseDuration } = require('../lib/moderation');
+
+// Longest wait for a reminder
+const MAX_DELAY = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+// Most reminders one user can have waiting
+const MAX_REMINDERS_PER_USER = 10;
+
+module.exports = {
+  name: 'reminder-bot',
+  description: 'Reminds you of something later (/remind)',
+
+  setup(api) {
+    const bot = api.createBot('reminder-bot');
+
+    // Timers of the waiting reminders, and how many each user has
+    const timers = new Set();
+    const pendingCounts = new Map(); // Map<string (lowercase username), number>
+
+    api.registerCommand({
+      name: 'remind',
+      usage: '/remind <when, e.g. 10m or 2h> <what>',
+      description: 'Get a reminder in this room later',
+      roomOnly: true,
+
+      run(context) {
+        const match = /^(\S+)\s+([\s\S]+)$/.exec(context.args);
+        const delay = match ? parseDuration(match[1]) : null;
+
+        if (!delay || delay > MAX_DELAY) {
+          context.fail('invalid-command', `Usage: ${this.usage} (at most 7d)`);
+          return;
+        }
+
+        const key = context.username.toLowerCase();
+        const pending = pendingCounts.get(key) || 0;
+        if (pending >= MAX_REMINDERS_PER_USER) {
+          context.fail('too-many-reminders', `You can have at most ${MAX_REMINDERS_PER_USER} reminders waiting`);
+          return;
+        }
+
+        pendingCounts.set(key, pending + 1);
+
+        const timer = setTimeout(() => {
+          timers.delete(timer);
+          pendingCounts.set(key, pendingCounts.get(key) - 1);
+          bot.say(context.room, `@${context.username} reminder: ${match[2]}`);
+        }, delay);
+        timers.add(timer);
+
+        context.reply(`OK, I'll remind you in ${match[1]}`);
+      }
+    });
+
+    api.on('stop', () => {
+      timers.forEach((timer) => clearTimeout(timer));
+    });
+  }
+};
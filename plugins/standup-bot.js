@@ -0,0 +1,107 @@
+// Standup bot - "/standup start" asks the room for its daily update, the
+// answers are replies in the thread of that question, and "/standup end"
+// posts a summary of who said what (and who is still missing)
+
+// Longest answer quoted in the summary (in characters)
+const SUMMARY_ANSWER_LENGTH = 200;
+
+module.exports = {
+  name: 'standup-bot',
+  description: 'Runs a daily standup in a room (/standup)',
+
+  setup(api) {
+    const bot = api.createBot('standup-bot');
+
+    // The running standups
+    // Format: Map<string (room), { questionId: number, answers: Map<string (username), string (text)> }>
+    const standups = new Map();
+
+    api.registerCommand({
+      name: 'standup',
+      usage: '/standup start | end',
+      description: 'Start a standup in this room, or end it with a summary',
+      roomOnly: true,
+
+      run(context) {
+        if (context.args === 'start') {
+          if (standups.has(context.room)) {
+            context.fail('standup-running', 'A standup is already running here - "/standup end" to finish it');
+            return;
+          }
+
+          const result = bot.say(context.room,
+            `Standup time (started by ${context.username})! Reply to this message: ` +
+            'what did you do yesterday, what will you do today, is anything blocking you?');
+          if (result.error) {
+            context.fail(result.error.code, result.error.text);
+            return;
+          }
+
+          standups.set(context.room, { questionId: result.message.id, answers: new Map() });
+          return;
+        }
+
+        if (context.args === 'end') {
+          const standup = standups.get(context.room);
+          if (!standup) {
+            context.fail('no-standup', 'No standup is running here - "/standup start" starts one');
+            return;
+          }
+
+          standups.delete(context.room);
+
+          const result = bot.say(context.room, summarize(standup, api.getRoomMembers(context.room)));
+          if (result.error) {
+            context.fail(result.error.code, result.error.text);
+          }
+          return;
+        }
+
+        context.fail('invalid-command', `Usage: ${this.usage}`);
+      }
+    });
+
+    // Answers are the replies to the standup question (the latest one counts)
+    api.on('message', (message) => {
+      const standup = standups.get(message.room);
+      if (standup && !message.bot && message.replyTo === standup.questionId) {
+        standup.answers.set(message.username, message.text);
+      }
+    });
+
+    // Point late arrivals to the running standup
+    api.on('join', (event) => {
+      const standup = standups.get(event.room);
+      if (standup && !standup.answers.has(event.username)) {
+        bot.say(event.room, `@${event.username} a standup is running - reply to its question to join in`);
+      }
+    });
+  }
+};
+
+/**
+ * Write the summary of a finished standup
+ * @param {object} standup - { questionId, answers }
+ * @param {Array<object>} members - The room's members ([{ username }])
+ * @returns {string} The summary message
+ */
+function summarize(standup, members) {
+  if (standup.answers.size === 0) {
+    return 'Standup ended - nobody answered';
+  }
+
+  const lines = [`Standup ended - ${standup.answers.size} answered:`];
+  standup.answers.forEach((text, username) => {
+    const answer = text.length > SUMMARY_ANSWER_LENGTH ? text.slice(0, SUMMARY_ANSWER_LENGTH) + '...' : text;
+    lines.push(`**${username}**: ${answer}`);
+  });
+
+  const missing = members
+    .map((member) => member.username)
+    .filter((username) => !standup.answers.has(username));
+  if (missing.length > 0) {
+    lines.push(`No answer from: ${missing.join(', ')}`);
+  }
+
+  return lines.join('\n');
+}
@@ -18,11 +18,46 @@ const chatMessages = document.getElementById('chatMessages');
 const connectionStatus = document.getElementById('connectionStatus');
 const onlineCount = document.getElementById('onlineCount');
 const typingIndicator = document.getElementById('typingIndicator');
+const roomHeader = document.getElementById('roomHeader');
+
+// Room sidebar elements
+const roomList = document.getElementById('roomList');
+const joinRoomForm = document.getElementById('joinRoomForm');
+const roomInput = document.getElementById('roomInput');
+
+// Member list and status elements
+const membersToggle = document.getElementById('membersToggle');
+const memberList = document.getElementById('memberList');
+const memberItems = document.getElementById('memberItems');
+const statusForm = document.getElementById('statusForm');
+const statusSelect = document.getElementById('statusSelect');
+const statusTextInput = document.getElementById('statusTextInput');
+
+// Reply and thread elements
+const replyBar = document.getElementById('replyBar');
+const replyBarText = document.getElementById('replyBarText');
+const cancelReplyBtn = document.getElementById('cancelReplyBtn');
+const threadPanel = document.getElementById('threadPanel');
+const threadMessages = document.getElementById('threadMessages');
+const closeThreadBtn = document.getElementById('closeThreadBtn');
+const threadReplyBtn = document.getElementById('threadReplyBtn');
+
+// Attachment elements
+const chatMain = document.querySelector('.chat-main');
+const attachmentBar = document.getElementById('attachmentBar');
+const attachButton = document.getElementById('attachButton');
+const fileInput = document.getElementById('fileInput');
+
+// Direct message elements
+const directList = document.getElementById('directList');
+const newDirectForm = document.getElementById('newDirectForm');
+const directInput = document.getElementById('directInput');
 
 // Username setup elements
 const usernameSetup = document.getElementById('usernameSetup');
 const usernameInput = document.getElementById('usernameInput');
 const saveUsernameBtn = document.getElementById('saveUsernameBtn');
+const usernameError = document.getElementById('usernameError');
 
 // ============================================
 // 2. GLOBAL VARIABLES
@@ -30,15 +65,136 @@ const saveUsernameBtn = document.getElementById('saveUsernameBtn');
 
 let socket = null; // WebSocket connection (will be created later)
 let currentUsername = null; // Store the current user's username
+let isIdentified = false; // True once the server accepted our username ('identified' message)
+let isAdmin = false; // True once the server accepted our admin secret ('/admin', for this connection only)
+
+// Close codes the server uses when an admin removes us - we don't reconnect after these
+const CLOSE_KICKED = 4001;
+const CLOSE_BANNED = 4003;
+
+// Version of the server's protocol this page speaks (sent in 'hello')
+const PROTOCOL_VERSION = 1;
+
+// Reconnection state
+const RECONNECT_BASE_DELAY = 1000; // First retry waits up to 1 second...
+const RECONNECT_MAX_DELAY = 30000; // ...doubling each time, up to 30 seconds
+let reconnectAttempts = 0; // Failed attempts since we were last connected
+let reconnectTimer = null; // Timer that opens the next connection
+let countdownTimer = null; // Timer that updates "Reconnecting in Ns..." every second
+let hasShownDisconnect = false; // Only show one "Disconnected" notice per outage
+
+// Liveness check: we ping the server regularly, and treat the connection as
+// dead if nothing at all arrives within a few seconds of a ping
+// (a silent, half-open connection never fires a 'close' event by itself)
+const LIVENESS_PING_INTERVAL = 25000; // Ping the server every 25 seconds
+const LIVENESS_TIMEOUT = 10000; // Give up if no message arrives within 10s of a ping
+let livenessPingTimer = null; // Interval that sends our pings
+let livenessTimeout = null; // Timer that gives up on a silent server
+
+// Messages typed while offline, sent as soon as we are connected again
+const outbox = [];
+
+// Delivery state
+const ACK_TIMEOUT = 10000; // Mark a message as failed if the server doesn't acknowledge it in 10s
+
+// Our messages the server hasn't acknowledged yet
+// Format: Map<nonce, { message, element, timer }>
+const pendingMessages = new Map();
+
+// Emojis offered in the reaction picker
+const REACTION_EMOJIS = ['👍', '❤️', '😂', '🎉', '😮', '😢', '👀', '✅'];
+
+// Emoji shortcodes that can be typed in messages, e.g. ":tada:" shows 🎉
+const EMOJI_SHORTCODES = {
+  '+1': '👍', thumbsup: '👍', '-1': '👎', thumbsdown: '👎',
+  smile: '😄', grin: '😁', joy: '😂', laughing: '😆', sweat_smile: '😅', wink: '😉',
+  slightly_smiling_face: '🙂', thinking: '🤔', sunglasses: '😎', cry: '😢', sob: '😭',
+  open_mouth: '😮', scream: '😱', rage: '😡', facepalm: '🤦', shrug: '🤷',
+  heart: '❤️', broken_heart: '💔', fire: '🔥', tada: '🎉', rocket: '🚀', sparkles: '✨',
+  star: '⭐', eyes: '👀', wave: '👋', clap: '👏', pray: '🙏', muscle: '💪', ok_hand: '👌',
+  white_check_mark: '✅', heavy_check_mark: '✔️', x: '❌', warning: '⚠️', bug: '🐛',
+  '100': '💯', zap: '⚡', coffee: '☕', beer: '🍺', pizza: '🍕', bulb: '💡', memo: '📝'
+};
+
+// Ids of every message already on screen, so a message is never shown twice
+// (e.g. our own message coming back, or history overlapping live messages)
+// The ids of a room's messages are forgotten when we leave it (see handleRoomLeft)
+const seenMessageIds = new Set();
+
+// Id of the newest message we have seen in each room
+// Sent when rejoining so the server only replays what we missed
+// Format: Map<room, number>
+const lastSeenIds = new Map();
+
+// Presence state
+const IDLE_TIMEOUT = 5 * 60 * 1000; // Show us as away after 5 minutes without any activity
+let idleTimer = null; // Timer that marks us as idle
+let isIdle = false; // True while we are inactive or the tab is hidden
+let chosenStatus = 'online'; // Status picked by the user: 'online' (automatic away), 'away' or 'dnd'
+let statusText = ''; // Custom status text picked by the user
+let sentStatus = null; // Last status sent to the server, so the same one isn't sent twice
+
+// Upload state
+const MAX_ATTACHMENTS = 5; // Most files one message can carry (the server checks this too)
+let uploadToken = null; // Proves to POST /upload that the files come from us (from 'identified')
+
+// Files picked for the next message, in the order they were added
+// Format: Array<{ name, attachment (null while uploading), element }>
+let pendingUploads = [];
+
+// Mention state
+const PAGE_TITLE = document.title; // The title without the unread mention count
+let unreadMentions = 0; // Mentions received while the tab was hidden, shown in the title
+let mentionCompletion = null; // Tab completion of "@name" in progress: { start, end, matches, index }
+
+// Roster of every joined room (from 'room-joined', then kept up to date by 'presence' diffs)
+// Format: Map<room, Map<username, { username, status, text }>>
+const roomMembers = new Map();
+
+// Read receipts: we tell the server the newest message we have actually seen in each room
+const READ_REPORT_DELAY = 500; // Wait this long after scrolling or new messages before reporting
+let readReportTimer = null; // Timer that sends the next report
+
+// Id of the newest message we reported as read, per room
+// Format: Map<room, number>
+const lastReportedReadIds = new Map();
+
+// Thread state
+const REPLY_PREVIEW_LENGTH = 100; // Length of the quoted text shown on replies (must match the server)
+let replyingTo = null; // Message our next message answers: { id, username, text } (null = not a reply)
+let openThreadId = null; // Id of the message whose thread is shown in the thread panel
 
 // Typing indicator state
 let typingTimeout = null; // Timer for detecting when user stops typing
 let isCurrentlyTyping = false; // Track if we've sent a "typing: true" message
 
-// Track who is currently typing
-// Format: Map<username, timeoutId>
+// Track who is currently typing, per room
+// Format: Map<room, Map<username, timeoutId>>
 const usersTyping = new Map();
 
+// Conversation state
+// A conversation is either a room (key: the room name) or a direct message
+// thread with one user (key: "@" + their username - room names can't start with "@")
+const DEFAULT_ROOM = 'general'; // Room every user is in (must match the server)
+let activeConversation = DEFAULT_ROOM; // Conversation currently shown in the message area
+let typingRoom = null; // Room we last sent "typing: true" to
+let roomToOpen = null; // Room the user just asked to join (switch to it once joined)
+let joinedRooms = []; // Rooms we are a member of (saved in localStorage)
+let availableRooms = []; // All rooms on the server, from the last 'room-list' message
+let directChats = []; // Usernames we have a direct message conversation with
+
+// Format: Map<conversationKey, HTMLElement> - one message pane per conversation
+const conversationPanes = new Map();
+
+// Format: Map<conversationKey, number> - messages received while the conversation was not shown
+const unreadCounts = new Map();
+
+// Format: Map<room, number> - online users per room
+const roomCounts = new Map();
+
+// Format: Map<room, string> - topic of each joined room (set with /topic)
+const roomTopics = new Map();
+
 // ============================================
 // 3. USERNAME MANAGEMENT
 // ============================================
@@ -90,6 +246,12 @@ function saveUsername() {
     return;
   }
 
+  // Validate: same characters the server accepts
+  if (!/^[A-Za-z0-9_-]+$/.test(username)) {
+    alert('Usernames can only use letters, numbers, "-" and "_"');
+    return;
+  }
+
   // Save to both localStorage and our variable
   currentUsername = username;
   localStorage.setItem('chatUsername', username);
@@ -98,9 +260,105 @@ function saveUsername() {
 
   // Hide the username setup overlay
   usernameSetup.classList.add('hidden');
+  usernameError.textContent = '';
+
+  // If we are already connected (e.g. the server rejected our previous name),
+  // just try again with the new name - otherwise connect first
+  if (socket && socket.readyState === WebSocket.OPEN) {
+    sendHello();
+  } else {
+    connectToServer();
+  }
+}
+
+/**
+ * Show the username prompt again with an explanation
+ * Used when the server rejects our username (taken or invalid)
+ *
+ * @param {string} text - Why the username was rejected
+ */
+function askForNewUsername(text) {
+  usernameError.textContent = text;
+  usernameInput.value = currentUsername || '';
+  usernameSetup.classList.remove('hidden');
+  usernameInput.focus();
+}
+
+/**
+ * Tell the server who we are
+ * Nothing else can be sent until the server answers with 'identified'
+ */
+function sendHello() {
+  socket.send(JSON.stringify({
+    type: 'hello',
+    username: currentUsername,
+    protocol: PROTOCOL_VERSION,
+    // The token of our previous connection lets the server drop that connection
+    // if it hasn't noticed yet that it is dead (otherwise our name would be "taken")
+    resume: uploadToken || undefined,
+    timestamp: Date.now()
+  }));
+}
+
+/**
+ * Handle the server accepting our username
+ */
+function handleIdentified(message) {
+  // The server's spelling of our name is the one other users see
+  // (a new connection never starts as admin)
+  isIdentified = true;
+  setAdmin(false);
+  currentUsername = message.username;
+  uploadToken = message.uploadToken;
+  localStorage.setItem('chatUsername', currentUsername);
+
+  // Tell everyone whether we are around (a new connection starts as 'online')
+  sentStatus = null;
+  sendStatus();
+
+  // Join (or rejoin) every room we were in
+  joinedRooms.forEach((room) => requestJoinRoom(room));
+
+  // Send anything typed while we were offline
+  flushOutbox();
+}
+
+/**
+ * Remember whether we are an admin
+ * Admin-only buttons (like deleting other people's messages) are shown with a class on <body>
+ *
+ * @param {boolean} admin - True if the server made us an admin
+ */
+function setAdmin(admin) {
+  isAdmin = Boolean(admin);
+  document.body.classList.toggle('admin', isAdmin);
+}
+
+/**
+ * Handle a 'moderated' message: an admin did something to us
+ * Kicks and bans are followed by the server closing the connection
+ */
+function handleModerated(message) {
+  const reason = message.reason ? ` (${message.reason})` : '';
+
+  if (message.action === 'kick') {
+    addSystemMessage(`You were kicked by ${message.by}${reason}`);
+  } else if (message.action === 'ban') {
+    addSystemMessage(`You are banned until ${new Date(message.until).toLocaleString()}${reason}`);
+  } else if (message.action === 'mute') {
+    addSystemMessage(`You were muted by ${message.by} until ${formatTime(message.until)}${reason}`);
+  } else if (message.action === 'unmute') {
+    addSystemMessage(`${message.by} unmuted you`);
+  }
+}
 
-  // Connect to the chat server
-  connectToServer();
+/**
+ * Handle the server accepting our new name (from the /nick command)
+ * The room members are told by the server; we only remember the name for next time
+ */
+function handleUsernameChanged(message) {
+  currentUsername = message.username;
+  localStorage.setItem('chatUsername', currentUsername);
 }
 
 // ============================================
@@ -114,6 +372,9 @@ function saveUsername() {
 function connectToServer() {
   console.log('Connecting to WebSocket server...');
 
+  // A manual reconnect (e.g. the browser came back online) replaces any scheduled one
+  clearReconnectTimers();
+
   // Update UI to show we're connecting
   updateConnectionStatus('Connecting...', 'connecting');
 
@@ -134,33 +395,135 @@ function connectToServer() {
     console.log('Connected to server!');
     updateConnectionStatus('Connected', 'connected');
 
+    // Start the backoff from scratch next time we lose the connection
+    if (hasShownDisconnect) {
+      addSystemMessage('Reconnected to server.');
+    }
+    reconnectAttempts = 0;
+    hasShownDisconnect = false;
+
+    // Start checking that the server stays reachable
+    startLivenessCheck();
+
     // Enable the send button now that we're connected
     sendButton.disabled = false;
+
+    // Identify ourselves - rooms are joined once the server accepts the name
+    isIdentified = false;
+    sendHello();
   });
 
   // ============================================
   // WebSocket Event: Message Received
   // ============================================
   socket.addEventListener('message', function(event) {
+    // Ignore anything from a connection we already gave up on
+    if (event.target !== socket) {
+      return;
+    }
+
     console.log('Message received from server:', event.data);
 
+    // Any message at all shows the server is still there
+    clearTimeout(livenessTimeout);
+    livenessTimeout = null;
+
     try {
       // Parse the JSON message from the server
       const message = JSON.parse(event.data);
 
       // Handle different message types
-      if (message.type === 'chat-message') {
+      if (message.type === 'pong') {
+        // Answer to our liveness ping - nothing else to do
+      } else if (message.type === 'identified') {
+        // The server accepted our username
+        handleIdentified(message);
+      } else if (message.type === 'ack') {
+        // The server received one of our messages
+        handleAck(message);
+      } else if (message.type === 'chat-message') {
         // Regular chat message
         displayMessage(message);
+      } else if (message.type === 'direct-message') {
+        // Private message sent to us (or our own copy of one we sent)
+        handleDirectMessage(message);
+      } else if (message.type === 'message-edited') {
+        // Someone changed the text of one of their messages
+        handleMessageEdited(message);
+      } else if (message.type === 'message-deleted') {
+        // Someone deleted one of their messages
+        handleMessageDeleted(message);
+      } else if (message.type === 'reactions-updated') {
+        // Someone added or removed a reaction
+        handleReactionsUpdated(message);
+      } else if (message.type === 'read-receipts') {
+        // Who has seen which messages (only shown on our own messages)
+        handleReadReceipts(message);
+      } else if (message.type === 'thread-updated') {
+        // Someone replied to a message
+        handleThreadUpdated(message);
+      } else if (message.type === 'thread') {
+        // A thread we asked for (get-thread)
+        handleThread(message);
       } else if (message.type === 'system') {
         // System message (join/leave notifications)
-        addSystemMessage(message.text);
-      } else if (message.type === 'online-count') {
-        // Update online user count
-        updateOnlineCount(message.count);
+        addSystemMessage(message.text, message.room);
+      } else if (message.type === 'role') {
+        // The server accepted our admin secret
+        setAdmin(message.admin);
+      } else if (message.type === 'moderated') {
+        // An admin kicked, banned or muted us
+        handleModerated(message);
+      } else if (message.type === 'username-changed') {
+        // Our /nick command worked
+        handleUsernameChanged(message);
+      } else if (message.type === 'room-topic') {
+        // Someone changed a room's topic with /topic
+        roomTopics.set(message.room, message.topic);
+        updateRoomHeader();
+      } else if (message.type === 'presence') {
+        // Someone joined or left a room, or changed their status
+        handlePresence(message);
       } else if (message.type === 'typing') {
         // Typing indicator from another user
         handleTypingIndicator(message);
+      } else if (message.type === 'room-list') {
+        // List of all rooms and their member counts
+        handleRoomList(message);
+      } else if (message.type === 'room-joined') {
+        // The server confirmed that we joined a room
+        handleRoomJoined(message);
+      } else if (message.type === 'history') {
+        // Past messages of a room we just joined
+        handleHistory(message);
+      } else if (message.type === 'room-left') {
+        // The server confirmed that we left a room
+        handleRoomLeft(message);
+      } else if (message.type === 'error') {
+        // The server rejected something we sent (the field helps when debugging)
+        console.warn('Server error:', message.code, message.field ? `(field: ${message.field})` : '', message.text);
+
+        if (message.code === 'username-taken' || message.code === 'invalid-username') {
+          askForNewUsername(message.text);
+        } else if ((message.code === 'rate-limited' || message.code === 'muted') && !isIdentified) {
+          // Our hello was refused for now - say it again once the server lets us
+          addSystemMessage(message.text);
+          setTimeout(() => {
+            if (socket && socket.readyState === WebSocket.OPEN && !isIdentified) {
+              sendHello();
+            }
+          }, message.retryAfter);
+        } else if (message.code === 'unsupported-protocol') {
+          // The server was updated since this page was loaded
+          sendButton.disabled = true;
+          addSystemMessage('The chat server has been updated. Reload the page to continue.');
+        } else if (message.nonce && pendingMessages.has(message.nonce)) {
+          // One of our messages was refused - show why and mark it as failed
+          addSystemMessage(message.text);
+          markMessageFailed(message.nonce);
+        } else {
+          addSystemMessage(message.text);
+        }
       } else {
         console.log('Unknown message type:', message.type);
       }
@@ -175,28 +538,148 @@ function connectToServer() {
   // WebSocket Event: Connection Closed
   // ============================================
   socket.addEventListener('close', function(event) {
-    console.log('Disconnected from server');
-    updateConnectionStatus('Disconnected', 'disconnected');
-
-    // Show a message to the user
-    addSystemMessage('Disconnected from server. Refresh to reconnect.');
+    // A connection we already gave up on (see the liveness check) closing late
+    if (event.target !== socket) {
+      return;
+    }
 
-    // Disable sending messages
-    sendButton.disabled = true;
+    handleDisconnect(event.code);
   });
 
   // ============================================
   // WebSocket Event: Error Occurred
   // ============================================
   socket.addEventListener('error', function(error) {
+    // A 'close' event always follows, which takes care of reconnecting
     console.error('WebSocket error:', error);
     updateConnectionStatus('Connection Error', 'error');
+  });
+}
 
-    // Show error message to user
-    addSystemMessage('Connection error. Please check if the server is running.');
-
-    // Disable sending messages
+/**
+ * Clean up after losing the connection and schedule a reconnect
+ * @param {number} [closeCode] - The WebSocket close code
+ */
+function handleDisconnect(closeCode) {
+  console.log('Disconnected from server');
+  updateConnectionStatus('Disconnected', 'disconnected');
+  isIdentified = false;
+  stopLivenessCheck();
+
+  // Removed by an admin: reconnecting right away would only be refused (or undo a kick)
+  if (closeCode === CLOSE_KICKED || closeCode === CLOSE_BANNED) {
     sendButton.disabled = true;
+    addSystemMessage('You have been removed from the chat. Reload the page to try again.');
+    return;
+  }
+
+  // Show a message to the user (once, not after every failed retry)
+  if (!hasShownDisconnect) {
+    addSystemMessage('Disconnected from server. Trying to reconnect...');
+    hasShownDisconnect = true;
+  }
+
+  // Messages that were sent but never acknowledged may not have arrived:
+  // queue them again, the server ignores any that it already delivered
+  requeueUnacknowledged();
+
+  // Messages typed from now on are queued (see sendMessage)
+  scheduleReconnect();
+}
+
+/**
+ * Start pinging the server regularly to notice when it goes silent
+ */
+function startLivenessCheck() {
+  stopLivenessCheck();
+
+  livenessPingTimer = setInterval(function() {
+    if (!socket || socket.readyState !== WebSocket.OPEN) {
+      return;
+    }
+
+    socket.send(JSON.stringify({ type: 'ping', timestamp: Date.now() }));
+
+    // The 'message' handler clears this timeout as soon as anything arrives
+    if (!livenessTimeout) {
+      livenessTimeout = setTimeout(handleSilentServer, LIVENESS_TIMEOUT);
+    }
+  }, LIVENESS_PING_INTERVAL);
+}
+
+/**
+ * Stop the liveness pings and timeout
+ */
+function stopLivenessCheck() {
+  clearInterval(livenessPingTimer);
+  clearTimeout(livenessTimeout);
+  livenessPingTimer = null;
+  livenessTimeout = null;
+}
+
+/**
+ * The server didn't answer our ping in time - treat the connection as dead
+ *
+ * Closing a dead connection can take minutes to finish, so we don't wait for
+ * its 'close' event: we forget the socket and reconnect right away.
+ */
+function handleSilentServer() {
+  console.warn('Server did not answer our ping, reconnecting');
+
+  const deadSocket = socket;
+  socket = null;
+  deadSocket.close();
+
+  handleDisconnect();
+}
+
+/**
+ * Schedule the next connection attempt
+ *
+ * Uses exponential backoff with "full jitter": the maximum wait doubles after
+ * every failed attempt, and the actual wait is a random time up to that maximum.
+ * The randomness stops every browser from reconnecting at the same moment
+ * after a server restart.
+ */
+function scheduleReconnect() {
+  clearReconnectTimers();
+
+  const maxDelay = Math.min(RECONNECT_MAX_DELAY, RECONNECT_BASE_DELAY * Math.pow(2, reconnectAttempts));
+  const delay = Math.round(Math.random() * maxDelay);
+  const reconnectAt = Date.now() + delay;
+
+  reconnectAttempts++;
+  console.log(`Reconnecting in ${delay}ms (attempt ${reconnectAttempts})`);
+
+  // Show a countdown in the header
+  function updateCountdown() {
+    const secondsLeft = Math.ceil((reconnectAt - Date.now()) / 1000);
+    updateConnectionStatus(`Disconnected - reconnecting in ${Math.max(secondsLeft, 0)}s...`, 'reconnecting');
+  }
+  updateCountdown();
+  countdownTimer = setInterval(updateCountdown, 1000);
+
+  reconnectTimer = setTimeout(connectToServer, delay);
+}
+
+/**
+ * Cancel a scheduled reconnect and its countdown
+ */
+function clearReconnectTimers() {
+  clearTimeout(reconnectTimer);
+  clearInterval(countdownTimer);
+  reconnectTimer = null;
+  countdownTimer = null;
+}
+
+/**
+ * Send the messages that were typed while we were offline
+ */
+function flushOutbox() {
+  const queued = outbox.splice(0, outbox.length);
+  queued.forEach((message) => {
+    console.log('Sending queued message:', message);
+    deliverMessage(message);
   });
 }
 
@@ -209,7 +692,7 @@ function updateConnectionStatus(text, status) {
 }
 
 // ============================================
-// 5. ONLINE COUNT
+// 5. PRESENCE AND MEMBER LIST
 // ============================================
 
 /**
@@ -220,241 +703,2274 @@ function updateOnlineCount(count) {
   onlineCount.textContent = count;
 }
 
-// ============================================
-// 6. TYPING INDICATOR
-// ============================================
-
 /**
- * Send typing status to server
- * @param {boolean} isTyping - Whether the user is typing or not
+ * Load our chosen status from localStorage and show it in the status form
  */
-function sendTypingStatus(isTyping) {
-  // Only send if we're connected
-  if (!socket || socket.readyState !== WebSocket.OPEN) {
-    return;
+function loadStatus() {
+  try {
+    const saved = JSON.parse(localStorage.getItem('chatStatus')) || {};
+    chosenStatus = saved.status || 'online';
+    statusText = saved.text || '';
+  } catch (error) {
+    chosenStatus = 'online';
+    statusText = '';
   }
 
-  const typingMessage = {
-    type: 'typing',
-    username: currentUsername,
-    isTyping: isTyping,
-    timestamp: Date.now()
-  };
+  statusSelect.value = chosenStatus;
+  statusTextInput.value = statusText;
+}
 
-  console.log('Sending typing status:', isTyping);
-  socket.send(JSON.stringify(typingMessage));
+/**
+ * Work out the status other users should see
+ * An explicit "away" or "do not disturb" always wins; otherwise we are
+ * away while idle or while the tab is hidden
+ *
+ * @returns {string} 'online', 'away' or 'dnd'
+ */
+function getEffectiveStatus() {
+  if (chosenStatus !== 'online') {
+    return chosenStatus;
+  }
 
-  // Update our local state
-  isCurrentlyTyping = isTyping;
+  return isIdle ? 'away' : 'online';
 }
 
 /**
- * Handle typing indicator from another user
+ * Send our status to the server if it changed since the last time
  */
-function handleTypingIndicator(message) {
-  const username = message.username;
-
-  // Don't show our own typing indicator
-  if (username === currentUsername) {
+function sendStatus() {
+  if (!isIdentified || !socket || socket.readyState !== WebSocket.OPEN) {
     return;
   }
 
-  if (message.isTyping) {
-    // User started typing
-    console.log(username, 'is typing...');
+  const status = { status: getEffectiveStatus(), text: statusText };
+  const key = JSON.stringify(status);
+  if (key === sentStatus) {
+    return;
+  }
 
-    // Clear existing timeout for this user if any
-    if (usersTyping.has(username)) {
-      clearTimeout(usersTyping.get(username));
-    }
+  sentStatus = key;
+  socket.send(JSON.stringify({
+    type: 'set-status',
+    status: status.status,
+    text: status.text,
+    timestamp: Date.now()
+  }));
+}
 
-    // Add user to typing set
-    usersTyping.set(username, null);
+/**
+ * Handle changes in the status form (the dropdown or the custom text)
+ */
+function handleStatusChange(event) {
+  if (event) {
+    event.preventDefault();
+  }
 
-    // Auto-clear this typing indicator after 3 seconds
-    // (in case we don't receive the "stopped typing" message)
-    const timeoutId = setTimeout(() => {
-      usersTyping.delete(username);
-      updateTypingIndicatorDisplay();
-    }, 3000);
+  chosenStatus = statusSelect.value;
+  statusText = statusTextInput.value.trim();
+  localStorage.setItem('chatStatus', JSON.stringify({ status: chosenStatus, text: statusText }));
 
-    usersTyping.set(username, timeoutId);
-  } else {
-    // User stopped typing
-    console.log(username, 'stopped typing');
+  sendStatus();
+}
 
-    // Clear timeout and remove from set
-    if (usersTyping.has(username)) {
-      clearTimeout(usersTyping.get(username));
-      usersTyping.delete(username);
-    }
+/**
+ * Note that the user did something (moved the mouse, typed, ...)
+ * Brings us back from "away" and restarts the idle timer
+ */
+function markActive() {
+  if (document.hidden) {
+    return;
   }
 
-  // Update the display
-  updateTypingIndicatorDisplay();
+  clearTimeout(idleTimer);
+  idleTimer = setTimeout(() => {
+    isIdle = true;
+    sendStatus();
+  }, IDLE_TIMEOUT);
+
+  if (isIdle) {
+    isIdle = false;
+    sendStatus();
+  }
 }
 
 /**
- * Update the typing indicator display based on who is typing
+ * A hidden tab means we are away; showing it again counts as activity
  */
-function updateTypingIndicatorDisplay() {
-  const typingUsers = Array.from(usersTyping.keys());
-
-  if (typingUsers.length === 0) {
-    // No one is typing
-    typingIndicator.textContent = '';
-    typingIndicator.style.display = 'none';
-  } else if (typingUsers.length === 1) {
-    // One person is typing
-    typingIndicator.textContent = `${typingUsers[0]} is typing...`;
-    typingIndicator.style.display = 'block';
-  } else if (typingUsers.length === 2) {
-    // Two people are typing
-    typingIndicator.textContent = `${typingUsers[0]} and ${typingUsers[1]} are typing...`;
-    typingIndicator.style.display = 'block';
+function handleVisibilityChange() {
+  if (document.hidden) {
+    isIdle = true;
+    sendStatus();
   } else {
-    // Multiple people are typing
-    typingIndicator.textContent = 'Several people are typing...';
-    typingIndicator.style.display = 'block';
+    markActive();
+    clearUnreadMentions();
   }
 }
 
 /**
- * Handle user typing in the message input
- * This is called on every keystroke
+ * Handle a 'presence' message: a diff to the roster of one room
  */
-function handleUserTyping() {
-  // Clear the previous timeout
-  if (typingTimeout) {
-    clearTimeout(typingTimeout);
+function handlePresence(message) {
+  if (!roomMembers.has(message.room)) {
+    return;
   }
 
-  // If this is the first keystroke, send "typing: true"
-  if (!isCurrentlyTyping) {
-    sendTypingStatus(true);
-  }
+  const members = roomMembers.get(message.room);
+  message.updated.forEach((member) => members.set(member.username, member));
+  message.removed.forEach((username) => members.delete(username));
 
-  // Set a timeout to send "typing: false" after 1 second of inactivity
-  typingTimeout = setTimeout(() => {
-    sendTypingStatus(false);
-  }, 1000);
+  if (message.room === activeConversation) {
+    renderMemberList();
+  }
 }
 
-// ============================================
-// 7. SENDING MESSAGES
-// ============================================
-
 /**
- * Send a chat message to the server
+ * Draw the member list of the conversation currently shown
+ * Members who are online come first, then do not disturb, then away
  */
-function sendMessage(event) {
-  // Prevent the form from submitting normally (which would reload the page)
-  event.preventDefault();
-
-  // Get the message text from the input
-  const messageText = messageInput.value.trim();
-
-  // Don't send empty messages
-  if (messageText === '') {
-    return;
-  }
+function renderMemberList() {
+  memberItems.textContent = '';
 
-  // Make sure we're connected before trying to send
-  if (!socket || socket.readyState !== WebSocket.OPEN) {
-    addSystemMessage('Cannot send message: Not connected to server');
+  const members = roomMembers.get(activeConversation);
+  if (!members) {
+    // Direct messages (or a room we haven't joined yet) have no roster
+    updateOnlineCount(0);
     return;
   }
 
-  // Create the message object
-  // This matches the format the server expects
-  const message = {
-    type: 'chat-message',           // Type of message
-    username: currentUsername,       // Who sent it
-    text: messageText,              // The actual message
-    timestamp: Date.now()           // When it was sent (milliseconds since 1970)
-  };
+  const order = { online: 0, dnd: 1, away: 2 };
+  const sorted = Array.from(members.values()).sort((a, b) =>
+    order[a.status] - order[b.status] || a.username.localeCompare(b.username));
 
-  console.log('Sending message:', message);
+  sorted.forEach((member) => {
+    const item = document.createElement('li');
+    item.className = 'member-item';
 
-  // Convert the message object to JSON and send it
-  socket.send(JSON.stringify(message));
+    const dot = document.createElement('span');
+    dot.className = `presence-dot ${member.status}`;
+    dot.title = { online: 'Online', away: 'Away', dnd: 'Do not disturb' }[member.status];
+    item.appendChild(dot);
 
-  // Clear the input field so user can type a new message
-  messageInput.value = '';
+    const details = document.createElement('span');
+    details.textContent = member.username === currentUsername ? `${member.username} (you)` : member.username;
 
-  // Send "stopped typing" indicator since we just sent a message
-  if (isCurrentlyTyping) {
-    sendTypingStatus(false);
-  }
+    if (member.text) {
+      const text = document.createElement('span');
+      text.className = 'member-status-text';
+      text.textContent = member.text;
+      details.appendChild(text);
+    }
 
-  // Clear the typing timeout
-  if (typingTimeout) {
-    clearTimeout(typingTimeout);
-    typingTimeout = null;
-  }
+    item.appendChild(details);
+    memberItems.appendChild(item);
+  });
 
-  // Keep focus on the input for easy continued typing
-  messageInput.focus();
+  updateOnlineCount(members.size);
 }
 
 // ============================================
-// 8. DISPLAYING MESSAGES
+// 6. ROOMS
 // ============================================
 
 /**
- * Display a chat message in the message list
+ * Load the list of joined rooms from localStorage
+ * The default room is always included
  */
-function displayMessage(message) {
-  // Create a new div element for this message
-  const messageDiv = document.createElement('div');
-  messageDiv.className = 'message';
-
-  // Add class to distinguish own messages from others
-  // This allows different styling (e.g., own messages on the right)
-  if (message.username === currentUsername) {
-    messageDiv.classList.add('own');
-  } else {
-    messageDiv.classList.add('other');
+function loadJoinedRooms() {
+  try {
+    joinedRooms = JSON.parse(localStorage.getItem('chatRooms')) || [];
+  } catch (error) {
+    joinedRooms = [];
   }
 
-  // Create sender name element
-  const senderSpan = document.createElement('span');
-  senderSpan.className = 'message-sender';
-  senderSpan.textContent = message.username;
-
-  // Create message text element
-  const textSpan = document.createElement('span');
-  textSpan.className = 'message-text';
-  textSpan.textContent = message.text;
-
-  // Create timestamp element
-  const timeSpan = document.createElement('span');
-  timeSpan.className = 'message-time';
-  timeSpan.textContent = formatTime(message.timestamp);
-
-  // Assemble the message: sender + text + time
-  messageDiv.appendChild(senderSpan);
-  messageDiv.appendChild(textSpan);
-  messageDiv.appendChild(timeSpan);
-
-  // Add the message to the chat display
-  chatMessages.appendChild(messageDiv);
-
-  // Scroll to the bottom to show the new message
-  scrollToBottom();
+  if (!joinedRooms.includes(DEFAULT_ROOM)) {
+    joinedRooms.unshift(DEFAULT_ROOM);
+  }
 }
 
 /**
- * Add a system message (like "Connected" or "User joined")
- * These are displayed differently from regular chat messages
+ * Save the list of joined rooms to localStorage
  */
-function addSystemMessage(text) {
-  const messageDiv = document.createElement('div');
+function saveJoinedRooms() {
+  localStorage.setItem('chatRooms', JSON.stringify(joinedRooms));
+}
+
+/**
+ * Ask the server to add us to a room
+ * @param {string} room - The room to join
+ */
+function requestJoinRoom(room) {
+  if (!socket || socket.readyState !== WebSocket.OPEN) {
+    return;
+  }
+
+  const joinMessage = {
+    type: 'join-room',
+    room: room,
+    timestamp: Date.now()
+  };
+
+  // When rejoining, ask only for the messages we missed
+  if (lastSeenIds.has(room)) {
+    joinMessage.since = lastSeenIds.get(room);
+  }
+
+  socket.send(JSON.stringify(joinMessage));
+}
+
+/**
+ * Ask the server to remove us from a room
+ * @param {string} room - The room to leave
+ */
+function requestLeaveRoom(room) {
+  if (!socket || socket.readyState !== WebSocket.OPEN) {
+    return;
+  }
+
+  socket.send(JSON.stringify({
+    type: 'leave-room',
+    room: room,
+    timestamp: Date.now()
+  }));
+}
+
+/**
+ * Handle the room list sent by the server
+ */
+function handleRoomList(message) {
+  availableRooms = message.rooms.map((room) => room.name);
+
+  // The list also carries the member count of every room
+  message.rooms.forEach((room) => {
+    roomCounts.set(room.name, room.count);
+  });
+
+  renderRoomList();
+}
+
+/**
+ * Handle the server's confirmation that we joined a room
+ */
+function handleRoomJoined(message) {
+  const room = message.room;
+
+  if (!joinedRooms.includes(room)) {
+    joinedRooms.push(room);
+    saveJoinedRooms();
+  }
+
+  // Make sure the room has a message pane, and remember who is in it
+  getConversationPane(room);
+  roomCounts.set(room, message.count);
+  roomMembers.set(room, new Map(message.members.map((member) => [member.username, member])));
+  roomTopics.set(room, message.topic || '');
+
+  if (room === activeConversation) {
+    renderMemberList();
+    updateRoomHeader();
+  }
+
+  // If the user just asked for this room, show it
+  if (room === roomToOpen) {
+    roomToOpen = null;
+    switchConversation(room);
+  } else {
+    renderRoomList();
+  }
+}
+
+/**
+ * Show the past messages the server sent when we joined a room
+ * They are added before any live messages and don't count as unread
+ */
+function handleHistory(message) {
+  message.messages.forEach((pastMessage) => {
+    displayMessage(pastMessage, true);
+  });
+
+  // Messages we already show that changed while we were away
+  (message.changed || []).forEach(refreshMessage);
+
+  if (message.messages.length === 0) {
+    return;
+  }
+
+  // 'since' is set when we asked for the messages we missed while disconnected
+  if (message.since !== undefined) {
+    addSystemMessage(`${message.messages.length} new messages while you were away`, message.room);
+  } else {
+    addSystemMessage(`Showing the last ${message.messages.length} messages`, message.room);
+  }
+}
+
+/**
+ * Handle the server's confirmation that we left a room
+ */
+function handleRoomLeft(message) {
+  const room = message.room;
+
+  joinedRooms = joinedRooms.filter((name) => name !== room);
+  saveJoinedRooms();
+
+  // Throw away the room's messages and typing state
+  // (forgetting their ids, so rejoining shows the room's history again)
+  if (conversationPanes.has(room)) {
+    conversationPanes.get(room).querySelectorAll('.message[data-id]').forEach((element) => {
+      seenMessageIds.delete(Number(element.dataset.id));
+    });
+    conversationPanes.get(room).remove();
+    conversationPanes.delete(room);
+  }
+  unreadCounts.delete(room);
+  usersTyping.delete(room);
+  lastSeenIds.delete(room);
+  roomMembers.delete(room);
+  roomTopics.delete(room);
+
+  if (room === activeConversation) {
+    switchConversation(DEFAULT_ROOM);
+  } else {
+    renderRoomList();
+  }
+}
+
+/**
+ * Get the message pane of a conversation, creating it if needed
+ * @param {string} key - The room name, or "@username" for direct messages
+ * @returns {HTMLElement} The pane holding the conversation's messages
+ */
+function getConversationPane(key) {
+  if (!conversationPanes.has(key)) {
+    const pane = document.createElement('div');
+    pane.className = 'room-pane';
+    pane.dataset.conversation = key;
+
+    // Only the active conversation's pane is visible
+    if (key !== activeConversation) {
+      pane.classList.add('hidden');
+    }
+
+    chatMessages.appendChild(pane);
+    conversationPanes.set(key, pane);
+  }
+
+  return conversationPanes.get(key);
+}
+
+/**
+ * Show the name (and topic) of the active conversation above the messages
+ */
+function updateRoomHeader() {
+  if (isDirectKey(activeConversation)) {
+    roomHeader.textContent = `Direct messages with ${activeConversation.slice(1)}`;
+    return;
+  }
+
+  roomHeader.textContent = `#${activeConversation}`;
+
+  const topic = roomTopics.get(activeConversation);
+  if (topic) {
+    const topicSpan = document.createElement('span');
+    topicSpan.className = 'room-topic';
+    topicSpan.textContent = topic;
+    roomHeader.appendChild(topicSpan);
+  }
+}
+
+/**
+ * Show a different room or direct message conversation in the message area
+ * @param {string} key - The room name, or "@username" for direct messages
+ */
+function switchConversation(key) {
+  // Stop "typing" in the room we are leaving
+  if (isCurrentlyTyping) {
+    sendTypingStatus(false);
+  }
+
+  activeConversation = key;
+  unreadCounts.delete(key);
+
+  // Replies and threads belong to the conversation we are leaving
+  cancelReply();
+  closeThread();
+
+  // Show only the pane of the active conversation
+  getConversationPane(key);
+  conversationPanes.forEach((pane, name) => {
+    pane.classList.toggle('hidden', name !== key);
+  });
+
+  updateRoomHeader();
+  renderMemberList();
+
+  updateTypingIndicatorDisplay();
+  renderRoomList();
+  renderDirectList();
+  scrollToBottom();
+  scheduleReadReport();
+
+  messageInput.focus();
+}
+
+/**
+ * Draw the room sidebar
+ * Shows joined rooms first, then the other rooms on the server
+ */
+function renderRoomList() {
+  // Remove the old list items
+  roomList.textContent = '';
+
+  const otherRooms = availableRooms.filter((room) => !joinedRooms.includes(room));
+
+  joinedRooms.concat(otherRooms).forEach((room) => {
+    const isJoined = joinedRooms.includes(room);
+
+    const item = document.createElement('li');
+    item.className = 'room-item';
+    if (room === activeConversation) {
+      item.classList.add('active');
+    }
+    if (!isJoined) {
+      item.classList.add('not-joined');
+    }
+
+    // Room name - click to show it (or join it first)
+    const nameButton = document.createElement('button');
+    nameButton.type = 'button';
+    nameButton.className = 'room-name';
+    nameButton.textContent = `#${room}`;
+    nameButton.addEventListener('click', function() {
+      if (isJoined) {
+        switchConversation(room);
+      } else {
+        roomToOpen = room;
+        requestJoinRoom(room);
+      }
+    });
+    item.appendChild(nameButton);
+
+    // Unread badge
+    const unread = unreadCounts.get(room) || 0;
+    if (unread > 0) {
+      const badge = document.createElement('span');
+      badge.className = 'room-unread';
+      badge.textContent = unread;
+      item.appendChild(badge);
+    }
+
+    // Member count
+    const count = document.createElement('span');
+    count.className = 'room-count';
+    count.textContent = roomCounts.get(room) || 0;
+    item.appendChild(count);
+
+    // Leave button (everyone stays in the default room)
+    if (isJoined && room !== DEFAULT_ROOM) {
+      const leaveButton = document.createElement('button');
+      leaveButton.type = 'button';
+      leaveButton.className = 'room-leave';
+      leaveButton.title = `Leave #${room}`;
+      leaveButton.textContent = '×';
+      leaveButton.addEventListener('click', function() {
+        requestLeaveRoom(room);
+      });
+      item.appendChild(leaveButton);
+    }
+
+    roomList.appendChild(item);
+  });
+}
+
+/**
+ * Join (or switch to) the room typed in the sidebar form
+ */
+function handleJoinRoomSubmit(event) {
+  event.preventDefault();
+
+  // Room names are lowercase on the server, allow "#name" too
+  const room = roomInput.value.trim().toLowerCase().replace(/^#/, '');
+
+  if (!/^[a-z0-9][a-z0-9_-]{0,29}$/.test(room)) {
+    alert('Room names can only use lowercase letters, numbers, "-" and "_"');
+    return;
+  }
+
+  roomInput.value = '';
+
+  if (joinedRooms.includes(room)) {
+    switchConversation(room);
+  } else {
+    roomToOpen = room;
+    requestJoinRoom(room);
+  }
+}
+
+// ============================================
+// 7. DIRECT MESSAGES
+// ============================================
+
+/**
+ * Build the conversation key for direct messages with a user
+ * @param {string} username - The other user
+ * @returns {string} The key, e.g. "@alice"
+ */
+function directKey(username) {
+  return '@' + username;
+}
+
+/**
+ * Check whether a conversation key is a direct message conversation
+ * @param {string} key - A conversation key
+ * @returns {boolean} True for "@username" keys
+ */
+function isDirectKey(key) {
+  return key.charAt(0) === '@';
+}
+
+/**
+ * Start (or show) a direct message conversation with a user
+ * @param {string} username - The other user
+ */
+function openDirectChat(username) {
+  if (!directChats.includes(username)) {
+    directChats.push(username);
+  }
+
+  switchConversation(directKey(username));
+}
+
+/**
+ * Handle a direct message from the server
+ * We receive both messages sent to us and our own copy of messages we sent
+ */
+function handleDirectMessage(message) {
+  // The conversation is named after the other person
+  const partner = message.username === currentUsername ? message.to : message.username;
+
+  if (!directChats.includes(partner)) {
+    directChats.push(partner);
+  }
+
+  displayMessage(message);
+  renderDirectList();
+}
+
+/**
+ * Draw the direct message list in the sidebar
+ */
+function renderDirectList() {
+  // Remove the old list items
+  directList.textContent = '';
+
+  directChats.forEach((username) => {
+    const key = directKey(username);
+
+    const item = document.createElement('li');
+    item.className = 'room-item';
+    if (key === activeConversation) {
+      item.classList.add('active');
+    }
+
+    const nameButton = document.createElement('button');
+    nameButton.type = 'button';
+    nameButton.className = 'room-name';
+    nameButton.textContent = `@${username}`;
+    nameButton.addEventListener('click', function() {
+      switchConversation(key);
+    });
+    item.appendChild(nameButton);
+
+    // Unread badge
+    const unread = unreadCounts.get(key) || 0;
+    if (unread > 0) {
+      item.classList.add('unread');
+
+      const badge = document.createElement('span');
+      badge.className = 'room-unread';
+      badge.textContent = unread;
+      item.appendChild(badge);
+    }
+
+    directList.appendChild(item);
+  });
+}
+
+/**
+ * Open a direct message conversation with the user typed in the sidebar form
+ */
+function handleNewDirectSubmit(event) {
+  event.preventDefault();
+
+  // Allow "@name" too
+  const username = directInput.value.trim().replace(/^@/, '');
+
+  if (username === '' || username === currentUsername) {
+    return;
+  }
+
+  directInput.value = '';
+  openDirectChat(username);
+}
+
+// ============================================
+// 8. TYPING INDICATOR
+// ============================================
+
+/**
+ * Send typing status to server
+ * @param {boolean} isTyping - Whether the user is typing or not
+ */
+function sendTypingStatus(isTyping) {
+  // Only send if we're connected and signed in
+  if (!socket || socket.readyState !== WebSocket.OPEN || !isIdentified) {
+    return;
+  }
+
+  // Typing indicators are only shown in rooms
+  if (isTyping && isDirectKey(activeConversation)) {
+    return;
+  }
+
+  // "Stopped typing" goes to the room we started typing in
+  const room = isTyping ? activeConversation : (typingRoom || activeConversation);
+
+  const typingMessage = {
+    type: 'typing',
+    room: room,
+    isTyping: isTyping,
+    timestamp: Date.now()
+  };
+
+  console.log('Sending typing status:', isTyping);
+  socket.send(JSON.stringify(typingMessage));
+
+  // Update our local state
+  isCurrentlyTyping = isTyping;
+  typingRoom = isTyping ? room : null;
+}
+
+/**
+ * Handle typing indicator from another user
+ */
+function handleTypingIndicator(message) {
+  const username = message.username;
+
+  // Don't show our own typing indicator
+  if (username === currentUsername) {
+    return;
+  }
+
+  // Typing state is kept separately for each room
+  if (!usersTyping.has(message.room)) {
+    usersTyping.set(message.room, new Map());
+  }
+  const roomTyping = usersTyping.get(message.room);
+
+  if (message.isTyping) {
+    // User started typing
+    console.log(username, 'is typing...');
+
+    // Clear existing timeout for this user if any
+    if (roomTyping.has(username)) {
+      clearTimeout(roomTyping.get(username));
+    }
+
+    // Auto-clear this typing indicator after 3 seconds
+    // (in case we don't receive the "stopped typing" message)
+    const timeoutId = setTimeout(() => {
+      roomTyping.delete(username);
+      updateTypingIndicatorDisplay();
+    }, 3000);
+
+    roomTyping.set(username, timeoutId);
+  } else {
+    // User stopped typing
+    console.log(username, 'stopped typing');
+
+    // Clear timeout and remove from set
+    if (roomTyping.has(username)) {
+      clearTimeout(roomTyping.get(username));
+      roomTyping.delete(username);
+    }
+  }
+
+  // Update the display
+  updateTypingIndicatorDisplay();
+}
+
+/**
+ * Update the typing indicator display based on who is typing in the active room
+ */
+function updateTypingIndicatorDisplay() {
+  const roomTyping = usersTyping.get(activeConversation);
+  const typingUsers = roomTyping ? Array.from(roomTyping.keys()) : [];
+
+  if (typingUsers.length === 0) {
+    // No one is typing
+    typingIndicator.textContent = '';
+    typingIndicator.style.display = 'none';
+  } else if (typingUsers.length === 1) {
+    // One person is typing
+    typingIndicator.textContent = `${typingUsers[0]} is typing...`;
+    typingIndicator.style.display = 'block';
+  } else if (typingUsers.length === 2) {
+    // Two people are typing
+    typingIndicator.textContent = `${typingUsers[0]} and ${typingUsers[1]} are typing...`;
+    typingIndicator.style.display = 'block';
+  } else {
+    // Multiple people are typing
+    typingIndicator.textContent = 'Several people are typing...';
+    typingIndicator.style.display = 'block';
+  }
+}
+
+/**
+ * Handle user typing in the message input
+ * This is called on every keystroke
+ */
+function handleUserTyping() {
+  // Clear the previous timeout
+  if (typingTimeout) {
+    clearTimeout(typingTimeout);
+  }
+
+  // If this is the first keystroke, send "typing: true"
+  if (!isCurrentlyTyping) {
+    sendTypingStatus(true);
+  }
+
+  // Set a timeout to send "typing: false" after 1 second of inactivity
+  typingTimeout = setTimeout(() => {
+    sendTypingStatus(false);
+  }, 1000);
+}
+
+// ============================================
+// 9. SENDING MESSAGES
+// ============================================
+
+/**
+ * Send a chat message to the server
+ */
+function sendMessage(event) {
+  // Prevent the form from submitting normally (which would reload the page)
+  event.preventDefault();
+
+  // Get the message text from the input
+  const messageText = messageInput.value.trim();
+
+  // Files can only be sent once they are uploaded
+  if (pendingUploads.some((upload) => !upload.attachment)) {
+    addSystemMessage('Please wait until your files are uploaded');
+    return;
+  }
+
+  // Don't send empty messages (a message with files may have no text)
+  if (messageText === '' && pendingUploads.length === 0) {
+    return;
+  }
+
+  // Create the message object
+  // This matches the format the server expects
+  let message;
+
+  if (isDirectKey(activeConversation)) {
+    // Private message to one user
+    message = {
+      type: 'direct-message',         // Type of message
+      to: activeConversation.slice(1), // Who receives it
+      text: messageText,              // The actual message
+      timestamp: Date.now()           // When it was sent
+    };
+  } else {
+    message = {
+      type: 'chat-message',           // Type of message
+      room: activeConversation,       // Which room it was sent to
+      text: messageText,              // The actual message
+      timestamp: Date.now()           // When it was sent (milliseconds since 1970)
+    };
+  }
+
+  // Notifications for @mentions need the user's permission
+  requestNotificationPermission();
+
+  if (isCommand(messageText)) {
+    // Commands like "/nick Bob" are answered by the server - nothing to show yet
+    if (!sendCommand(message)) {
+      return;
+    }
+  } else {
+    // A random id for this message, so the server's acknowledgement can be matched
+    // to it, and so a resent message is recognised instead of delivered twice
+    message.nonce = createNonce();
+
+    // Show the message right away as "sending" - it is marked as sent once acknowledged
+    // ("//text" is sent as is, the server turns it into "/text")
+    const shown = { username: currentUsername };
+
+    // Answering a message: the server adds the quote itself, we only show it locally
+    if (replyingTo && message.type === 'chat-message') {
+      message.replyTo = replyingTo.id;
+      shown.replyPreview = { id: replyingTo.id, username: replyingTo.username, text: replyingTo.text };
+    }
+    cancelReply();
+
+    // Uploaded files are sent by id; we already know how to show them
+    if (pendingUploads.length > 0) {
+      message.attachments = pendingUploads.map((upload) => upload.attachment.id);
+      shown.attachments = pendingUploads.map((upload) => upload.attachment);
+      clearPendingUploads();
+    }
+
+    const element = displayMessage(Object.assign({}, message, shown, {
+      text: messageText.startsWith('//') ? messageText.slice(1) : messageText
+    }));
+    pendingMessages.set(message.nonce, { message: message, element: element, timer: null });
+
+    deliverMessage(message);
+  }
+
+  // Clear the input field so user can type a new message
+  messageInput.value = '';
+  resizeMessageInput();
+
+  // Send "stopped typing" indicator since we just sent a message
+  if (isCurrentlyTyping) {
+    sendTypingStatus(false);
+  }
+
+  // Clear the typing timeout
+  if (typingTimeout) {
+    clearTimeout(typingTimeout);
+    typingTimeout = null;
+  }
+
+  // Keep focus on the input for easy continued typing
+  messageInput.focus();
+}
+
+/**
+ * Send the message when Enter is pressed (Shift+Enter starts a new line instead)
+ * Tab completes the name of a user after "@"
+ */
+function handleMessageKeydown(event) {
+  // Tab completes "@name"; any other key ends the completion
+  if (event.key === 'Tab' && !event.shiftKey) {
+    completeMention(event);
+    return;
+  }
+  mentionCompletion = null;
+
+  // Enter while picking characters with an input method (e.g. Japanese) confirms the characters
+  if (event.key !== 'Enter' || event.shiftKey || event.isComposing) {
+    return;
+  }
+
+  event.preventDefault();
+  chatForm.requestSubmit();
+}
+
+/**
+ * Grow the message input with its text (up to the height set in the CSS)
+ */
+function resizeMessageInput() {
+  messageInput.style.height = 'auto';
+  messageInput.style.height = `${messageInput.scrollHeight}px`;
+}
+
+/**
+ * Check whether the text typed is a slash command ("/help") rather than a message
+ * Text starting with "//" is a message that starts with "/"
+ *
+ * @param {string} text - The text typed
+ * @returns {boolean} True for a command
+ */
+function isCommand(text) {
+  return text.startsWith('/') && !text.startsWith('//');
+}
+
+/**
+ * Send a slash command to the server
+ * Commands are not queued while offline: their answer only makes sense right away
+ *
+ * @param {object} message - The chat or direct message carrying the command text
+ * @returns {boolean} False if we are not connected
+ */
+function sendCommand(message) {
+  if (!socket || socket.readyState !== WebSocket.OPEN || !isIdentified) {
+    addSystemMessage('Commands can only be used while connected');
+    return false;
+  }
+
+  console.log('Sending command:', message.text);
+  socket.send(JSON.stringify(message));
+  return true;
+}
+
+/**
+ * Send one of our chat or direct messages, or queue it if we are offline
+ * Starts a timer that marks the message as failed if it isn't acknowledged in time
+ *
+ * @param {object} message - The message (with a nonce)
+ */
+function deliverMessage(message) {
+  const pending = pendingMessages.get(message.nonce);
+
+  if (!socket || socket.readyState !== WebSocket.OPEN || !isIdentified) {
+    // Not connected - keep the message until we are connected again
+    if (!outbox.includes(message)) {
+      outbox.push(message);
+    }
+    setMessageStatus(pending.element, 'queued');
+    return;
+  }
+
+  console.log('Sending message:', message);
+
+  // Convert the message object to JSON and send it
+  socket.send(JSON.stringify(message));
+  setMessageStatus(pending.element, 'pending');
+
+  clearTimeout(pending.timer);
+  pending.timer = setTimeout(() => markMessageFailed(message.nonce), ACK_TIMEOUT);
+}
+
+/**
+ * Handle the server's acknowledgement of one of our messages
+ * The server tells us the id and timestamp it gave the message
+ */
+function handleAck(message) {
+  const pending = pendingMessages.get(message.nonce);
+  if (!pending) {
+    return;
+  }
+
+  clearTimeout(pending.timer);
+  pendingMessages.delete(message.nonce);
+
+  // The message now has an id - the broadcast copy will be recognised as a duplicate
+  seenMessageIds.add(message.id);
+  pending.element.dataset.id = message.id;
+  if (pending.message.room && message.id > (lastSeenIds.get(pending.message.room) || 0)) {
+    lastSeenIds.set(pending.message.room, message.id);
+  }
+
+  // Use the server's time, not ours
+  pending.element.querySelector('.message-time').textContent = formatTime(message.timestamp);
+  setMessageStatus(pending.element, 'sent');
+}
+
+/**
+ * Mark one of our messages as failed (no acknowledgement, or refused by the server)
+ * Clicking the status sends it again
+ *
+ * @param {string} nonce - The nonce of the message
+ */
+function markMessageFailed(nonce) {
+  const pending = pendingMessages.get(nonce);
+  if (!pending) {
+    return;
+  }
+
+  clearTimeout(pending.timer);
+  pending.timer = null;
+  setMessageStatus(pending.element, 'failed');
+}
+
+/**
+ * Put every sent-but-unacknowledged message back in the outbox
+ * Called when the connection drops
+ */
+function requeueUnacknowledged() {
+  pendingMessages.forEach((pending) => {
+    if (pending.timer) {
+      clearTimeout(pending.timer);
+      pending.timer = null;
+
+      if (!outbox.includes(pending.message)) {
+        outbox.push(pending.message);
+      }
+      setMessageStatus(pending.element, 'queued');
+    }
+  });
+}
+
+/**
+ * Show the delivery state of one of our messages
+ * @param {HTMLElement} element - The message element
+ * @param {string} status - 'queued', 'pending', 'sent' or 'failed'
+ */
+function setMessageStatus(element, status) {
+  const statusSpan = element.querySelector('.message-status');
+  const labels = {
+    queued: 'Waiting for connection...',
+    pending: 'Sending...',
+    sent: '✓',
+    seen: '✓✓',
+    failed: 'Not sent - click to retry'
+  };
+
+  element.dataset.status = status;
+  statusSpan.className = 'message-status ' + status;
+  statusSpan.textContent = labels[status];
+  statusSpan.title = status === 'sent' ? 'Delivered' : '';
+}
+
+/**
+ * Resend a failed message when its status is clicked
+ */
+function handleRetryClick(event) {
+  const statusSpan = event.target.closest('.message-status.failed');
+  if (!statusSpan) {
+    return;
+  }
+
+  const element = statusSpan.closest('.message');
+  pendingMessages.forEach((pending) => {
+    if (pending.element === element) {
+      deliverMessage(pending.message);
+    }
+  });
+}
+
+// ============================================
+// 10. DISPLAYING MESSAGES
+// ============================================
+
+/**
+ * Display a chat message in the message list
+ * Messages with an id we have already shown are ignored
+ *
+ * @param {object} message - The chat message from the server (or our own unsent one, without an id)
+ * @param {boolean} [isHistory] - True for past messages replayed on join
+ * @returns {HTMLElement|null} The new message element, or null for a duplicate
+ */
+function displayMessage(message, isHistory) {
+  if (message.id !== undefined) {
+    if (seenMessageIds.has(message.id)) {
+      return null;
+    }
+    seenMessageIds.add(message.id);
+  }
+
+  // Remember the newest message of each room for resuming after a reconnect
+  if (message.room && message.id > (lastSeenIds.get(message.room) || 0)) {
+    lastSeenIds.set(message.room, message.id);
+  }
+
+  const messageDiv = createMessageElement(message);
+
+  // Add the message to its room's (or direct conversation's) pane
+  appendToConversation(getConversationKey(message), messageDiv, isHistory);
+
+  // A new message mentioning us while we look elsewhere
+  if (!isHistory && mentionsMe(message)) {
+    notifyMention(message);
+  }
+
+  return messageDiv;
+}
+
+/**
+ * Build the element of a chat or direct message
+ * Used for the conversation panes and the thread panel
+ *
+ * @param {object} message - The message (from the server, or our own unsent one without an id)
+ * @returns {HTMLElement} The message element
+ */
+function createMessageElement(message) {
+  // Create a new div element for this message
+  const messageDiv = document.createElement('div');
+  messageDiv.className = 'message';
+
+  // Add class to distinguish own messages from others
+  // This allows different styling (e.g., own messages on the right)
+  if (message.username === currentUsername) {
+    messageDiv.classList.add('own');
+  } else {
+    messageDiv.classList.add('other');
+  }
+
+  // "/me waves" is shown as one line: "Alice waves"
+  if (message.action) {
+    messageDiv.classList.add('action');
+  }
+
+  // Create sender name element
+  const senderSpan = document.createElement('span');
+  senderSpan.className = 'message-sender';
+  senderSpan.textContent = message.username;
+
+  // Messages posted by scripts through the REST API
+  if (message.bot) {
+    const badge = document.createElement('span');
+    badge.className = 'bot-badge';
+    badge.textContent = 'BOT';
+    senderSpan.appendChild(badge);
+  }
+
+  // Replies start with a quote of the message they answer (clicking it opens the thread)
+  let quoteSpan = null;
+  if (message.replyPreview) {
+    quoteSpan = document.createElement('span');
+    quoteSpan.className = 'message-quote';
+    quoteSpan.dataset.thread = message.replyTo || '';
+    renderQuote(quoteSpan, message.replyPreview);
+  }
+
+  // Create message text element
+  const textSpan = document.createElement('span');
+  textSpan.className = 'message-text';
+  textSpan.appendChild(renderRichText(message.text, message.mentions));
+
+  // Messages that mention us stand out
+  if (mentionsMe(message)) {
+    messageDiv.classList.add('mentioned');
+  }
+
+  // The text as typed (the formatted text loses the Markdown), and the author, for editing and replying
+  messageDiv.dataset.text = message.text;
+  messageDiv.dataset.username = message.username;
+
+  // Create timestamp element
+  const timeSpan = document.createElement('span');
+  timeSpan.className = 'message-time';
+  timeSpan.textContent = formatTime(message.timestamp || Date.now());
+
+  // Assemble the message: sender + (quote) + text + (files) + time
+  messageDiv.appendChild(senderSpan);
+  if (quoteSpan) {
+    messageDiv.appendChild(quoteSpan);
+  }
+  messageDiv.appendChild(textSpan);
+  if (message.attachments && message.attachments.length > 0) {
+    messageDiv.appendChild(createAttachmentList(message.attachments));
+  }
+  messageDiv.appendChild(timeSpan);
+
+  if (message.id !== undefined) {
+    messageDiv.dataset.id = message.id;
+  }
+
+  // Our own messages get a delivery status under the time (filled in by setMessageStatus)
+  // Messages the server already has are delivered, and maybe seen by others
+  if (message.username === currentUsername) {
+    const statusSpan = document.createElement('span');
+    statusSpan.className = 'message-status';
+    messageDiv.appendChild(statusSpan);
+
+    if (message.id !== undefined) {
+      setMessageStatus(messageDiv, 'sent');
+      showSeenBy(messageDiv, message.seenBy || []);
+    }
+  }
+
+  // Room messages get a hover toolbar: anyone can reply and react,
+  // and our own messages can also be edited and deleted
+  if (message.type === 'chat-message') {
+    const actions = document.createElement('div');
+    actions.className = 'message-actions';
+
+    const buttons = { reply: 'Reply', react: '☺+' };
+    // After a /nick, our older messages carry our new name in 'owner'
+    const isOwn = (message.owner || message.username) === currentUsername;
+    if (isOwn) {
+      buttons.edit = 'Edit';
+    }
+
+    // Admins can delete anyone's message (the button is hidden until we are admin)
+    buttons.delete = 'Delete';
+
+    Object.keys(buttons).forEach((action) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.dataset.action = action;
+      button.textContent = buttons[action];
+      if (action === 'delete' && !isOwn) {
+        button.classList.add('admin-only');
+      }
+      actions.appendChild(button);
+    });
+
+    messageDiv.appendChild(actions);
+
+    // Reaction bar under the message
+    const reactionsDiv = document.createElement('div');
+    reactionsDiv.className = 'message-reactions';
+    messageDiv.appendChild(reactionsDiv);
+    renderReactions(messageDiv, message.reactions || []);
+
+    // "N replies" link for messages that started a thread
+    renderThreadLink(messageDiv, message.replyCount || 0);
+  }
+
+  // Past messages may already have been edited or deleted
+  if (message.deleted) {
+    showMessageDeleted(messageDiv);
+  } else if (message.editedAt) {
+    showMessageEdited(messageDiv, message);
+  }
+
+  return messageDiv;
+}
+
+/**
+ * Work out which conversation a chat or direct message belongs to
+ * @param {object} message - A 'chat-message' or 'direct-message'
+ * @returns {string} The conversation key
+ */
+function getConversationKey(message) {
+  if (message.type === 'direct-message') {
+    // Direct conversations are named after the other person
+    return directKey(message.username === currentUsername ? message.to : message.username);
+  }
+
+  return message.room;
+}
+
+/**
+ * Find the elements of a message on screen
+ * A message can be shown twice: in its conversation and in the thread panel
+ *
+ * @param {number} id - The message id
+ * @returns {NodeList} The message elements (empty if it isn't shown)
+ */
+function findMessageElements(id) {
+  return document.querySelectorAll(`.message[data-id="${id}"]`);
+}
+
+/**
+ * Show the quote of the message a reply answers
+ * @param {HTMLElement} quoteSpan - The reply's .message-quote element
+ * @param {object} preview - { id, username, text, deleted? }
+ */
+function renderQuote(quoteSpan, preview) {
+  quoteSpan.dataset.quoted = preview.id || '';
+  quoteSpan.dataset.username = preview.username;
+  quoteSpan.textContent = `↪ ${preview.username}: ${preview.deleted ? 'This message was deleted' : preview.text}`;
+}
+
+/**
+ * Update the quotes of the replies to a message that was edited or deleted
+ * @param {number} id - The message id
+ * @param {object} change - { text } for an edit, { deleted: true } for a delete
+ */
+function updateQuotes(id, change) {
+  document.querySelectorAll(`.message-quote[data-quoted="${id}"]`).forEach((quoteSpan) => {
+    renderQuote(quoteSpan, {
+      id: id,
+      username: quoteSpan.dataset.username,
+      text: change.deleted ? '' : change.text.slice(0, REPLY_PREVIEW_LENGTH),
+      deleted: change.deleted
+    });
+  });
+}
+
+/**
+ * Update a message's text in place and add an "(edited)" marker
+ * @param {HTMLElement} element - The message element
+ * @param {object} message - The 'message-edited' message ({ text, mentions })
+ */
+function showMessageEdited(element, message) {
+  element.dataset.text = message.text;
+  element.querySelector('.message-text').replaceChildren(renderRichText(message.text, message.mentions));
+  element.classList.toggle('mentioned', element.classList.contains('other') && mentionsMe(message));
+
+  if (!element.querySelector('.message-edited')) {
+    const marker = document.createElement('span');
+    marker.className = 'message-edited';
+    marker.textContent = ' (edited)';
+    element.querySelector('.message-time').appendChild(marker);
+  }
+}
+
+/**
+ * Replace a message with a "deleted" tombstone
+ * @param {HTMLElement} element - The message element
+ */
+function showMessageDeleted(element) {
+  element.classList.add('deleted');
+  delete element.dataset.text;
+  element.querySelector('.message-text').textContent = 'This message was deleted';
+
+  // Nothing left to edit, delete or react to (and the files are gone too)
+  const actions = element.querySelector('.message-actions');
+  if (actions) {
+    actions.remove();
+  }
+  const attachments = element.querySelector('.message-attachments');
+  if (attachments) {
+    attachments.remove();
+  }
+  renderReactions(element, []);
+}
+
+/**
+ * Bring a message we already show up to date (after a reconnect)
+ * @param {object} message - The message as it is now on the server
+ */
+function refreshMessage(message) {
+  findMessageElements(message.id).forEach((element) => {
+    if (message.deleted) {
+      showMessageDeleted(element);
+      return;
+    }
+
+    if (message.editedAt) {
+      showMessageEdited(element, message);
+    }
+    renderReactions(element, message.reactions || []);
+    renderThreadLink(element, message.replyCount || 0);
+  });
+
+  if (message.deleted) {
+    updateQuotes(message.id, { deleted: true });
+  } else if (message.editedAt) {
+    updateQuotes(message.id, { text: message.text });
+  }
+}
+
+/**
+ * Handle a 'message-edited' message from the server
+ */
+function handleMessageEdited(message) {
+  findMessageElements(message.id).forEach((element) => {
+    showMessageEdited(element, message);
+  });
+  updateQuotes(message.id, { text: message.text });
+}
+
+/**
+ * Handle a 'message-deleted' message from the server
+ */
+function handleMessageDeleted(message) {
+  findMessageElements(message.id).forEach((element) => {
+    showMessageDeleted(element);
+  });
+  updateQuotes(message.id, { deleted: true });
+}
+
+/**
+ * Handle clicks on the hover toolbar of a message (Reply, React, and Edit / Delete on our own)
+ */
+function handleMessageActionClick(event) {
+  const button = event.target.closest('.message-actions button');
+  if (!button) {
+    return;
+  }
+
+  const element = button.closest('.message');
+  const id = Number(element.dataset.id);
+
+  // Messages the server hasn't acknowledged yet have no id to refer to
+  if (!id || !socket || socket.readyState !== WebSocket.OPEN) {
+    addSystemMessage('You can change this message once it has been sent');
+    return;
+  }
+
+  if (button.dataset.action === 'edit') {
+    const oldText = element.dataset.text;
+    const newText = prompt('Edit your message:', oldText);
+
+    // Cancelled, emptied or unchanged
+    if (newText === null || newText.trim() === '' || newText.trim() === oldText) {
+      return;
+    }
+
+    socket.send(JSON.stringify({ type: 'edit-message', id: id, text: newText.trim(), timestamp: Date.now() }));
+  } else if (button.dataset.action === 'delete') {
+    if (!confirm('Delete this message?')) {
+      return;
+    }
+
+    socket.send(JSON.stringify({ type: 'delete-message', id: id, timestamp: Date.now() }));
+  } else if (button.dataset.action === 'react') {
+    openReactionPicker(element);
+  } else if (button.dataset.action === 'reply') {
+    startReply(element);
+  }
+}
+
+// ============================================
+// RICH TEXT
+// ============================================
+//
+// Message text supports a small part of Markdown:
+//   **bold**, *italic* or _italic_, ~~strikethrough~~, `inline code`,
+//   ```code blocks``` (over several lines), web addresses (turned into links)
+//   and emoji shortcodes like :tada:
+//
+// The text is never parsed as HTML: every piece is added with createElement()
+// and textContent, so a message can't inject markup or scripts.
+
+// Code blocks: ``` + optional language name, then everything up to the closing ```
+const CODE_BLOCK_PATTERN = /```([\w+-]*)\n?([\s\S]*?)```/g;
+
+// Inline formatting, tried from left to right (the first alternative that matches wins)
+//   1: `code`   2: web address   3: **bold**   4: ~~strike~~   5: *italic*   6: _italic_   7: :shortcode:
+//   8: @mention
+const INLINE_PATTERN = new RegExp([
+  '`([^`\\n]+)`',
+  '(https?:\\/\\/[^\\s<>"]+)',
+  '\\*\\*(?=\\S)([\\s\\S]+?)(?<=\\S)\\*\\*',
+  '~~(?=\\S)([\\s\\S]+?)(?<=\\S)~~',
+  '\\*(?=[^\\s*])([^*\\n]+?)(?<=\\S)\\*',
+  '(?<![\\p{L}\\p{N}_])_(?=\\S)([^_\\n]+?)(?<=\\S)_(?![\\p{L}\\p{N}_])',
+  ':([a-z0-9_+-]+):',
+  '(?<![A-Za-z0-9_.@-])@([A-Za-z0-9_-]{2,20})(?![A-Za-z0-9_-])'
+].join('|'), 'gu');
+
+// Punctuation at the end of a web address that belongs to the sentence, not the address
+const TRAILING_PUNCTUATION_PATTERN = /[.,;:!?'*_~]+$/;
+
+/**
+ * Turn message text into formatted elements
+ * @param {string} text - The message text
+ * @param {Array<string>} [mentions] - Users the server found mentioned in it (highlighted)
+ * @returns {DocumentFragment} The formatted text, ready to append
+ */
+function renderRichText(text, mentions) {
+  const fragment = document.createDocumentFragment();
+  let position = 0;
+  let match;
+
+  CODE_BLOCK_PATTERN.lastIndex = 0;
+  while ((match = CODE_BLOCK_PATTERN.exec(text)) !== null) {
+    // The block is on its own lines already, so the line breaks around it aren't needed
+    appendInlineText(fragment, text.slice(position, match.index).replace(/\n$/, ''), mentions);
+
+    const pre = document.createElement('pre');
+    pre.className = 'code-block';
+    const code = document.createElement('code');
+    code.textContent = match[2].replace(/\n$/, '');
+    if (match[1]) {
+      code.dataset.language = match[1];
+    }
+    pre.appendChild(code);
+    fragment.appendChild(pre);
+
+    position = match.index + match[0].length;
+    if (text[position] === '\n') {
+      position++;
+    }
+  }
+
+  appendInlineText(fragment, text.slice(position), mentions);
+  return fragment;
+}
+
+/**
+ * Add text with inline formatting (no code blocks) to an element
+ * Bold, italic and strikethrough can contain more formatting, so they call this again
+ *
+ * @param {Node} parent - Where to add the text
+ * @param {string} text - The text to format
+ * @param {Array<string>} [mentions] - Mentioned usernames (see renderRichText())
+ */
+function appendInlineText(parent, text, mentions) {
+  // Each call needs its own regex, because the pattern remembers where it stopped
+  const pattern = new RegExp(INLINE_PATTERN.source, INLINE_PATTERN.flags);
+  let position = 0;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    parent.appendChild(document.createTextNode(text.slice(position, match.index)));
+    position = match.index + match[0].length;
+
+    if (match[1] !== undefined) {
+      const code = document.createElement('code');
+      code.className = 'inline-code';
+      code.textContent = match[1];
+      parent.appendChild(code);
+    } else if (match[2] !== undefined) {
+      const address = trimWebAddress(match[2]);
+      parent.appendChild(createLink(address));
+
+      // Punctuation after the address is formatted as normal text
+      position = match.index + address.length;
+      pattern.lastIndex = position;
+    } else if (match[3] !== undefined) {
+      appendInlineText(parent.appendChild(document.createElement('strong')), match[3], mentions);
+    } else if (match[4] !== undefined) {
+      appendInlineText(parent.appendChild(document.createElement('del')), match[4], mentions);
+    } else if (match[5] !== undefined || match[6] !== undefined) {
+      appendInlineText(parent.appendChild(document.createElement('em')), match[5] || match[6], mentions);
+    } else if (match[7] !== undefined) {
+      // Unknown shortcodes (and things like "10:30:45") stay as they are
+      parent.appendChild(document.createTextNode(EMOJI_SHORTCODES[match[7]] || match[0]));
+    } else {
+      parent.appendChild(createMention(match[0], match[8], mentions));
+    }
+  }
+
+  parent.appendChild(document.createTextNode(text.slice(position)));
+}
+
+/**
+ * Remove sentence punctuation from the end of a web address
+ * A closing ")" is kept if the address opened one, e.g. https://en.wikipedia.org/wiki/Chat_(software)
+ *
+ * @param {string} address - The web address as typed
+ * @returns {string} The address without the trailing punctuation
+ */
+function trimWebAddress(address) {
+  let trimmed = address.replace(TRAILING_PUNCTUATION_PATTERN, '');
+
+  while (trimmed.endsWith(')') && trimmed.split('(').length < trimmed.split(')').length) {
+    trimmed = trimmed.slice(0, -1).replace(TRAILING_PUNCTUATION_PATTERN, '');
+  }
+
+  return trimmed;
+}
+
+/**
+ * Create a highlighted "@name" - or plain text if the server didn't accept it as a mention
+ * (e.g. nobody with that name was online)
+ *
+ * @param {string} text - The text as typed, e.g. "@bob"
+ * @param {string} username - The name after the "@"
+ * @param {Array<string>} [mentions] - Mentioned usernames (see renderRichText())
+ * @returns {Node} The element or text node
+ */
+function createMention(text, username, mentions) {
+  const mentioned = (mentions || []).find((name) => name.toLowerCase() === username.toLowerCase());
+  if (!mentioned) {
+    return document.createTextNode(text);
+  }
+
+  const span = document.createElement('span');
+  span.className = 'mention';
+  if (mentioned === currentUsername) {
+    span.classList.add('mention-me');
+  }
+  span.textContent = text;
+  return span;
+}
+
+/**
+ * Create a link that opens in a new tab
+ * @param {string} address - An http:// or https:// address
+ * @returns {HTMLElement} The link
+ */
+function createLink(address) {
+  const link = document.createElement('a');
+  link.href = address;
+  link.textContent = address;
+  link.target = '_blank';
+
+  // The opened page gets no access to this window, and doesn't learn where it was linked from
+  link.rel = 'noopener noreferrer';
+  return link;
+}
+
+// ============================================
+// REACTIONS
+// ============================================
+
+/**
+ * Draw the reaction bar of a message
+ * Each emoji shows its count, and hovering shows who reacted
+ *
+ * @param {HTMLElement} element - The message element
+ * @param {Array<{emoji: string, count: number, users: Array<string>}>} reactions - From the server
+ */
+function renderReactions(element, reactions) {
+  const reactionsDiv = element.querySelector('.message-reactions');
+  if (!reactionsDiv) {
+    return;
+  }
+
+  reactionsDiv.textContent = '';
+
+  reactions.forEach((reaction) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'reaction';
+    button.dataset.emoji = reaction.emoji;
+    button.textContent = `${reaction.emoji} ${reaction.count}`;
+    button.title = `${reaction.users.join(', ')} reacted with ${reaction.emoji}`;
+
+    // Highlight the reactions we added (clicking them removes ours)
+    if (reaction.users.includes(currentUsername)) {
+      button.classList.add('mine');
+    }
+
+    reactionsDiv.appendChild(button);
+  });
+}
+
+/**
+ * Ask the server to add our reaction to a message, or remove it if we already reacted
+ * @param {HTMLElement} element - The message element
+ * @param {string} emoji - The reaction emoji
+ */
+function toggleReaction(element, emoji) {
+  const id = Number(element.dataset.id);
+  if (!id || !socket || socket.readyState !== WebSocket.OPEN) {
+    return;
+  }
+
+  socket.send(JSON.stringify({ type: 'react', id: id, emoji: emoji, timestamp: Date.now() }));
+}
+
+/**
+ * Show the emoji picker on a message
+ * @param {HTMLElement} element - The message element
+ */
+function openReactionPicker(element) {
+  closeReactionPicker();
+
+  const picker = document.createElement('div');
+  picker.className = 'reaction-picker';
+
+  REACTION_EMOJIS.forEach((emoji) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = emoji;
+    button.addEventListener('click', function(event) {
+      event.stopPropagation();
+      toggleReaction(element, emoji);
+      closeReactionPicker();
+    });
+    picker.appendChild(button);
+  });
+
+  element.appendChild(picker);
+}
+
+/**
+ * Hide the emoji picker if it is open
+ */
+function closeReactionPicker() {
+  const picker = document.querySelector('.reaction-picker');
+  if (picker) {
+    picker.remove();
+  }
+}
+
+/**
+ * Handle clicks on an existing reaction (toggles our own reaction with that emoji)
+ */
+function handleReactionClick(event) {
+  const button = event.target.closest('.reaction');
+  if (!button) {
+    return;
+  }
+
+  toggleReaction(button.closest('.message'), button.dataset.emoji);
+}
+
+/**
+ * Handle a 'reactions-updated' message from the server
+ */
+function handleReactionsUpdated(message) {
+  findMessageElements(message.id).forEach((element) => {
+    renderReactions(element, message.reactions);
+  });
+}
+
+// ============================================
+// THREADS
+// ============================================
+
+/**
+ * Show (or update) the "N replies" link of a message
+ * @param {HTMLElement} element - The message element
+ * @param {number} replyCount - Number of replies to the message
+ */
+function renderThreadLink(element, replyCount) {
+  let link = element.querySelector('.message-thread-link');
+
+  if (replyCount === 0) {
+    if (link) {
+      link.remove();
+    }
+    return;
+  }
+
+  if (!link) {
+    link = document.createElement('button');
+    link.type = 'button';
+    link.className = 'message-thread-link';
+    link.dataset.thread = element.dataset.id;
+    element.appendChild(link);
+  }
+
+  link.textContent = replyCount === 1 ? '1 reply' : `${replyCount} replies`;
+}
+
+/**
+ * Start writing a reply to a message
+ * Shows the "Replying to ..." bar above the input; the next message we send answers it
+ *
+ * @param {HTMLElement} element - The message element to reply to
+ */
+function startReply(element) {
+  replyingTo = {
+    id: Number(element.dataset.id),
+    username: element.dataset.username,
+    text: element.dataset.text.slice(0, REPLY_PREVIEW_LENGTH)
+  };
+
+  replyBarText.textContent = `Replying to ${replyingTo.username}: ${replyingTo.text}`;
+  replyBar.classList.remove('hidden');
+  messageInput.focus();
+}
+
+/**
+ * Stop writing a reply (the next message is a normal message again)
+ */
+function cancelReply() {
+  replyingTo = null;
+  replyBar.classList.add('hidden');
+}
+
+/**
+ * Open the thread panel for a message and ask the server for its replies
+ * @param {number} id - Id of the message that started the thread
+ */
+function openThread(id) {
+  if (!socket || socket.readyState !== WebSocket.OPEN) {
+    return;
+  }
+
+  openThreadId = id;
+  threadMessages.textContent = '';
+  threadPanel.classList.remove('hidden');
+
+  socket.send(JSON.stringify({ type: 'get-thread', id: id, timestamp: Date.now() }));
+}
+
+/**
+ * Close the thread panel
+ */
+function closeThread() {
+  openThreadId = null;
+  threadPanel.classList.add('hidden');
+  threadMessages.textContent = '';
+}
+
+/**
+ * Handle a 'thread' message: the first message of a thread and all its replies
+ */
+function handleThread(message) {
+  // The user may have closed the panel (or opened another thread) meanwhile
+  // (opening a reply shows its whole thread, so the ids differ then)
+  const isOpenThread = message.id === openThreadId ||
+    message.replies.some((reply) => reply.id === openThreadId);
+  if (!isOpenThread) {
+    return;
+  }
+  openThreadId = message.id;
+
+  threadMessages.textContent = '';
+  threadMessages.appendChild(createMessageElement(message.parent));
+  message.replies.forEach((reply) => {
+    threadMessages.appendChild(createMessageElement(reply));
+  });
+
+  threadMessages.scrollTop = threadMessages.scrollHeight;
+}
+
+/**
+ * Handle a 'thread-updated' message: someone replied to a message
+ */
+function handleThreadUpdated(message) {
+  findMessageElements(message.id).forEach((element) => {
+    renderThreadLink(element, message.replyCount);
+  });
+
+  // Reload the open thread so the new reply shows up in the panel
+  if (message.id === openThreadId && socket.readyState === WebSocket.OPEN) {
+    socket.send(JSON.stringify({ type: 'get-thread', id: message.id, timestamp: Date.now() }));
+  }
+}
+
+/**
+ * Handle clicks on a reply's quote or a "N replies" link (both open the thread)
+ */
+function handleThreadLinkClick(event) {
+  const link = event.target.closest('.message-quote, .message-thread-link');
+  if (!link || !link.dataset.thread) {
+    return;
+  }
+
+  openThread(Number(link.dataset.thread));
+}
+
+// ============================================
+// MENTIONS
+// ============================================
+
+/**
+ * Check whether a message mentions us (our own messages never do)
+ * @param {object} message - A chat or direct message with the server's 'mentions' list
+ * @returns {boolean} True if we are mentioned
+ */
+function mentionsMe(message) {
+  if (!message.mentions || message.username === currentUsername) {
+    return false;
+  }
+
+  return message.mentions.some((name) => name.toLowerCase() === currentUsername.toLowerCase());
+}
+
+/**
+ * Tell the user about a new mention while the tab is hidden:
+ * a count in the page title and a browser notification
+ *
+ * @param {object} message - The chat or direct message mentioning us
+ */
+function notifyMention(message) {
+  if (!document.hidden) {
+    return;
+  }
+
+  unreadMentions++;
+  document.title = `(@${unreadMentions}) ${PAGE_TITLE}`;
+
+  // "Do not disturb" keeps the count in the title, but no pop-ups
+  if (!('Notification' in window) || Notification.permission !== 'granted' || chosenStatus === 'dnd') {
+    return;
+  }
+
+  const where = message.type === 'direct-message' ? 'a direct message' : `#${message.room}`;
+  const notification = new Notification(`${message.username} mentioned you in ${where}`, {
+    body: message.text.slice(0, REPLY_PREVIEW_LENGTH),
+    tag: `mention-${message.id}` // The same message never pops up twice (e.g. from two tabs)
+  });
+
+  // Clicking the notification shows the conversation
+  notification.addEventListener('click', function() {
+    window.focus();
+    switchConversation(getConversationKey(message));
+    notification.close();
+  });
+}
+
+/**
+ * Remove the mention count from the page title (the user is looking again)
+ */
+function clearUnreadMentions() {
+  unreadMentions = 0;
+  document.title = PAGE_TITLE;
+}
+
+/**
+ * Ask for permission to show notifications, the first time the user sends a message
+ * (browsers only allow asking right after the user did something)
+ */
+function requestNotificationPermission() {
+  if ('Notification' in window && Notification.permission === 'default') {
+    Notification.requestPermission();
+  }
+}
+
+/**
+ * Complete "@na" to "@name " when Tab is pressed in the message input
+ * Pressing Tab again cycles through the other matching names
+ *
+ * @param {KeyboardEvent} event - The Tab key press
+ */
+function completeMention(event) {
+  const value = messageInput.value;
+  const caret = messageInput.selectionStart;
+
+  // The cursor was moved (e.g. with the mouse) since the last completion: start over
+  if (mentionCompletion && caret !== mentionCompletion.end) {
+    mentionCompletion = null;
+  }
+
+  if (!mentionCompletion) {
+    // The word before the cursor must start with "@"
+    const match = /(?:^|\s)@([A-Za-z0-9_-]*)$/.exec(value.slice(0, caret));
+    if (!match) {
+      return;
+    }
+
+    const prefix = match[1].toLowerCase();
+    const matches = getMentionCandidates().filter((name) => name.toLowerCase().startsWith(prefix));
+    if (matches.length === 0) {
+      return;
+    }
+
+    mentionCompletion = { start: caret - match[1].length - 1, end: caret, matches: matches, index: -1 };
+  }
+
+  // Keep the focus in the input instead of moving to the Send button
+  event.preventDefault();
+
+  // Replace the previous completion (or what was typed) with the next name
+  mentionCompletion.index = (mentionCompletion.index + 1) % mentionCompletion.matches.length;
+  const completed = `@${mentionCompletion.matches[mentionCompletion.index]} `;
+
+  messageInput.value = value.slice(0, mentionCompletion.start) + completed + value.slice(caret);
+  mentionCompletion.end = mentionCompletion.start + completed.length;
+  messageInput.selectionStart = messageInput.selectionEnd = mentionCompletion.end;
+}
+
+/**
+ * Get the names that can be completed in the current conversation
+ * @returns {Array<string>} The other members of the room (or the other person of a direct conversation), sorted
+ */
+function getMentionCandidates() {
+  if (isDirectKey(activeConversation)) {
+    return [activeConversation.slice(1)];
+  }
+
+  const members = roomMembers.get(activeConversation);
+  return Array.from(members ? members.keys() : [])
+    .filter((name) => name !== currentUsername)
+    .sort((a, b) => a.localeCompare(b));
+}
+
+// ============================================
+// ATTACHMENTS
+// ============================================
+
+/**
+ * Build the list of files under a message: image previews, and download links for other files
+ * @param {Array<object>} attachments - [{ id, name, type, size, url }]
+ * @returns {HTMLElement} The attachment list
+ */
+function createAttachmentList(attachments) {
+  const list = document.createElement('div');
+  list.className = 'message-attachments';
+
+  attachments.forEach((attachment) => {
+    const link = document.createElement('a');
+    link.href = attachment.url;
+    link.rel = 'noopener noreferrer';
+    link.title = `${attachment.name} (${formatFileSize(attachment.size)})`;
+
+    if (attachment.type.startsWith('image/')) {
+      // Clicking the preview opens the full image in a new tab
+      link.className = 'attachment-image';
+      link.target = '_blank';
+
+      const image = document.createElement('img');
+      image.src = attachment.url;
+      image.alt = attachment.name;
+      image.loading = 'lazy';
+      link.appendChild(image);
+    } else {
+      link.className = 'attachment-file';
+      link.download = attachment.name;
+      link.textContent = `📄 ${attachment.name} (${formatFileSize(attachment.size)})`;
+    }
+
+    list.appendChild(link);
+  });
+
+  return list;
+}
+
+/**
+ * Upload files picked, dropped or pasted by the user
+ * They are sent with the next message once they are uploaded
+ *
+ * @param {FileList|Array<File>} files - The files
+ */
+function uploadFiles(files) {
+  Array.from(files).forEach((file) => {
+    if (pendingUploads.length >= MAX_ATTACHMENTS) {
+      addSystemMessage(`A message can have at most ${MAX_ATTACHMENTS} files`);
+      return;
+    }
+
+    if (!uploadToken || !isIdentified) {
+      addSystemMessage('You can attach files once you are connected');
+      return;
+    }
+
+    uploadFile(file);
+  });
+}
+
+/**
+ * Upload one file to the server (POST /upload) and show it in the attachment bar
+ * @param {File} file - The file
+ */
+function uploadFile(file) {
+  // Pasted screenshots have no real name
+  const name = file.name || 'pasted-image.png';
+  const upload = { name: name, attachment: null, element: null };
+
+  pendingUploads.push(upload);
+  upload.element = createPendingUploadElement(upload);
+  attachmentBar.appendChild(upload.element);
+  attachmentBar.classList.remove('hidden');
+
+  fetch('/upload', {
+    method: 'POST',
+    headers: {
+      'Content-Type': file.type || 'application/octet-stream',
+      'X-Filename': encodeURIComponent(name),
+      'X-Upload-Token': uploadToken
+    },
+    body: file
+  })
+    .then(function(response) {
+      return response.json().then(function(body) {
+        if (!response.ok) {
+          throw new Error(body.text || 'The upload failed');
+        }
+        return body;
+      });
+    })
+    .then(function(attachment) {
+      // Removed while it was uploading
+      if (!pendingUploads.includes(upload)) {
+        return;
+      }
+
+      upload.attachment = attachment;
+      upload.element.classList.remove('uploading');
+      upload.element.querySelector('.attachment-chip-name').textContent =
+        `${attachment.name} (${formatFileSize(attachment.size)})`;
+    })
+    .catch(function(error) {
+      addSystemMessage(`Could not upload ${name}: ${error.message}`);
+      removePendingUpload(upload);
+    });
+}
+
+/**
+ * Build the chip of a file in the attachment bar (name and a remove button)
+ * @param {object} upload - An entry of pendingUploads
+ * @returns {HTMLElement} The chip
+ */
+function createPendingUploadElement(upload) {
+  const chip = document.createElement('span');
+  chip.className = 'attachment-chip uploading';
+
+  const nameSpan = document.createElement('span');
+  nameSpan.className = 'attachment-chip-name';
+  nameSpan.textContent = `${upload.name} (uploading...)`;
+
+  const removeButton = document.createElement('button');
+  removeButton.type = 'button';
+  removeButton.title = 'Remove file';
+  removeButton.textContent = '×';
+  removeButton.addEventListener('click', function() {
+    removePendingUpload(upload);
+  });
+
+  chip.appendChild(nameSpan);
+  chip.appendChild(removeButton);
+  return chip;
+}
+
+/**
+ * Take a file off the next message
+ * (the uploaded file stays on the server, it just isn't sent)
+ *
+ * @param {object} upload - An entry of pendingUploads
+ */
+function removePendingUpload(upload) {
+  pendingUploads = pendingUploads.filter((pending) => pending !== upload);
+  upload.element.remove();
+  attachmentBar.classList.toggle('hidden', pendingUploads.length === 0);
+}
+
+/**
+ * Empty the attachment bar (after the files were sent)
+ */
+function clearPendingUploads() {
+  pendingUploads = [];
+  attachmentBar.textContent = '';
+  attachmentBar.classList.add('hidden');
+}
+
+/**
+ * Upload files chosen with the paperclip button
+ */
+function handleFileInputChange() {
+  uploadFiles(fileInput.files);
+
+  // Picking the same file again should work too
+  fileInput.value = '';
+}
+
+/**
+ * Upload images (or files) pasted into the message input
+ * Pasted text is left alone
+ */
+function handlePaste(event) {
+  const files = event.clipboardData ? event.clipboardData.files : [];
+  if (files.length === 0) {
+    return;
+  }
+
+  event.preventDefault();
+  uploadFiles(files);
+}
+
+/**
+ * Highlight the chat while files are dragged over it
+ */
+function handleDragOver(event) {
+  if (!event.dataTransfer || !Array.from(event.dataTransfer.types).includes('Files')) {
+    return;
+  }
+
+  // Allow dropping here (the browser would open the file otherwise)
+  event.preventDefault();
+  chatMain.classList.add('drop-target');
+}
+
+/**
+ * Remove the highlight when the files leave the chat
+ */
+function handleDragLeave(event) {
+  // Moving between elements inside the chat also fires 'dragleave'
+  if (!chatMain.contains(event.relatedTarget)) {
+    chatMain.classList.remove('drop-target');
+  }
+}
+
+/**
+ * Upload files dropped on the chat
+ */
+function handleDrop(event) {
+  chatMain.classList.remove('drop-target');
+  if (!event.dataTransfer || event.dataTransfer.files.length === 0) {
+    return;
+  }
+
+  event.preventDefault();
+  uploadFiles(event.dataTransfer.files);
+}
+
+// ============================================
+// READ RECEIPTS
+// ============================================
+
+/**
+ * Report the newest message we can see soon (a few scroll events or
+ * messages in a row only cause one report)
+ */
+function scheduleReadReport() {
+  if (readReportTimer) {
+    return;
+  }
+
+  readReportTimer = setTimeout(() => {
+    readReportTimer = null;
+    reportReadPosition();
+  }, READ_REPORT_DELAY);
+}
+
+/**
+ * Tell the server the newest message of the active room that is actually on screen
+ * Nothing is reported while the tab is hidden, or for direct messages
+ */
+function reportReadPosition() {
+  if (document.hidden || isDirectKey(activeConversation) || !isIdentified ||
+      !socket || socket.readyState !== WebSocket.OPEN) {
+    return;
+  }
+
+  const pane = conversationPanes.get(activeConversation);
+  if (!pane) {
+    return;
+  }
+
+  // Walk up from the newest message until we find one inside the visible area
+  const view = chatMessages.getBoundingClientRect();
+  const elements = pane.querySelectorAll('.message[data-id]');
+  let newestSeenId = 0;
+
+  for (let i = elements.length - 1; i >= 0; i--) {
+    const box = elements[i].getBoundingClientRect();
+    if (box.top < view.bottom && box.bottom > view.top) {
+      newestSeenId = Number(elements[i].dataset.id);
+      break;
+    }
+  }
+
+  // Only report progress, never the same or an older message again
+  if (newestSeenId <= (lastReportedReadIds.get(activeConversation) || 0)) {
+    return;
+  }
+
+  lastReportedReadIds.set(activeConversation, newestSeenId);
+  socket.send(JSON.stringify({
+    type: 'mark-read',
+    room: activeConversation,
+    id: newestSeenId,
+    timestamp: Date.now()
+  }));
+}
+
+/**
+ * Show who has seen one of our messages: two ticks, and the readers on hover
+ * @param {HTMLElement} element - Our message element
+ * @param {Array<string>} seenBy - Usernames of the readers
+ */
+function showSeenBy(element, seenBy) {
+  if (seenBy.length === 0) {
+    return;
+  }
+
+  setMessageStatus(element, 'seen');
+  element.querySelector('.message-status').title = `Seen by ${seenBy.join(', ')}`;
+}
+
+/**
+ * Handle a 'read-receipts' message: new "seen by" lists for messages of a room
+ */
+function handleReadReceipts(message) {
+  message.messages.forEach((receipt) => {
+    findMessageElements(receipt.id).forEach((element) => {
+      if (element.classList.contains('own')) {
+        showSeenBy(element, receipt.seenBy);
+      }
+    });
+  });
+}
+
+/**
+ * Add a system message (like "Connected" or "User joined")
+ * These are displayed differently from regular chat messages
+ *
+ * @param {string} text - The text to show
+ * @param {string} [room] - The room it belongs to (defaults to the conversation currently shown)
+ */
+function addSystemMessage(text, room) {
+  const messageDiv = document.createElement('div');
   messageDiv.className = 'system-message';
   messageDiv.textContent = text;
 
-  chatMessages.appendChild(messageDiv);
-  scrollToBottom();
+  appendToConversation(room || activeConversation, messageDiv);
+}
+
+/**
+ * Add an element to a conversation's pane
+ * Scrolls down if the conversation is shown, otherwise counts it as unread
+ *
+ * @param {string} key - The room name, or "@username" for direct messages
+ * @param {HTMLElement} element - The message element to add
+ * @param {boolean} [isHistory] - True for past messages (never counted as unread)
+ */
+function appendToConversation(key, element, isHistory) {
+  // Ignore late messages for rooms we already left
+  if (key !== activeConversation && !isDirectKey(key) && !joinedRooms.includes(key)) {
+    return;
+  }
+
+  getConversationPane(key).appendChild(element);
+
+  if (key === activeConversation) {
+    // Scroll to the bottom to show the new message (which also means we've seen it)
+    scrollToBottom();
+    scheduleReadReport();
+  } else if (element.classList.contains('message') && !isHistory) {
+    // Only chat messages count as unread, not join/leave notices
+    unreadCounts.set(key, (unreadCounts.get(key) || 0) + 1);
+    renderRoomList();
+    renderDirectList();
+  }
 }
 
 /**
@@ -466,9 +2982,35 @@ function scrollToBottom() {
 }
 
 // ============================================
-// 9. UTILITY FUNCTIONS
+// 11. UTILITY FUNCTIONS
 // ============================================
 
+/**
+ * Create a random id for an outgoing message
+ * @returns {string} A random string like "k2j4h5-1a2b3c4d"
+ */
+function createNonce() {
+  if (window.crypto && window.crypto.randomUUID) {
+    return window.crypto.randomUUID();
+  }
+  return Date.now().toString(36) + '-' + Math.random().toString(36).slice(2);
+}
+
+/**
+ * Format a file size for people
+ * @param {number} bytes - The size in bytes
+ * @returns {string} e.g. "512 B", "34 KB" or "2.5 MB"
+ */
+function formatFileSize(bytes) {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  if (bytes < 1024 * 1024) {
+    return `${Math.round(bytes / 1024)} KB`;
+  }
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
 /**
  * Format a timestamp into a readable time string (HH:MM)
  * @param {number} timestamp - Milliseconds since 1970
@@ -489,12 +3031,69 @@ function formatTime(timestamp) {
 }
 
 // ============================================
-// 10. EVENT LISTENERS
+// 12. EVENT LISTENERS
 // ============================================
 
 // Listen for form submission (when user presses Enter or clicks Send)
 chatForm.addEventListener('submit', sendMessage);
 
+// Clicking "Not sent - click to retry" on a failed message sends it again
+chatMessages.addEventListener('click', handleRetryClick);
+
+// Edit / Delete / React buttons on messages
+chatMessages.addEventListener('click', handleMessageActionClick);
+
+// Clicking a reaction toggles ours
+chatMessages.addEventListener('click', handleReactionClick);
+
+// Member list and status
+membersToggle.addEventListener('click', function() {
+  memberList.classList.toggle('hidden');
+});
+statusForm.addEventListener('submit', handleStatusChange);
+statusSelect.addEventListener('change', handleStatusChange);
+statusTextInput.addEventListener('blur', handleStatusChange);
+
+// Any activity brings us back from "away"
+['mousemove', 'keydown', 'click', 'touchstart'].forEach((eventName) => {
+  document.addEventListener(eventName, markActive);
+});
+document.addEventListener('visibilitychange', handleVisibilityChange);
+
+// Scrolling through a room (or coming back to the tab) may show messages we haven't seen yet
+chatMessages.addEventListener('scroll', scheduleReadReport);
+document.addEventListener('visibilitychange', scheduleReadReport);
+
+// Clicking a reply's quote or a "N replies" link opens the thread
+chatMessages.addEventListener('click', handleThreadLinkClick);
+
+// Messages in the thread panel have the same buttons and reactions
+threadMessages.addEventListener('click', handleMessageActionClick);
+threadMessages.addEventListener('click', handleReactionClick);
+
+// Thread panel and reply bar buttons
+closeThreadBtn.addEventListener('click', closeThread);
+cancelReplyBtn.addEventListener('click', cancelReply);
+threadReplyBtn.addEventListener('click', function() {
+  const parent = threadMessages.querySelector('.message');
+  if (parent) {
+    startReply(parent);
+  }
+});
+
+// Clicking anywhere else closes the reaction picker
+document.addEventListener('click', function(event) {
+  if (!event.target.closest('.reaction-picker, .message-actions')) {
+    closeReactionPicker();
+  }
+});
+
+// Listen for the join room form in the sidebar
+joinRoomForm.addEventListener('submit', handleJoinRoomSubmit);
+
+// Listen for the new direct message form in the sidebar
+newDirectForm.addEventListener('submit', handleNewDirectSubmit);
+
 // Listen for username save button click
 saveUsernameBtn.addEventListener('click', saveUsername);
 
@@ -508,6 +3107,20 @@ usernameInput.addEventListener('keypress', function(event) {
 // Listen for typing in the message input
 // Use 'input' event which fires on every change
 messageInput.addEventListener('input', handleUserTyping);
+messageInput.addEventListener('input', resizeMessageInput);
+
+// Enter sends the message, Shift+Enter adds a line
+messageInput.addEventListener('keydown', handleMessageKeydown);
+
+// Attach files: the paperclip button, pasting, or dropping them on the chat
+attachButton.addEventListener('click', function() {
+  fileInput.click();
+});
+fileInput.addEventListener('change', handleFileInputChange);
+messageInput.addEventListener('paste', handlePaste);
+chatMain.addEventListener('dragover', handleDragOver);
+chatMain.addEventListener('dragleave', handleDragLeave);
+chatMain.addEventListener('drop', handleDrop);
 
 // When user focuses on the input, they might start typing
 messageInput.addEventListener('focus', function() {
@@ -515,6 +3128,16 @@ messageInput.addEventListener('focus', function() {
   // Wait for actual input
 });
 
+// Reconnect right away when the browser gets its network back
+// (instead of waiting for the backoff timer, e.g. after waking a laptop)
+window.addEventListener('online', function() {
+  if (currentUsername && reconnectTimer) {
+    console.log('Browser is back online, reconnecting now');
+    reconnectAttempts = 0;
+    connectToServer();
+  }
+});
+
 // When user leaves the input, send "stopped typing"
 messageInput.addEventListener('blur', function() {
   if (isCurrentlyTyping) {
@@ -527,9 +3150,21 @@ messageInput.addEventListener('blur', function() {
 });
 
 // ============================================
-// 11. INITIALIZE THE APPLICATION
+// 13. INITIALIZE THE APPLICATION
 // ============================================
 
+// Restore the rooms we were in last time and draw the sidebar
+loadJoinedRooms();
+renderRoomList();
+
+// Restore our status, and start noticing when we go idle
+// (small screens start with the member list closed, it would cover the messages)
+loadStatus();
+markActive();
+if (window.innerWidth <= 768) {
+  memberList.classList.add('hidden');
+}
+
 // When the page loads, check for saved username
 // This runs automatically when the script loads
 loadUsername();
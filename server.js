@@ -7,17 +7,275 @@ const http = require('http');  // Creates HTTP server
 const fs = require('fs');      // Reads files from disk
 const path = require('path');  // Handles file paths correctly across different operating systems
 const url = require('url');    // Parses URLs to get pathname
+const net = require('net');    // Tells IP addresses apart from usernames
+const crypto = require('crypto'); // Compares the admin secret safely
+const cluster = require('cluster'); // Tells whether we run as one of several processes (see cluster.js)
 
 // Import the WebSocket library (installed via npm)
 // This provides real-time, two-way communication between server and clients
 const WebSocket = require('ws');
 
+// Import our own modules
+const { createMessageStore } = require('./lib/message-store');
+const { createTokenBucket, createFloodGuards } = require('./lib/rate-limiter');
+const { createReadReceipts } = require('./lib/read-receipts');
+const { createCommandRegistry } = require('./lib/commands');
+const { createModeration, normalizeIp } = require('./lib/moderation');
+const { createPipeline } = require('./lib/pipeline');
+const { createUploadStore, UPLOAD_ID_PATTERN } = require('./lib/uploads');
+const { createWebhooks } = require('./lib/webhooks');
+const { createPluginHost } = require('./lib/plugins');
+const { createSendQueues } = require('./lib/backpressure');
+const { createMemoryAdapter, createClusterAdapter } = require('./lib/adapters');
+const { PROTOCOL_VERSION, SUPPORTED_PROTOCOLS, validateFrame, getRequestId, negotiateProtocol } = require('./lib/protocol');
+
 // ============================================
 // CONFIGURATION
 // ============================================
 
 const PORT = process.env.PORT || 3000;
 
+// Every client is placed in this room when it connects, and it can never be removed
+// from the room list (even when empty)
+const DEFAULT_ROOM = 'general';
+
+// Room names: lowercase letters, numbers, dashes and underscores (max 30 characters)
+const ROOM_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,29}$/;
+
+// Usernames: 2-20 letters, numbers, dashes and underscores
+const USERNAME_PATTERN = /^[A-Za-z0-9_-]{2,20}$/;
+
+// Directory where chat history (and other server data) is saved
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+
+// How many past messages a user receives when joining a room
+const HISTORY_LIMIT = parseInt(process.env.HISTORY_LIMIT, 10) || 50;
+
+// How many recent message nonces to remember per user (for ignoring resent messages)
+const NONCE_MEMORY = 200;
+
+// Reactions must be a single emoji: any standard one (with skin tones, flags, keycaps
+// like 1️⃣ and joined sequences like 👨‍👩‍👧), or a lone pictograph such as ❤ without its emoji marker
+const REACTION_PATTERN = /^(?:\p{RGI_Emoji}|\p{Extended_Pictographic})$/v;
+
+// Most different emojis a single message can collect
+const MAX_REACTIONS_PER_MESSAGE = 20;
+
+// Secret that makes a user an admin ("/admin <secret>")
+// Without it nobody can become an admin
+const ADMIN_SECRET = process.env.ADMIN_SECRET || '';
+
+// How long bans and mutes last when the admin doesn't say
+const DEFAULT_BAN_DURATION = 24 * 60 * 60 * 1000; // 1 day
+const DEFAULT_MUTE_DURATION = 10 * 60 * 1000;     // 10 minutes
+
+// WebSocket close codes telling the browser not to reconnect
+const CLOSE_KICKED = 4001;
+const CLOSE_BANNED = 4003;
+
+// Presence statuses a user can have ('away' is also set automatically by idle browsers)
+const PRESENCE_STATUSES = ['online', 'away', 'dnd'];
+
+// Longest custom status text (in characters)
+const MAX_STATUS_TEXT_LENGTH = 100;
+
+// Longest room topic (in characters)
+const MAX_TOPIC_LENGTH = 200;
+
+// Length of the quoted parent text shown on replies
+const REPLY_PREVIEW_LENGTH = 100;
+
+// @mentions: "@" and a username, not right after a letter or number (so "bob@example.com" isn't one)
+const MENTION_PATTERN = /(?<![A-Za-z0-9_.@-])@([A-Za-z0-9_-]{2,20})(?![A-Za-z0-9_-])/g;
+
+// Most users a single message can mention
+const MAX_MENTIONS = 20;
+
+// Longest chat or direct message text (in characters)
+const MAX_MESSAGE_LENGTH = parseInt(process.env.MAX_MESSAGE_LENGTH, 10) || 2000;
+
+// Largest WebSocket frame a client may send (in bytes)
+// Bigger frames make the ws library close the connection (code 1009)
+const MAX_PAYLOAD_BYTES = parseInt(process.env.MAX_PAYLOAD_BYTES, 10) || 16 * 1024;
+
+// How often the server pings every client (in milliseconds)
+// A client that hasn't answered the previous ping by the next one is disconnected
+const HEARTBEAT_INTERVAL = parseInt(process.env.HEARTBEAT_INTERVAL, 10) || 30 * 1000;
+
+// Slow clients (see lib/backpressure.js): above SEND_HIGH_WATERMARK bytes waiting to go
+// out, a connection's frames are queued until it is back below SEND_LOW_WATERMARK.
+// A connection is dropped when its queue passes SEND_QUEUE_LIMIT bytes, or when none
+// of its queue went out for SLOW_CLIENT_TIMEOUT milliseconds
+const SEND_HIGH_WATERMARK = parseInt(process.env.SEND_HIGH_WATERMARK, 10) || 512 * 1024;
+const SEND_LOW_WATERMARK = parseInt(process.env.SEND_LOW_WATERMARK, 10) || 128 * 1024;
+const SEND_QUEUE_LIMIT = parseInt(process.env.SEND_QUEUE_LIMIT, 10) || 2 * 1024 * 1024;
+const SLOW_CLIENT_TIMEOUT = parseInt(process.env.SLOW_CLIENT_TIMEOUT, 10) || 30 * 1000;
+
+// How often "seen by" updates are sent to a room (in milliseconds)
+// Read reports arriving in between are combined into one update
+const READ_RECEIPT_INTERVAL = parseInt(process.env.READ_RECEIPT_INTERVAL, 10) || 2000;
+
+// Largest file that can be uploaded (in bytes)
+const MAX_UPLOAD_BYTES = parseInt(process.env.MAX_UPLOAD_BYTES, 10) || 10 * 1024 * 1024;
+
+// File types that can be uploaded
+// SVG and HTML are left out on purpose: they can contain scripts
+const UPLOAD_TYPES = [
+  'image/png', 'image/jpeg', 'image/gif', 'image/webp',
+  'application/pdf', 'application/zip', 'text/plain'
+];
+
+// Most files a single message can carry
+const MAX_ATTACHMENTS = 5;
+
+// Tokens for scripts using the REST API: "name:token" pairs separated by commas
+// e.g. API_TOKENS="ci-bot:a-long-random-secret" lets a script post as "ci-bot"
+const API_TOKENS = process.env.API_TOKENS || '';
+
+// Request ids scripts may send in the X-Request-Id header (repeated in the answer)
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,64}$/;
+
+// Most messages GET /api/messages returns at once
+const MAX_API_PAGE_SIZE = 100;
+
+// Outgoing webhooks (see lib/webhooks.js): how long a receiver has to answer,
+// how often a failed delivery is tried, and the wait before the first retry
+// (doubled for every next one) - all in milliseconds
+const WEBHOOK_TIMEOUT = parseInt(process.env.WEBHOOK_TIMEOUT, 10) || 5000;
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5;
+const WEBHOOK_RETRY_DELAY = parseInt(process.env.WEBHOOK_RETRY_DELAY, 10) || 1000;
+
+// The server process that runs the plugins when there are several (see PLUGINS IN A CLUSTER)
+const PLUGIN_SLOT = 0;
+
+// Flood protection for every user, or every IP address before the client has a name
+// (see lib/rate-limiter.js). Each frame kind has a token bucket: 'capacity' frames
+// in a burst, then 'refillPerSecond' frames per second on average
+const FLOOD_PROTECTION = {
+  limits: {
+    chat: {
+      capacity: parseInt(process.env.CHAT_BURST, 10) || 5,
+      refillPerSecond: parseFloat(process.env.CHAT_RATE) || 1
+    },
+    typing: {
+      capacity: parseInt(process.env.TYPING_BURST, 10) || 10,
+      refillPerSecond: parseFloat(process.env.TYPING_RATE) || 2
+    },
+    other: {
+      capacity: parseInt(process.env.OTHER_BURST, 10) || 20,
+      refillPerSecond: parseFloat(process.env.OTHER_RATE) || 5
+    }
+  },
+  strikeWindow: 10 * 1000,   // Refused frames are counted over 10 seconds...
+  muteAfterStrikes: 5,       // ...and 5 of them mute the connection...
+  muteDuration: 30 * 1000,   // ...for 30 seconds
+  disconnectAfterMutes: 3,   // The third mute closes the connection
+  forgetAfter: 10 * 60 * 1000 // Strikes and mutes of someone quiet for 10 minutes are forgotten
+};
+
+// The frames clients can send over the WebSocket, and the fields of each (see lib/protocol.js)
+// Fields used by several frames are declared once
+const MESSAGE_TEXT_FIELD = {
+  type: 'string',
+  required: true,
+  maxLength: MAX_MESSAGE_LENGTH,
+  code: 'message-too-long',
+  text: `Messages can be at most ${MAX_MESSAGE_LENGTH} characters`
+};
+const NONCE_FIELD = { type: 'string', maxLength: 64 };
+const ATTACHMENTS_FIELD = {
+  type: 'array',
+  maxLength: MAX_ATTACHMENTS,
+  code: 'invalid-attachments',
+  text: `A message can have at most ${MAX_ATTACHMENTS} files`,
+  items: {
+    type: 'string',
+    pattern: UPLOAD_ID_PATTERN,
+    code: 'invalid-attachments',
+    text: 'Attachments are the ids of uploaded files'
+  }
+};
+const MESSAGE_ID_FIELD = { type: 'integer', required: true, min: 1 };
+
+const CLIENT_MESSAGE_SCHEMAS = {
+  'ping': {},
+  'hello': {
+    username: { type: 'string', required: true },
+    protocol: { type: 'integer' },
+    resume: { type: 'string', maxLength: 64 }
+  },
+  'join-room': {
+    room: {
+      type: 'string',
+      required: true,
+      pattern: ROOM_NAME_PATTERN,
+      code: 'invalid-room',
+      text: 'Room names can only use lowercase letters, numbers, "-" and "_"'
+    },
+    since: { type: 'integer', min: 0 }
+  },
+  'leave-room': {
+    room: { type: 'string', required: true }
+  },
+  'list-rooms': {},
+  'chat-message': {
+    room: { type: 'string', required: true },
+    text: MESSAGE_TEXT_FIELD,
+    nonce: NONCE_FIELD,
+    replyTo: { type: 'integer', min: 1 },
+    attachments: ATTACHMENTS_FIELD
+  },
+  'get-thread': {
+    id: MESSAGE_ID_FIELD
+  },
+  'direct-message': {
+    to: { type: 'string', required: true },
+    text: MESSAGE_TEXT_FIELD,
+    nonce: NONCE_FIELD,
+    attachments: ATTACHMENTS_FIELD
+  },
+  'edit-message': {
+    id: MESSAGE_ID_FIELD,
+    text: MESSAGE_TEXT_FIELD
+  },
+  'delete-message': {
+    id: MESSAGE_ID_FIELD
+  },
+  'react': {
+    id: MESSAGE_ID_FIELD,
+    emoji: {
+      type: 'string',
+      required: true,
+      pattern: REACTION_PATTERN,
+      code: 'invalid-reaction',
+      text: 'Reactions must be a single emoji'
+    }
+  },
+  'set-status': {
+    status: {
+      type: 'string',
+      required: true,
+      oneOf: PRESENCE_STATUSES,
+      code: 'invalid-status',
+      text: `Status must be one of: ${PRESENCE_STATUSES.join(', ')}`
+    },
+    text: {
+      type: 'string',
+      maxLength: MAX_STATUS_TEXT_LENGTH,
+      code: 'status-too-long',
+      text: `Status text can be at most ${MAX_STATUS_TEXT_LENGTH} characters`
+    }
+  },
+  'mark-read': {
+    room: { type: 'string', required: true },
+    id: MESSAGE_ID_FIELD
+  },
+  'typing': {
+    room: { type: 'string', required: true },
+    isTyping: { type: 'boolean', required: true }
+  }
+};
+
 
 // ============================================
 // IN-MEMORY DATA STORAGE
@@ -29,193 +287,2697 @@ const connectedClients = new Set();
 
 // Map WebSocket connections to usernames
 // This allows us to track which username belongs to which connection
+// A username is only added here after a successful 'hello' handshake, and it is
+// the only identity the server ever puts on outgoing messages
 // Format: Map<WebSocket, string>
 const clientUsernames = new Map();
 
+// Presence of every identified client: its status and custom status text
+// Usernames are unique, so this is also the presence of the user
+// Format: Map<WebSocket, { status: string, text: string }>
+const clientPresence = new Map();
+
+// Map room names to the clients that have joined that room
+// The default room always exists, other rooms are created on first join
+// and removed again when the last member leaves
+// Format: Map<string, Set<WebSocket>>
+const rooms = new Map([[DEFAULT_ROOM, new Set()]]);
+
+// IP address of every connection (for IP bans)
+// Format: Map<WebSocket, string>
+const clientIps = new Map();
+
+// Rate limit key of every connection that hasn't sent a valid 'hello' yet (see getFloodKey())
+// Format: Map<WebSocket, string>
+const handshakeKeys = new Map();
+let nextHandshakeNumber = 1;
+
+// Rate limits, strikes and mutes of every user (see checkRateLimit())
+// Kept by name rather than by connection, so reconnecting doesn't reset them
+const floodGuards = createFloodGuards(FLOOD_PROTECTION);
+
+// Connections that gave the admin secret
+// Format: Set<WebSocket>
+const adminClients = new Set();
+
+// Secret token of every identified connection, sent along with its uploads
+// (an HTTP upload can't tell by itself which chat user it comes from)
+// Format: Map<WebSocket, string>
+const uploadTokens = new Map();
+
+// The frame being handled right now, so errors sent while handling it can repeat its requestId
+// Frames are handled one at a time, from start to finish, so there is only ever one
+// Format: { ws: WebSocket, requestId: string|undefined } or null
+let currentRequest = null;
+
+// Upload tokens of the users connected to the other server processes
+// (an upload can reach a different process than the user's WebSocket, see cluster.js)
+// Format: Map<string (token), { username: string, slot: number (the user's process) }>
+const remoteUploadTokens = new Map();
+
+// Names of the plugin bots, when the plugins run in another server process (see PLUGINS IN A CLUSTER)
+let remotePluginBots = [];
+
+// Topic of each room, set with the /topic command (memory only)
+// Format: Map<string (room), string (topic)>
+const roomTopics = new Map();
+
+// Map WebSocket connections to the rooms they have joined
+// A client can be a member of several rooms at the same time
+// Format: Map<WebSocket, Set<string>>
+const clientRooms = new Map();
+
+// Clients we pinged that haven't answered with a pong yet
+// Half-open connections (e.g. a laptop that went to sleep) never answer
+// Format: Set<WebSocket>
+const awaitingPong = new Set();
+
+// Nonces (random ids made by the browser) of each user's recent messages
+// If a message is sent again with the same nonce - e.g. the browser never got our
+// acknowledgement before its connection dropped - we acknowledge it again instead of
+// delivering it twice
+// Format: Map<string (lowercase username), Map<string (nonce), object (delivered message)>>
+const recentNonces = new Map();
+
+// Rooms with read reports that haven't been broadcast yet
+// fromId is the oldest message whose "seen by" list changed
+// Format: Map<string (room), { fromId: number, timer: Timeout }>
+const pendingReadReceipts = new Map();
+
+// ============================================
+// CLUSTER ADAPTER
+// ============================================
+
+// How this process shares what happens with the other server processes (see lib/adapters.js):
+// a worker started by cluster.js talks to the other workers, a single process has nobody to tell
+const adapter = cluster.isWorker ? createClusterAdapter() : createMemoryAdapter();
+
+// ============================================
+// PERSISTENT STORAGE
+// ============================================
+
+// Chat history, saved to DATA_DIR/messages.jsonl so it survives restarts
+const messageStore = createMessageStore({
+  dataDir: DATA_DIR,
+  idSlot: adapter.slot,
+  idSlots: adapter.slots,
+  onRecord: (record) => adapter.publish({ type: 'store', record: record })
+});
+messageStore.load();
+
+// What is waiting to be sent to slow clients (see lib/backpressure.js)
+const sendQueues = createSendQueues({
+  highWatermark: SEND_HIGH_WATERMARK,
+  lowWatermark: SEND_LOW_WATERMARK,
+  maxQueueBytes: SEND_QUEUE_LIMIT,
+  slowClientTimeout: SLOW_CLIENT_TIMEOUT
+});
+
+// How far each user has read in each room (memory only, see lib/read-receipts.js)
+const readReceipts = createReadReceipts();
+
+// Bans, mutes and the audit log (DATA_DIR/moderation.json and DATA_DIR/audit.log)
+const moderation = createModeration({
+  dataDir: DATA_DIR,
+  onSave: () => adapter.publish({ type: 'moderation-changed' })
+});
+moderation.load();
+
+// Slash commands: every module in the commands/ directory (see lib/commands.js)
+const commandRegistry = createCommandRegistry();
+commandRegistry.loadDirectory(path.join(__dirname, 'commands'));
+
+// Files attached to messages (DATA_DIR/uploads, see lib/uploads.js)
+const uploadStore = createUploadStore({
+  dataDir: path.join(DATA_DIR, 'uploads'),
+  maxBytes: MAX_UPLOAD_BYTES,
+  allowedTypes: UPLOAD_TYPES,
+  onSave: (upload) => adapter.publish({ type: 'upload', upload: upload }),
+  onRemove: (id) => adapter.publish({ type: 'upload-removed', id: id })
+});
+uploadStore.load();
+
+// Outgoing and incoming webhooks set up by admins (DATA_DIR/webhooks.json, see lib/webhooks.js)
+const webhooks = createWebhooks({
+  dataDir: DATA_DIR,
+  timeout: WEBHOOK_TIMEOUT,
+  maxAttempts: WEBHOOK_MAX_ATTEMPTS,
+  retryDelay: WEBHOOK_RETRY_DELAY,
+  onSave: () => adapter.publish({ type: 'webhooks-changed' })
+});
+webhooks.load();
+
+// Middleware that every inbound and outbound message passes through:
+// every module in the middleware/ directory (see lib/pipeline.js)
+const messagePipeline = createPipeline();
+messagePipeline.loadDirectory(path.join(__dirname, 'middleware'));
+
+// In-process bots and other plugins: every module in the plugins/ directory (see lib/plugins.js)
+// Only one server process runs them, so every bot, reminder and standup exists once
+const pluginHost = createPluginHost({
+  postBotMessage: postBotMessage,
+  registerCommand: (command) => commandRegistry.register(command),
+  getOnlineUsers: getOnlineUsers,
+  getRoomMembers: getRoomMembers,
+  isValidBotName: (name) => typeof name === 'string' && USERNAME_PATTERN.test(name)
+});
+if (adapter.slot === PLUGIN_SLOT) {
+  pluginHost.loadDirectory(path.join(__dirname, 'plugins'));
+}
+
 // ============================================
 // UTILITY FUNCTIONS
 // ============================================
 
 /**
- * Get the count of online users
- * @returns {number} Number of users with usernames
+ * Get the count of users in a room
+ * @param {string} room - The room name
+ * @returns {number} Number of clients that have joined the room (in every server process)
+ */
+function getRoomOnlineCount(room) {
+  const members = rooms.get(room);
+  return (members ? members.size : 0) + getRemoteMembers(room).length;
+}
+
+/**
+ * Get the roster entry of a client
+ * @param {WebSocket} ws - The client
+ * @returns {object} { username, status, text }
+ */
+function getMember(ws) {
+  const presence = clientPresence.get(ws);
+
+  return {
+    username: clientUsernames.get(ws),
+    status: presence.status,
+    text: presence.text
+  };
+}
+
+/**
+ * Get the roster of a room: every member with their presence
+ * @param {string} room - The room name
+ * @returns {Array<object>} Members ({ username, status, text }), sorted by username
+ */
+function getRoomMembers(room) {
+  return Array.from(rooms.get(room) || [])
+    .map(getMember)
+    .concat(getRemoteMembers(room))
+    .sort((a, b) => a.username.localeCompare(b.username));
+}
+
+/**
+ * Get everyone who is online, with their presence
+ * @returns {Array<object>} [{ username, status, text }], sorted by username
+ */
+function getOnlineUsers() {
+  return Array.from(clientPresence.keys())
+    .map(getMember)
+    .concat(getRemoteMembers())
+    .sort((a, b) => a.username.localeCompare(b.username));
+}
+
+/**
+ * Get the users connected to the other server processes (see lib/adapters.js)
+ * @param {string} [room] - Only the members of this room
+ * @returns {Array<object>} [{ username, status, text }]
+ */
+function getRemoteMembers(room) {
+  return adapter.getRemoteUsers()
+    .filter((user) => room === undefined || user.rooms.includes(room))
+    .map((user) => ({ username: user.username, status: user.status, text: user.text }));
+}
+
+/**
+ * Send a room's members a change to its roster
+ * Clients keep their own copy of the roster (sent in 'room-joined') and apply these diffs
+ *
+ * @param {string} room - The room name
+ * @param {object} changes - { updated: [members that joined or changed], removed: [usernames] }
+ * @param {WebSocket} [excludeClient] - Optional client to leave out
+ */
+function broadcastPresence(room, changes, excludeClient) {
+  broadcastToRoom(room, {
+    type: 'presence',
+    room: room,
+    updated: changes.updated || [],
+    removed: changes.removed || [],
+    timestamp: Date.now()
+  }, excludeClient);
+}
+
+/**
+ * Check that a room name is a non-empty string in the allowed format
+ * @param {*} room - The value sent by the client
+ * @returns {boolean} True if the room name can be used
+ */
+function isValidRoomName(room) {
+  return typeof room === 'string' && ROOM_NAME_PATTERN.test(room);
+}
+
+/**
+ * Build the list of rooms with their member counts
+ * @returns {Array<{name: string, count: number}>} Rooms sorted by name
+ */
+function getRoomList() {
+  // Rooms whose members are all connected to other server processes count too
+  const names = new Set(rooms.keys());
+  adapter.getRemoteUsers().forEach((user) => user.rooms.forEach((room) => names.add(room)));
+
+  return Array.from(names)
+    .sort()
+    .map((name) => ({ name: name, count: getRoomOnlineCount(name) }));
+}
+
+/**
+ * Broadcast the room list to all connected clients
+ * Called whenever a room is created, removed, or its member count changes,
+ * so every sidebar stays up to date
  */
-function getOnlineCount() {
-  return clientUsernames.size;
+function broadcastRoomList() {
+  broadcast({
+    type: 'room-list',
+    rooms: getRoomList(),
+    timestamp: Date.now()
+  });
 }
 
 /**
- * Broadcast the current online user count to all clients
+ * Add a client to a room and announce it to the room's members
+ * Creates the room if it doesn't exist yet
+ *
+ * The joining client first gets a 'room-joined' confirmation and the room's
+ * recent history, so past messages are shown before any live traffic
+ *
+ * @param {WebSocket} ws - The client joining
+ * @param {string} room - The room to join
+ * @param {number} [since] - Id of the last message the client saw (when reconnecting)
+ * @returns {boolean} False if the client was already in the room
  */
-function broadcastOnlineCount() {
-  const countMessage = {
-    type: 'online-count',
-    count: getOnlineCount(),
+function joinRoom(ws, room, since) {
+  const joined = clientRooms.get(ws);
+  if (joined.has(room)) {
+    return false;
+  }
+
+  // Create the room on first join
+  if (!rooms.has(room)) {
+    rooms.set(room, new Set());
+    console.log(`[Rooms] Room created: ${room}`);
+  }
+
+  rooms.get(room).add(ws);
+  joined.add(room);
+
+  const username = clientUsernames.get(ws);
+  console.log(`[Rooms] ${username} joined ${room}`);
+
+  // Confirm the join to the client along with the room's current roster
+  sendToClient(ws, {
+    type: 'room-joined',
+    room: room,
+    count: getRoomOnlineCount(room),
+    members: getRoomMembers(room),
+    topic: roomTopics.get(room) || '',
+    timestamp: Date.now()
+  });
+
+  // Replay the last messages of the room, or only the missed ones
+  // if the client tells us the last message it saw - along with the
+  // messages it already has that were edited, deleted, reacted to or replied to since
+  const historyMessage = {
+    type: 'history',
+    room: room,
+    messages: withCurrentState(messageStore.getRecent(room, HISTORY_LIMIT)),
     timestamp: Date.now()
   };
-  broadcast(countMessage);
+
+  if (Number.isInteger(since) && since >= 0) {
+    historyMessage.since = since;
+    historyMessage.messages = withCurrentState(messageStore.getSince(room, since));
+    historyMessage.changed = withCurrentState(messageStore.getChangedSince(room, since));
+  }
+
+  sendToClient(ws, historyMessage);
+
+  // Tell the room's members (including the new one) who joined
+  broadcastToRoom(room, {
+    type: 'system',
+    room: room,
+    text: `${username} joined #${room}`,
+    timestamp: Date.now()
+  });
+
+  broadcastPresence(room, { updated: [getMember(ws)] }, ws);
+  broadcastRoomList();
+  sharePresence();
+
+  emitPluginEvent('join', { username: username, room: room });
+  return true;
 }
 
-// ============================================
-// STATIC FILE SERVING
-// ============================================
+/**
+ * Remove a client from a room and announce it to the remaining members
+ * Removes the room if it is now empty (except the default room)
+ *
+ * @param {WebSocket} ws - The client leaving
+ * @param {string} room - The room to leave
+ * @returns {boolean} False if the client was not in the room
+ */
+function leaveRoom(ws, room) {
+  const joined = clientRooms.get(ws);
+  if (!joined || !joined.has(room)) {
+    return false;
+  }
+
+  const members = rooms.get(room);
+  members.delete(ws);
+  joined.delete(room);
+
+  const username = clientUsernames.get(ws);
+  console.log(`[Rooms] ${username} left ${room}`);
+
+  // Forget rooms without members here (other server processes may still have some)
+  if (members.size === 0 && room !== DEFAULT_ROOM) {
+    rooms.delete(room);
+  }
+
+  // Remove empty rooms so the room list doesn't grow forever
+  if (getRoomOnlineCount(room) === 0 && room !== DEFAULT_ROOM) {
+    roomTopics.delete(room);
+    adapter.publish({ type: 'topic', room: room, topic: '' });
+    console.log(`[Rooms] Room removed: ${room}`);
+  } else {
+    broadcastToRoom(room, {
+      type: 'system',
+      room: room,
+      text: `${username} left #${room}`,
+      timestamp: Date.now()
+    });
+    broadcastPresence(room, { removed: [username] });
+  }
+
+  broadcastRoomList();
+  sharePresence();
+
+  emitPluginEvent('leave', { username: username, room: room });
+  return true;
+}
 
 /**
- * This function serves static files (HTML, CSS, JS) from the 'public' folder
- * @param {string} filePath - The path to the file we want to serve
- * @param {object} res - The HTTP response object to send data back to the browser
+ * Check whether a username is already used by another connected client
+ * Names are compared case-insensitively, so "alice" and "Alice" can't both be online
+ *
+ * @param {string} username - The username to look for
+ * @returns {boolean} True if someone online already has this name
  */
-function serveStaticFile(filePath, res) {
-  // Read the file from disk
-  fs.readFile(filePath, (err, data) => {
-    // If there's an error (file doesn't exist, permission denied, etc.)
-    if (err) {
-      // Send a 404 Not Found response
-      res.writeHead(404, { 'Content-Type': 'text/plain' });
-      res.end('404 - File Not Found');
-      return;
+function isUsernameTaken(username) {
+  const wanted = username.toLowerCase();
+
+  for (const name of clientUsernames.values()) {
+    if (name.toLowerCase() === wanted) {
+      return true;
     }
+  }
 
-    // Figure out what type of file this is so the browser knows how to handle it
-    let contentType = 'text/html'; // Default content type
-    const ext = path.extname(filePath); // Get file extension (.html, .css, .js)
+  // Users of the other server processes
+  return adapter.getRemoteUsers().some((user) => user.username.toLowerCase() === wanted);
+}
 
-    // Set the correct Content-Type header based on file extension
-    if (ext === '.css') {
-      contentType = 'text/css';
-    } else if (ext === '.js') {
-      contentType = 'application/javascript';
-    } else if (ext === '.html') {
-      contentType = 'text/html';
+/**
+ * Check whether a name belongs to a bot: an API token, an incoming webhook or a plugin
+ * People can't use these names, so nobody can pass for a bot (see identifyClient() and renameUser())
+ *
+ * @param {string} username - The name to look for (any upper/lower case)
+ * @returns {boolean} True if a bot posts under this name
+ */
+function isBotName(username) {
+  const wanted = username.toLowerCase();
+
+  return Array.from(apiBots.values())
+    .concat(webhooks.list().incoming.map((hook) => hook.name), pluginHost.getBotNames(), remotePluginBots)
+    .some((name) => name.toLowerCase() === wanted);
+}
+
+/**
+ * Find the connections of an online user
+ * @param {string} username - The username to look for (any upper/lower case)
+ * @returns {Array<WebSocket>} The user's connections (empty if they are offline)
+ */
+function getClientsForUser(username) {
+  const wanted = username.toLowerCase();
+  const clients = [];
+
+  clientUsernames.forEach((name, client) => {
+    if (name.toLowerCase() === wanted) {
+      clients.push(client);
     }
+  });
 
-    // Send successful response with the file content
-    res.writeHead(200, { 'Content-Type': contentType });
-    res.end(data);
+  return clients;
+}
+
+/**
+ * Find out whether a user is online (connected to this or another server process)
+ * @param {string} username - The username to look for (any upper/lower case)
+ * @returns {string|null} The username as its owner spells it, or null if they are offline
+ */
+function findOnlineUsername(username) {
+  const clients = getClientsForUser(username);
+  if (clients.length > 0) {
+    return clientUsernames.get(clients[0]);
+  }
+
+  const wanted = username.toLowerCase();
+  const remote = adapter.getRemoteUsers().find((user) => user.username.toLowerCase() === wanted);
+  return remote ? remote.username : null;
+}
+
+/**
+ * Send a message to every connection of a user, in every server process
+ * @param {string} username - The user (any upper/lower case)
+ * @param {object} messageObject - The message object to send
+ */
+function sendToUser(username, messageObject) {
+  getClientsForUser(username).forEach((client) => sendToClient(client, messageObject));
+  adapter.publish({ type: 'user', username: username, message: messageObject });
+}
+
+/**
+ * Find the users mentioned in a message text ("@Bob")
+ * Only users who are online count, so a mention always reaches someone
+ *
+ * @param {string} text - The message text
+ * @returns {Array<string>} The mentioned usernames as their owners spell them (no duplicates)
+ */
+function findMentions(text) {
+  const mentions = [];
+
+  for (const match of text.matchAll(MENTION_PATTERN)) {
+    const username = findOnlineUsername(match[1]);
+    if (!username) {
+      continue;
+    }
+
+    if (!mentions.includes(username)) {
+      mentions.push(username);
+    }
+
+    if (mentions.length >= MAX_MENTIONS) {
+      break;
+    }
+  }
+
+  return mentions;
+}
+
+/**
+ * Handle the 'hello' handshake: bind a username to this connection
+ * The client must identify before it can join rooms, chat or type
+ *
+ * @param {WebSocket} ws - The client
+ * @param {object} message - The hello message ({ type: 'hello', username })
+ */
+function identifyClient(ws, message) {
+  if (clientUsernames.has(ws)) {
+    sendError(ws, 'already-identified', `You are already signed in as ${clientUsernames.get(ws)}`);
+    return;
+  }
+
+  // Both sides must speak the same version of the protocol (see lib/protocol.js)
+  const protocol = negotiateProtocol(message.protocol);
+  if (protocol === null) {
+    sendError(ws, 'unsupported-protocol', `This server speaks protocol version ${SUPPORTED_PROTOCOLS.join(', ')}, not ${message.protocol}`, {
+      field: 'protocol',
+      supported: SUPPORTED_PROTOCOLS
+    });
+    return;
+  }
+
+  const username = message.username.trim();
+
+  if (!USERNAME_PATTERN.test(username)) {
+    sendError(ws, 'invalid-username', 'Usernames must be 2-20 letters, numbers, "-" or "_"', { field: 'username' });
+    return;
+  }
+
+  // A client coming back (after a laptop slept, a Wi-Fi drop...) often finds its old
+  // connection still here: the heartbeat needs up to two intervals to notice it is dead.
+  // The token of that connection proves the name is its own, so it takes the name back
+  if (ownsUsername(username, message.resume)) {
+    replaceStaleConnection(username, message.resume);
+  } else if (isUsernameTaken(username)) {
+    sendError(ws, 'username-taken', `The username "${username}" is already in use`, { field: 'username' });
+    return;
+  }
+
+  if (isBotName(username)) {
+    sendError(ws, 'username-taken', `The username "${username}" belongs to a bot`, { field: 'username' });
+    return;
+  }
+
+  // Banned names are checked here (banned addresses can't even connect)
+  const ban = moderation.findBan(username, clientIps.get(ws));
+  if (ban) {
+    disconnectClient(ws, CLOSE_BANNED, { action: 'ban', by: ban.by, reason: ban.reason, until: ban.until });
+    return;
+  }
+
+  clientUsernames.set(ws, username);
+  clientPresence.set(ws, { status: 'online', text: '' });
+  // Strikes collected during the handshake stay with the user (unless the user has some already)
+  floodGuards.inherit(handshakeKeys.get(ws), `user:${username.toLowerCase()}`);
+  uploadTokens.set(ws, crypto.randomBytes(16).toString('hex'));
+  adapter.publish({ type: 'upload-token', token: uploadTokens.get(ws), username: username, slot: adapter.slot });
+  sharePresence();
+  console.log(`[WebSocket] User identified: ${username}`);
+
+  // Tell the client which name the server will use for it, and the token that
+  // proves its uploads come from this user (and lets it resume after a reconnect)
+  sendToClient(ws, {
+    type: 'identified',
+    username: username,
+    protocol: protocol,
+    uploadToken: uploadTokens.get(ws),
+    timestamp: Date.now()
   });
 }
 
-// ============================================
-// CREATE HTTP SERVER
-// ============================================
+/**
+ * Check whether a hello's resume token belongs to the connection that has the name now
+ * @param {string} username - The name the client asks for
+ * @param {*} token - The 'resume' field of its hello: the uploadToken of its previous connection
+ * @returns {boolean} True if that connection (in any server process) has this name
+ */
+function ownsUsername(username, token) {
+  if (typeof token !== 'string' || !token) {
+    return false;
+  }
+
+  const owner = findUsernameByUploadToken(token);
+  return owner !== null && owner !== undefined && owner.toLowerCase() === username.toLowerCase();
+}
 
 /**
- * Create the HTTP server
- * This handles regular HTTP requests (like loading HTML, CSS, JS files)
- * The WebSocket server will be attached to this same server
+ * Drop the old connection of a client that reconnected (see ownsUsername())
+ * It is removed like any other disconnect, so the new one can have the name right away
+ *
+ * @param {string} username - The client's name
+ * @param {string} token - The uploadToken of the old connection
  */
-const server = http.createServer((req, res) => {
-  // Parse the URL to get just the pathname (e.g., "/", "/styles.css", "/client.js")
-  const parsedUrl = url.parse(req.url);
-  let pathname = parsedUrl.pathname;
+function replaceStaleConnection(username, token) {
+  getClientsForUser(username)
+    .filter((client) => uploadTokens.get(client) === token)
+    .forEach((client) => {
+      console.log(`[WebSocket] ${username} reconnected, dropping the old connection`);
+      removeClient(client);
+      client.terminate();
+    });
+
+  // The old connection may be in another server process
+  adapter.publish({ type: 'replace-connection', username: username, token: token });
+}
+
+/**
+ * Remove a client from all rooms and from our collections
+ * Safe to call more than once (both 'error' and 'close' can fire for one client)
+ *
+ * @param {WebSocket} ws - The client that disconnected
+ */
+function removeClient(ws) {
+  if (!connectedClients.has(ws)) {
+    return;
+  }
+
+  // Leave every joined room so the other members see the departure
+  Array.from(clientRooms.get(ws)).forEach((room) => leaveRoom(ws, room));
+
+  const username = clientUsernames.get(ws);
+
+  if (uploadTokens.has(ws)) {
+    adapter.publish({ type: 'upload-token', token: uploadTokens.get(ws), username: null, slot: adapter.slot });
+  }
+
+  // Remove this client from our collections
+  connectedClients.delete(ws);
+  clientUsernames.delete(ws);
+  clientPresence.delete(ws);
+  clientIps.delete(ws);
+  handshakeKeys.delete(ws);
+  adminClients.delete(ws);
+  uploadTokens.delete(ws);
+  clientRooms.delete(ws);
+  awaitingPong.delete(ws);
+  sendQueues.forget(ws);
+  sharePresence();
+
+  console.log(`[WebSocket] Total clients: ${connectedClients.size}`);
+
+  if (username) {
+    console.log(`[WebSocket] User left: ${username}`);
+  }
+}
+
+/**
+ * Send a message to a single client
+ * @param {WebSocket} ws - The client to send to
+ * @param {object} messageObject - The message object to send
+ */
+function sendToClient(ws, messageObject) {
+  if (ws.readyState !== WebSocket.OPEN) {
+    return;
+  }
+
+  // Middleware may change the message or keep it from this client
+  const outbound = messagePipeline.run(messageObject, {
+    direction: 'outbound',
+    ws: ws,
+    username: clientUsernames.get(ws) || null,
+    room: null
+  });
+  if (!outbound.message) {
+    return;
+  }
+
+  try {
+    sendQueues.send(ws, outbound.message, JSON.stringify(outbound.message));
+  } catch (error) {
+    console.error('[WebSocket] Error sending to client:', error.message);
+  }
+}
+
+/**
+ * Send an error message to a single client
+ * @param {WebSocket} ws - The client to send to
+ * @param {string} code - Short machine-readable reason (e.g. 'username-taken')
+ * @param {string} text - Human-readable explanation shown in the chat
+ * @param {object} [details] - Extra fields, e.g. the nonce of the message that failed or the
+ *   offending 'field' (the requestId of the frame being handled is added by itself)
+ */
+function sendError(ws, code, text, details) {
+  sendToClient(ws, Object.assign({
+    type: 'error',
+    code: code,
+    text: text,
+    requestId: currentRequest && currentRequest.ws === ws ? currentRequest.requestId : undefined,
+    timestamp: Date.now()
+  }, details));
+}
+
+/**
+ * Get the key of a connection's flood guard: its user, or the connection itself before it has a name
+ * @param {WebSocket} ws - The connection
+ * @returns {string} 'user:<lowercase name>' or 'conn:<number>'
+ */
+function getFloodKey(ws) {
+  const username = clientUsernames.get(ws);
+  return username ? `user:${username.toLowerCase()}` : handshakeKeys.get(ws);
+}
+
+/**
+ * Check an incoming frame against the sender's rate limits
+ * Refused frames get an error reply; repeat offenders are disconnected
+ *
+ * @param {WebSocket} ws - The sender
+ * @param {object} message - The parsed frame
+ * @returns {boolean} True if the frame may be processed
+ */
+function checkRateLimit(ws, message) {
+  // Frames that are not even objects (see validateFrame()) count as 'other'
+  const type = message && message.type;
+
+  // Keep-alive pings are never refused: a busy client would lose its connection for them
+  if (type === 'ping') {
+    return true;
+  }
+
+  let kind = 'other';
+  if (['chat-message', 'direct-message', 'edit-message', 'delete-message', 'react'].includes(type)) {
+    kind = 'chat';
+  } else if (type === 'typing') {
+    kind = 'typing';
+  }
+
+  const violation = floodGuards.check(getFloodKey(ws), kind);
+  if (!violation) {
+    return true;
+  }
+
+  const who = clientUsernames.get(ws) || 'unidentified client';
+  const seconds = Math.ceil(violation.retryAfter / 1000);
+  console.warn(`[RateLimit] ${who} ${violation.code} (${kind})`);
+
+  const text = violation.code === 'muted'
+    ? `You are sending too fast and have been muted for ${seconds}s`
+    : `You are sending too fast, try again in ${seconds}s`;
+
+  sendError(ws, violation.code, text, {
+    nonce: getNonce(message),
+    retryAfter: violation.retryAfter
+  });
+
+  // Code 1008 = "policy violation"
+  if (violation.disconnect) {
+    console.warn(`[RateLimit] Disconnecting ${who} for flooding`);
+    ws.close(1008, 'Flooding');
+  }
+
+  return false;
+}
+
+/**
+ * Find a stored message that the client wants to change, and check that the
+ * client is allowed to: only the original author may edit or delete a message
+ * (admins may also delete other people's messages). Messages of bots can't be
+ * changed by people, even by someone who once had the bot's name
+ *
+ * @param {WebSocket} ws - The client asking
+ * @param {string} username - The client's username
+ * @param {object} message - The edit-message or delete-message frame
+ * @param {boolean} [allowAdmins] - True if admins may change any message
+ * @returns {object|null} The stored message, or null (an error was sent)
+ */
+function findOwnMessage(ws, username, message, allowAdmins) {
+  const stored = messageStore.get(message.id);
+
+  if (!stored || stored.deleted) {
+    sendError(ws, 'message-not-found', 'That message no longer exists', { field: 'id' });
+    return null;
+  }
+
+  if (allowAdmins && adminClients.has(ws)) {
+    return stored;
+  }
+
+  // A user who changed names still owns the messages of their old name (see renameUser())
+  const owner = stored.owner || stored.username;
+  if (stored.bot || owner.toLowerCase() !== username.toLowerCase()) {
+    console.warn(`[WebSocket] ${username} tried to change message ${stored.id} by ${stored.username}`);
+    sendError(ws, 'not-author', 'You can only change your own messages', { field: 'id' });
+    return null;
+  }
+
+  return stored;
+}
+
+/**
+ * Build the short quote a reply shows of the message it answers
+ * @param {object} quoted - The stored message being answered
+ * @returns {object} { id, username, text } - or { id, username, text: '', deleted: true } once it is deleted
+ */
+function getReplyPreview(quoted) {
+  if (quoted.deleted) {
+    return { id: quoted.id, username: quoted.username, text: '', deleted: true };
+  }
+
+  return {
+    id: quoted.id,
+    username: quoted.username,
+    text: quoted.text.slice(0, REPLY_PREVIEW_LENGTH) || describeAttachments(quoted.attachments)
+  };
+}
+
+/**
+ * Bring stored messages up to date before sending them: add the current
+ * "seen by" list, and quote replies from the message they answer as it is now
+ * (it may have been edited or deleted since the reply was saved)
+ * The stored messages themselves are not changed
+ *
+ * @param {Array<object>} messages - Stored room messages
+ * @returns {Array<object>} Copies of the messages with a seenBy list
+ */
+function withCurrentState(messages) {
+  return messages.map((message) => {
+    const current = Object.assign({}, message, { seenBy: readReceipts.getSeenBy(message) });
+
+    // Replies saved before previews had an id quote the message that started the thread
+    const preview = message.replyPreview;
+    const quoted = preview ? messageStore.get(preview.id || message.replyTo) : undefined;
+    if (quoted && quoted.username === preview.username) {
+      current.replyPreview = getReplyPreview(quoted);
+    }
+
+    return current;
+  });
+}
+
+/**
+ * Read the nonce of an incoming chat or direct message
+ * @param {object} message - The message from the client
+ * @returns {string|undefined} The nonce, or undefined if missing or invalid
+ */
+function getNonce(message) {
+  if (message && typeof message.nonce === 'string' && message.nonce.length > 0 && message.nonce.length <= 64) {
+    return message.nonce;
+  }
+  return undefined;
+}
+
+/**
+ * Look up a message a user already sent with this nonce
+ * @param {string} username - The sender
+ * @param {string} [nonce] - The nonce of the new message
+ * @returns {object|undefined} The message delivered earlier, if any
+ */
+function findByNonce(username, nonce) {
+  const nonces = recentNonces.get(username.toLowerCase());
+  return nonce && nonces ? nonces.get(nonce) : undefined;
+}
+
+/**
+ * Remember the nonce of a delivered message, so a resent copy is recognised
+ * @param {string} username - The sender
+ * @param {string} nonce - The nonce sent by the browser
+ * @param {object} delivered - The message as it was delivered
+ */
+function rememberNonce(username, nonce, delivered) {
+  const key = username.toLowerCase();
+  if (!recentNonces.has(key)) {
+    recentNonces.set(key, new Map());
+  }
+
+  // Maps keep insertion order, so the first key is the oldest nonce
+  const nonces = recentNonces.get(key);
+  nonces.set(nonce, delivered);
+  if (nonces.size > NONCE_MEMORY) {
+    nonces.delete(nonces.keys().next().value);
+  }
+}
+
+/**
+ * Remember the nonce of a delivered message and acknowledge it to the sender
+ * The acknowledgement tells the browser the id and timestamp the server gave the message
+ *
+ * @param {WebSocket} ws - The sender's connection
+ * @param {string} [nonce] - The nonce sent by the browser (nothing happens without one)
+ * @param {object} delivered - The message as it was delivered (with id and timestamp)
+ */
+function acknowledge(ws, nonce, delivered) {
+  if (!nonce) {
+    return;
+  }
+
+  // A reconnecting browser may resend through another server process, so they all remember it
+  if (!findByNonce(delivered.username, nonce)) {
+    rememberNonce(delivered.username, nonce, delivered);
+    adapter.publish({ type: 'nonce', username: delivered.username, nonce: nonce, message: delivered });
+  }
+
+  sendToClient(ws, {
+    type: 'ack',
+    nonce: nonce,
+    id: delivered.id,
+    timestamp: delivered.timestamp
+  });
+}
+
+// ============================================
+// STATIC FILE SERVING
+// ============================================
+
+/**
+ * This function serves static files (HTML, CSS, JS) from the 'public' folder
+ * @param {string} filePath - The path to the file we want to serve
+ * @param {object} res - The HTTP response object to send data back to the browser
+ */
+function serveStaticFile(filePath, res) {
+  // Read the file from disk
+  fs.readFile(filePath, (err, data) => {
+    // If there's an error (file doesn't exist, permission denied, etc.)
+    if (err) {
+      // Send a 404 Not Found response
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('404 - File Not Found');
+      return;
+    }
+
+    // Figure out what type of file this is so the browser knows how to handle it
+    let contentType = 'text/html'; // Default content type
+    const ext = path.extname(filePath); // Get file extension (.html, .css, .js)
+
+    // Set the correct Content-Type header based on file extension
+    if (ext === '.css') {
+      contentType = 'text/css';
+    } else if (ext === '.js') {
+      contentType = 'application/javascript';
+    } else if (ext === '.html') {
+      contentType = 'text/html';
+    }
+
+    // Send successful response with the file content
+    res.writeHead(200, { 'Content-Type': contentType });
+    res.end(data);
+  });
+}
+
+// ============================================
+// FILE UPLOADS
+// ============================================
+//
+// Files are uploaded over plain HTTP, then attached to a message by id:
+//   1. POST /upload with the file as the request body, its MIME type as
+//      Content-Type, its name in X-Filename and the connection's token in
+//      X-Upload-Token -> { id, name, type, size, url }
+//   2. { type: 'chat-message', text, attachments: [id] } over the WebSocket
+
+/**
+ * Send a JSON response
+ * @param {object} res - The HTTP response
+ * @param {number} status - The HTTP status code
+ * @param {object} body - The object to send
+ */
+function sendJson(res, status, body) {
+  // Errors repeat the caller's request id in the body too (see echoRequestId())
+  const requestId = res.getHeader('X-Request-Id');
+  const answer = status >= 400 && requestId ? Object.assign({}, body, { requestId: requestId }) : body;
+
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(answer));
+}
+
+/**
+ * Send a caller's X-Request-Id header back in the answer, so scripts can match
+ * answers (and errors) to their requests
+ *
+ * @param {http.IncomingMessage} req - The request
+ * @param {http.ServerResponse} res - The response
+ */
+function echoRequestId(req, res) {
+  const requestId = req.headers['x-request-id'];
+  if (typeof requestId === 'string' && REQUEST_ID_PATTERN.test(requestId)) {
+    res.setHeader('X-Request-Id', requestId);
+  }
+}
+
+/**
+ * Describe an upload the way browsers get it
+ * @param {object} upload - An upload from the upload store
+ * @returns {object} { id, name, type, size, url }
+ */
+function toAttachment(upload) {
+  return {
+    id: upload.id,
+    name: upload.name,
+    type: upload.type,
+    size: upload.size,
+    url: `/uploads/${upload.id}`
+  };
+}
+
+/**
+ * Find the user an upload token belongs to
+ * @param {string} token - The X-Upload-Token header
+ * @returns {string|null} The username, or null if the token is unknown
+ */
+function findUsernameByUploadToken(token) {
+  for (const [client, clientToken] of uploadTokens) {
+    if (clientToken === token) {
+      return clientUsernames.get(client);
+    }
+  }
+
+  // The user may be connected to another server process
+  const remote = typeof token === 'string' && remoteUploadTokens.get(token);
+  return remote ? remote.username : null;
+}
+
+/**
+ * Handle POST /upload: save the file in the request body
+ * @param {object} req - The HTTP request
+ * @param {object} res - The HTTP response
+ */
+function handleUpload(req, res) {
+  if (req.method !== 'POST') {
+    res.writeHead(405, { 'Content-Type': 'text/plain', 'Allow': 'POST' });
+    res.end('405 - Method Not Allowed');
+    return;
+  }
+
+  // Errors are sent before the whole body was read, so the connection can't be reused
+  const fail = (status, code, text) => {
+    res.setHeader('Connection', 'close');
+    sendJson(res, status, { error: code, text: text });
+  };
+
+  const username = findUsernameByUploadToken(req.headers['x-upload-token']);
+  if (!username) {
+    fail(401, 'not-identified', 'Connect to the chat before uploading files');
+    return;
+  }
+
+  // The name is only shown to people - keep it short and without folders
+  let name = '';
+  try {
+    name = decodeURIComponent(req.headers['x-filename'] || '');
+  } catch (error) {
+    // Badly encoded names are replaced below
+  }
+  name = path.basename(name).replace(/[\u0000-\u001f\u007f]/g, '').slice(0, 100) || 'file';
+
+  const type = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+
+  uploadStore.save(req, { name: name, type: type, username: username }, (error, upload) => {
+    if (error) {
+      console.warn(`[Uploads] Refused a file from ${username}: ${error.message}`);
+      fail(error.status || 500, error.code || 'upload-failed', error.message);
+      return;
+    }
+
+    console.log(`[Uploads] ${username} uploaded ${upload.name} (${upload.type}, ${upload.size} bytes) as ${upload.id}`);
+    sendJson(res, 201, toAttachment(upload));
+  });
+}
+
+/**
+ * Handle GET /uploads/<id>: send an uploaded file
+ * @param {string} id - The upload id
+ * @param {object} res - The HTTP response
+ */
+function serveUpload(id, res) {
+  const upload = uploadStore.get(id);
+  if (!upload) {
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    res.end('404 - File Not Found');
+    return;
+  }
+
+  // Images are shown in the chat; everything else is downloaded, never opened as a page
+  const disposition = upload.type.startsWith('image/') ? 'inline' : 'attachment';
+
+  res.writeHead(200, {
+    'Content-Type': upload.type,
+    'Content-Length': upload.size,
+    'Content-Disposition': `${disposition}; filename*=UTF-8''${encodeURIComponent(upload.name)}`,
+    // Don't let the browser guess another type, or run anything inside the file
+    'X-Content-Type-Options': 'nosniff',
+    'Content-Security-Policy': "default-src 'none'; sandbox",
+    // Uploads never change, so browsers can keep them
+    'Cache-Control': 'private, max-age=31536000, immutable'
+  });
+
+  fs.createReadStream(uploadStore.getFilePath(id))
+    .on('error', (error) => {
+      console.error(`[Uploads] Could not read ${id}:`, error.message);
+      res.destroy();
+    })
+    .pipe(res);
+}
+
+/**
+ * Check the attachments of a chat or direct message
+ * Users can only attach files they uploaded themselves, and each file to one message
+ * (deleting a message deletes its files, which must not break another message)
+ *
+ * @param {WebSocket} ws - The sender
+ * @param {*} ids - The 'attachments' field of the frame (undefined if there are none)
+ * @param {string} [nonce] - The nonce of the message, for the error reply
+ * @returns {Array<object>|null} The attachments (empty if none), or null if they were refused (an error was sent)
+ */
+function getAttachments(ws, ids, nonce) {
+  // The list and its ids were checked by the frame's schema (see CLIENT_MESSAGE_SCHEMAS)
+  if (ids === undefined || ids === null) {
+    return [];
+  }
+
+  const username = clientUsernames.get(ws).toLowerCase();
+  const attachments = [];
+
+  for (const id of new Set(ids)) {
+    const upload = uploadStore.get(id);
+    if (!upload || upload.username.toLowerCase() !== username) {
+      sendError(ws, 'attachment-not-found', 'One of the attached files no longer exists', { nonce: nonce, field: 'attachments' });
+      return null;
+    }
+    if (upload.attachedTo !== undefined) {
+      sendError(ws, 'attachment-in-use', 'One of the files is already attached to another message', { nonce: nonce, field: 'attachments' });
+      return null;
+    }
+    attachments.push(toAttachment(upload));
+  }
+
+  return attachments;
+}
+
+/**
+ * Check whether a chat or direct message frame says it has attachments
+ * @param {object} message - The frame
+ * @returns {boolean} True if its 'attachments' list isn't empty
+ */
+function hasAttachments(message) {
+  return Array.isArray(message.attachments) && message.attachments.length > 0;
+}
+
+/**
+ * Describe the files of a message in a few words (for replies to messages without text)
+ * @param {Array<object>} [attachments] - The message's attachments
+ * @returns {string} e.g. "📎 photo.png", or '' if there are none
+ */
+function describeAttachments(attachments) {
+  if (!attachments || attachments.length === 0) {
+    return '';
+  }
+  return '📎 ' + attachments.map((attachment) => attachment.name).join(', ');
+}
+
+// ============================================
+// REST API
+// ============================================
+//
+// JSON endpoints for scripts and CI jobs that don't keep a WebSocket open:
+//   GET  /health              - is the server up?
+//   GET  /api/users/online    - who is online
+//   GET  /api/messages        - a page of a room's history
+//   POST /api/messages        - post to a room (needs an API token)
+
+// Bot names of the API tokens, looked up by a hash of the token
+// (comparing hashes doesn't leak how much of a guessed token was right)
+// Format: Map<string (sha256 of the token), string (bot name)>
+const apiBots = new Map();
+
+API_TOKENS.split(',').forEach((pair) => {
+  const separator = pair.indexOf(':');
+  const name = pair.slice(0, separator).trim();
+  const token = pair.slice(separator + 1).trim();
+
+  if (separator === -1 || !token) {
+    return;
+  }
+
+  if (!USERNAME_PATTERN.test(name)) {
+    console.warn(`[API] Ignoring the token of "${name}": not a valid username`);
+    return;
+  }
+
+  apiBots.set(hashToken(token), name);
+});
+
+// Rate limit of each bot (the same limits as chat messages over the WebSocket)
+// Format: Map<string (bot name), object (token bucket)>
+const apiBuckets = new Map();
+
+// HTTP status of each reason postBotMessage() refuses a message for (400 for the others)
+const BOT_ERROR_STATUSES = {
+  'muted': 403,
+  'message-not-found': 404,
+  'message-rejected': 422
+};
+
+// The endpoints, by method and path
+const API_ROUTES = {
+  'GET /health': handleHealth,
+  'GET /api/users/online': handleOnlineUsers,
+  'GET /api/messages': handleListMessages,
+  'POST /api/messages': handlePostMessage
+};
+
+/**
+ * Hash an API token for looking it up
+ * @param {string} token - The token
+ * @returns {string} The SHA-256 hash, as hex
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Handle a request for /health or /api/...
+ * @param {object} req - The HTTP request
+ * @param {object} res - The HTTP response
+ * @param {object} parsedUrl - The parsed request URL
+ */
+function handleApiRequest(req, res, parsedUrl) {
+  const handler = API_ROUTES[`${req.method} ${parsedUrl.pathname}`];
+
+  if (handler) {
+    handler(req, res, new URLSearchParams(parsedUrl.query || ''));
+    return;
+  }
+
+  // The path exists, but not with this method
+  const allowed = Object.keys(API_ROUTES)
+    .filter((route) => route.endsWith(` ${parsedUrl.pathname}`))
+    .map((route) => route.split(' ')[0]);
+
+  if (allowed.length > 0) {
+    res.setHeader('Allow', allowed.join(', '));
+    sendJson(res, 405, { error: 'method-not-allowed', text: `Use ${allowed.join(' or ')}` });
+    return;
+  }
+
+  sendJson(res, 404, { error: 'not-found', text: 'No such API endpoint' });
+}
+
+/**
+ * GET /health - a quick check for load balancers and monitoring
+ */
+function handleHealth(req, res) {
+  sendJson(res, 200, {
+    status: 'ok',
+    uptime: Math.round(process.uptime()), // Seconds since the server started
+    clients: connectedClients.size, // Connections of this server process
+    rooms: getRoomList().length,
+    sending: sendQueues.getStats(), // Slow clients: queued, dropped and merged frames
+    timestamp: Date.now()
+  });
+}
+
+/**
+ * GET /api/users/online - everyone who is online, with their presence
+ */
+function handleOnlineUsers(req, res) {
+  const users = getOnlineUsers();
+  sendJson(res, 200, { count: users.length, users: users });
+}
+
+/**
+ * GET /api/messages?room=general&limit=50&before=120 (or &after=120)
+ * A page of a room's history, oldest first
+ *
+ * Without 'before' or 'after' the newest messages are returned. 'before' pages
+ * back through older messages, 'after' fetches what is new since the last call.
+ * Only the messages kept in memory (the newest 1000 of each room) can be read.
+ */
+function handleListMessages(req, res, query) {
+  const room = query.get('room') || DEFAULT_ROOM;
+  if (!isValidRoomName(room)) {
+    sendJson(res, 400, { error: 'invalid-room', text: 'Room names can only use lowercase letters, numbers, "-" and "_"' });
+    return;
+  }
+
+  const limit = Math.min(Math.max(parseInt(query.get('limit'), 10) || 50, 1), MAX_API_PAGE_SIZE);
+  const before = parseInt(query.get('before'), 10);
+  const after = parseInt(query.get('after'), 10);
+
+  // One more than asked for, to know whether there are more
+  let messages;
+  let hasMore;
+  if (after >= 0) {
+    messages = messageStore.getSince(room, after);
+    hasMore = messages.length > limit;
+    messages = messages.slice(0, limit);
+  } else {
+    messages = messageStore.getBefore(room, before > 0 ? before : Infinity, limit + 1);
+    hasMore = messages.length > limit;
+    messages = messages.slice(-limit);
+  }
+
+  sendJson(res, 200, { room: room, messages: withCurrentState(messages), hasMore: hasMore });
+}
+
+/**
+ * POST /api/messages - post a chat message as the bot of an API token
+ * Body: { room, text, replyTo? }, header: "Authorization: Bearer <token>"
+ */
+function handlePostMessage(req, res) {
+  const match = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+  const botName = match ? apiBots.get(hashToken(match[1])) : undefined;
+
+  if (!botName) {
+    res.setHeader('WWW-Authenticate', 'Bearer');
+    sendJson(res, 401, { error: 'unauthorized', text: 'Send a valid API token as "Authorization: Bearer <token>"' });
+    return;
+  }
+
+  postAsBot(req, res, botName, null);
+}
+
+/**
+ * Post the chat message in a request body as a bot, and answer the request
+ * Used by POST /api/messages and by incoming webhooks
+ *
+ * @param {object} req - The HTTP request; the body is { room, text, replyTo? }
+ * @param {object} res - The HTTP response
+ * @param {string} botName - Who the message is from
+ * @param {string|null} fixedRoom - The room to post to, or null to take it from the body
+ */
+function postAsBot(req, res, botName, fixedRoom) {
+  // Admins can ban and mute bots like everyone else (mutes are checked by postBotMessage())
+  const ban = moderation.findBan(botName, normalizeIp(req.socket.remoteAddress));
+  if (ban) {
+    sendJson(res, 403, { error: 'banned', text: `${botName} is banned until ${new Date(ban.until).toISOString()}` });
+    return;
+  }
+
+  if (!apiBuckets.has(botName)) {
+    apiBuckets.set(botName, createTokenBucket(FLOOD_PROTECTION.limits.chat));
+  }
+
+  const bucket = apiBuckets.get(botName);
+  if (!bucket.take()) {
+    const retryAfter = bucket.retryAfter();
+    res.setHeader('Retry-After', Math.ceil(retryAfter / 1000));
+    sendJson(res, 429, { error: 'rate-limited', text: 'Too many messages, slow down', retryAfter: retryAfter });
+    return;
+  }
+
+  readJsonBody(req, (error, body) => {
+    if (error) {
+      sendJson(res, error.status, { error: error.code, text: error.text });
+      return;
+    }
+
+    if (!body || typeof body !== 'object') {
+      sendJson(res, 400, { error: 'invalid-message', text: 'Send a JSON object, e.g. { "room": "general", "text": "..." }' });
+      return;
+    }
+
+    const result = postBotMessage(botName, {
+      room: fixedRoom || body.room,
+      text: body.text,
+      replyTo: body.replyTo
+    });
+
+    if (result.error) {
+      sendJson(res, BOT_ERROR_STATUSES[result.error.code] || 400, {
+        error: result.error.code,
+        field: result.error.field,
+        text: result.error.text
+      });
+      return;
+    }
+
+    sendJson(res, 201, result.message);
+  });
+}
+
+/**
+ * Read a small JSON request body (at most MAX_PAYLOAD_BYTES)
+ * @param {object} req - The HTTP request
+ * @param {Function} callback - Called with (error, body); errors are { status, code, text }
+ */
+function readJsonBody(req, callback) {
+  const chunks = [];
+  let size = 0;
+
+  req.on('data', (chunk) => {
+    size += chunk.length;
+
+    // Keep reading so the request can finish, but don't keep the data
+    if (size <= MAX_PAYLOAD_BYTES) {
+      chunks.push(chunk);
+    }
+  });
+
+  req.on('end', () => {
+    if (size > MAX_PAYLOAD_BYTES) {
+      callback({ status: 413, code: 'body-too-large', text: `Request bodies can be at most ${MAX_PAYLOAD_BYTES} bytes` });
+      return;
+    }
+
+    try {
+      callback(null, JSON.parse(Buffer.concat(chunks).toString('utf8')));
+    } catch (error) {
+      callback({ status: 400, code: 'invalid-json', text: 'The request body is not valid JSON' });
+    }
+  });
+
+  req.on('error', (error) => {
+    console.error('[API] Error reading a request:', error.message);
+  });
+}
+
+// ============================================
+// WEBHOOKS
+// ============================================
+//
+// Admins connect other systems with /webhook (see commands/webhook.js):
+// outgoing webhooks receive every new chat message, incoming webhooks let
+// another system post into a room with POST /hooks/<token> (see lib/webhooks.js)
+
+/**
+ * Add an outgoing webhook
+ *
+ * @param {string} webhookUrl - Where to POST the messages (http or https)
+ * @param {string|null} room - Only send this room's messages (null for all rooms)
+ * @param {string} by - The admin
+ * @returns {object} { hook } (with its signing secret) or { error: { code, text } }
+ */
+function addWebhook(webhookUrl, room, by) {
+  if (room && !isValidRoomName(room)) {
+    return { error: { code: 'invalid-room', text: `"${room}" is not a room name` } };
+  }
+
+  const hook = webhooks.addOutgoing({ url: webhookUrl, room: room, by: by });
+  if (!hook) {
+    return { error: { code: 'invalid-url', text: 'Webhook URLs must start with http:// or https://' } };
+  }
+
+  moderation.audit('webhook-added', { by: by, target: hook.url, id: hook.id, room: hook.room });
+  return { hook: hook };
+}
+
+/**
+ * Add an incoming webhook that posts to a room as a bot
+ * The bot can't take the name of a person: of someone online, or of someone in the history
+ *
+ * @param {string} name - The bot name its messages are shown with
+ * @param {string} room - The room it posts to
+ * @param {string} by - The admin
+ * @returns {object} { hook, token } or { error: { code, text } }
+ */
+function addIncomingWebhook(name, room, by) {
+  if (!USERNAME_PATTERN.test(name)) {
+    return { error: { code: 'invalid-username', text: `"${name}" is not a valid bot name` } };
+  }
+
+  if (isUsernameTaken(name) || messageStore.hasAuthor(name)) {
+    return { error: { code: 'username-taken', text: `The username "${name}" is already in use` } };
+  }
+
+  if (!isValidRoomName(room)) {
+    return { error: { code: 'invalid-room', text: `"${room}" is not a room name` } };
+  }
+
+  const added = webhooks.addIncoming({ name: name, room: room, by: by });
+  moderation.audit('webhook-added', { by: by, target: name, id: added.hook.id, room: room, kind: 'incoming' });
+  return added;
+}
+
+/**
+ * Remove a webhook of either kind
+ *
+ * @param {string} id - The webhook id (see /webhook list)
+ * @param {string} by - The admin
+ * @returns {object|null} null on success, or { code, text } explaining why not
+ */
+function removeWebhook(id, by) {
+  const hook = webhooks.remove(id);
+  if (!hook) {
+    return { code: 'webhook-not-found', text: `There is no webhook ${id}` };
+  }
+
+  moderation.audit('webhook-removed', { by: by, target: hook.url || hook.name, id: id });
+  return null;
+}
+
+/**
+ * POST /hooks/<token> - another system posting through an incoming webhook
+ * Body: { text, replyTo? } - the room and the bot name belong to the webhook
+ *
+ * @param {object} req - The HTTP request
+ * @param {object} res - The HTTP response
+ * @param {string} token - The token from the URL
+ */
+function handleIncomingWebhook(req, res, token) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    sendJson(res, 405, { error: 'method-not-allowed', text: 'Use POST' });
+    return;
+  }
+
+  const hook = webhooks.findIncoming(token);
+  if (!hook) {
+    sendJson(res, 404, { error: 'not-found', text: 'No such webhook' });
+    return;
+  }
+
+  postAsBot(req, res, hook.name, hook.room);
+}
+
+// ============================================
+// CREATE HTTP SERVER
+// ============================================
+
+/**
+ * Create the HTTP server
+ * This handles regular HTTP requests (like loading HTML, CSS, JS files)
+ * The WebSocket server will be attached to this same server
+ */
+const server = http.createServer((req, res) => {
+  // Parse the URL to get just the pathname (e.g., "/", "/styles.css", "/client.js")
+  const parsedUrl = url.parse(req.url);
+  let pathname = parsedUrl.pathname;
+
+  // Log the request to the console so we can see what's being requested
+  // (the token of an incoming webhook is its password, so it never goes in the log)
+  const loggedPath = pathname.startsWith('/hooks/') ? '/hooks/<token>' : pathname;
+  console.log(`[HTTP] Request for: ${loggedPath}`);
+
+  echoRequestId(req, res);
+
+  // JSON endpoints for scripts (see REST API above)
+  if (pathname === '/health' || pathname.startsWith('/api/')) {
+    handleApiRequest(req, res, parsedUrl);
+    return;
+  }
+
+  // Other systems posting through an incoming webhook (see WEBHOOKS above)
+  if (pathname.startsWith('/hooks/')) {
+    handleIncomingWebhook(req, res, pathname.slice('/hooks/'.length));
+    return;
+  }
+
+  // File uploads (see FILE UPLOADS above)
+  if (pathname === '/upload') {
+    handleUpload(req, res);
+    return;
+  }
+
+  if (pathname.startsWith('/uploads/')) {
+    serveUpload(pathname.slice('/uploads/'.length), res);
+    return;
+  }
+
+  // Handle different routes (URLs)
+  if (pathname === '/') {
+    // If someone visits the root URL, serve index.html
+    pathname = '/index.html';
+  }
+
+  // Build the full file path by combining 'public' folder with the requested file
+  // path.join() ensures the path is correct for Windows, Mac, and Linux
+  const filePath = path.join(__dirname, 'public', pathname);
+
+  // Check if the requested file is actually inside the 'public' folder
+  // This is a security measure to prevent users from accessing files outside 'public'
+  const publicPath = path.join(__dirname, 'public');
+  if (!filePath.startsWith(publicPath)) {
+    // If someone tries to access files outside 'public', deny the request
+    res.writeHead(403, { 'Content-Type': 'text/plain' });
+    res.end('403 - Forbidden');
+    return;
+  }
+
+  // Serve the requested file
+  serveStaticFile(filePath, res);
+});
+
+// ============================================
+// CREATE WEBSOCKET SERVER
+// ============================================
+
+/**
+ * Create a WebSocket server and attach it to the HTTP server
+ *
+ * How this works:
+ * 1. The HTTP server handles normal web requests (GET /index.html, etc.)
+ * 2. When a client wants to establish a WebSocket connection, they send a special
+ *    HTTP request called an "upgrade" request
+ * 3. The WebSocket server intercepts these upgrade requests and converts them
+ *    into WebSocket connections
+ * 4. Both servers share the same port (3000) because they're attached to the same
+ *    HTTP server instance
+ */
+const wss = new WebSocket.Server({
+  server: server,                 // Attach to the HTTP server we created above
+  maxPayload: MAX_PAYLOAD_BYTES,  // Refuse oversized frames before they are even parsed
+
+  // Refuse banned IP addresses during the upgrade, before a connection exists
+  verifyClient: (info, done) => {
+    const ban = moderation.findBan(null, info.req.socket.remoteAddress);
+    if (ban) {
+      console.log(`[Moderation] Refused connection from banned address ${ban.target}`);
+      done(false, 403, 'Banned');
+      return;
+    }
+
+    done(true);
+  }
+});
+
+console.log('[WebSocket] WebSocket server created');
+
+// ============================================
+// HEARTBEAT
+// ============================================
+
+/**
+ * Ping every client, and disconnect the ones that didn't answer the last ping
+ *
+ * A connection can die without either side noticing (pulled network cable,
+ * laptop sleep). Such "ghost" clients would stay in our collections forever,
+ * so each one must answer a ping before the next heartbeat.
+ * Browsers answer WebSocket pings automatically.
+ */
+function heartbeat() {
+  connectedClients.forEach((client) => {
+    if (awaitingPong.has(client)) {
+      console.log(`[Heartbeat] No pong from ${clientUsernames.get(client) || 'unidentified client'}, disconnecting`);
+
+      // terminate() closes the connection right away (no closing handshake with a dead peer)
+      // The 'close' event then announces the departure as usual
+      client.terminate();
+      return;
+    }
+
+    awaitingPong.add(client);
+    client.ping();
+  });
+
+  // Forget the rate limits of people who went quiet
+  floodGuards.sweep();
+}
+
+const heartbeatTimer = setInterval(heartbeat, HEARTBEAT_INTERVAL);
+
+// ============================================
+// WEBSOCKET BROADCAST FUNCTIONS
+// ============================================
+
+/**
+ * Broadcast a message to all connected clients
+ * This function sends the same message to everyone in the chat
+ *
+ * @param {object} messageObject - The message object to broadcast
+ */
+function broadcast(messageObject) {
+  // Middleware may change the message or keep it from everyone
+  const outbound = messagePipeline.run(messageObject, { direction: 'outbound', ws: null, username: null, room: null });
+  if (!outbound.message) {
+    return;
+  }
+
+  // The other server processes send it to their own clients
+  adapter.publish({ type: 'broadcast', message: outbound.message });
+  deliverToAll(outbound.message);
+}
+
+/**
+ * Send a message to every client of this server process
+ * (broadcast() without the middleware and without telling the other processes)
+ *
+ * @param {object} messageObject - The message object to send
+ */
+function deliverToAll(messageObject) {
+  // Convert the JavaScript object to a JSON string
+  const messageString = JSON.stringify(messageObject);
+
+  console.log(`[WebSocket] Broadcasting message to ${connectedClients.size} clients:`, messageObject);
+
+  // Loop through all connected clients
+  connectedClients.forEach((client) => {
+    // Only send to clients that are still connected and ready
+    // readyState === WebSocket.OPEN means the connection is active
+    if (client.readyState === WebSocket.OPEN) {
+      try {
+        // Send the message to this client (or queue it if the client is slow)
+        sendQueues.send(client, messageObject, messageString);
+      } catch (error) {
+        // If sending fails, log the error but don't crash the server
+        console.error('[WebSocket] Error sending to client:', error.message);
+      }
+    }
+  });
+}
+
+/**
+ * Broadcast a message to all members of a room
+ *
+ * @param {string} room - The room to broadcast to
+ * @param {object} messageObject - The message object to broadcast
+ * @param {WebSocket} [excludeClient] - Optional client to leave out (e.g. the sender)
+ */
+function broadcastToRoom(room, messageObject, excludeClient) {
+  // Middleware may change the message or keep it from the room
+  const outbound = messagePipeline.run(messageObject, { direction: 'outbound', ws: null, username: null, room: room });
+  if (!outbound.message) {
+    return;
+  }
+
+  // The room may have members in the other server processes too
+  adapter.publish({ type: 'room', room: room, message: outbound.message });
+  deliverToRoom(room, outbound.message, excludeClient);
+}
+
+/**
+ * Send a message to the members of a room connected to this server process
+ * (broadcastToRoom() without the middleware and without telling the other processes)
+ *
+ * @param {string} room - The room to send to
+ * @param {object} messageObject - The message object to send
+ * @param {WebSocket} [excludeClient] - Optional client to leave out
+ */
+function deliverToRoom(room, messageObject, excludeClient) {
+  const members = rooms.get(room);
+  if (!members) {
+    return;
+  }
+
+  // Convert the JavaScript object to a JSON string
+  const messageString = JSON.stringify(messageObject);
+
+  console.log(`[WebSocket] Broadcasting to ${members.size} clients in ${room}:`, messageObject);
+
+  members.forEach((client) => {
+    if (client !== excludeClient && client.readyState === WebSocket.OPEN) {
+      try {
+        sendQueues.send(client, messageObject, messageString);
+      } catch (error) {
+        // If sending fails, log the error but don't crash the server
+        console.error('[WebSocket] Error sending to client:', error.message);
+      }
+    }
+  });
+}
+
+// ============================================
+// CLUSTER EVENTS
+// ============================================
+
+// True while a presence update for the other server processes is waiting (see sharePresence())
+let presenceShareScheduled = false;
+
+/**
+ * Tell the other server processes who is online here, and in which rooms
+ * Changes made in one go (e.g. leaving every room on disconnect) are sent as a single update
+ */
+function sharePresence() {
+  if (presenceShareScheduled) {
+    return;
+  }
+  presenceShareScheduled = true;
+
+  setImmediate(() => {
+    presenceShareScheduled = false;
+    adapter.setPresence(Array.from(clientPresence.keys()).map((client) => {
+      return Object.assign(getMember(client), { rooms: Array.from(clientRooms.get(client)) });
+    }));
+  });
+}
+
+/**
+ * Handle an event published by another server process
+ * Messages in these events already went through the middleware, so they are delivered as they are
+ *
+ * @param {object} event - The event ({ type, ... }, see the adapter.publish() calls)
+ */
+function handleClusterEvent(event) {
+  if (event.type === 'broadcast') {
+    deliverToAll(event.message);
+  }
+  else if (event.type === 'room') {
+    deliverToRoom(event.room, event.message);
+  }
+  else if (event.type === 'user') {
+    getClientsForUser(event.username).forEach((client) => sendToClient(client, event.message));
+  }
+  else if (event.type === 'store') {
+    // A line the other process added to the history file
+    messageStore.applyRemote(event.record);
+  }
+  else if (event.type === 'upload') {
+    uploadStore.add(event.upload);
+  }
+  else if (event.type === 'upload-removed') {
+    uploadStore.forget(event.id);
+  }
+  else if (event.type === 'upload-token') {
+    if (event.username) {
+      remoteUploadTokens.set(event.token, { username: event.username, slot: event.slot });
+    } else {
+      remoteUploadTokens.delete(event.token);
+    }
+  }
+  else if (event.type === 'read') {
+    // The other process sends the "seen by" update itself
+    readReceipts.markRead(event.room, event.username, event.id);
+  }
+  else if (event.type === 'topic') {
+    if (event.topic) {
+      roomTopics.set(event.room, event.topic);
+    } else {
+      roomTopics.delete(event.room);
+    }
+  }
+  else if (event.type === 'nonce') {
+    rememberNonce(event.username, event.nonce, event.message);
+  }
+  else if (event.type === 'moderation-changed') {
+    moderation.reload();
+  }
+  else if (event.type === 'replace-connection') {
+    // The user reconnected to another process (see replaceStaleConnection())
+    getClientsForUser(event.username)
+      .filter((client) => uploadTokens.get(client) === event.token)
+      .forEach((client) => {
+        console.log(`[WebSocket] ${event.username} reconnected, dropping the old connection`);
+        removeClient(client);
+        client.terminate();
+      });
+  }
+  else if (event.type === 'moderate') {
+    moderateLocalClients(event.match, event.details);
+  }
+  else if (event.type === 'webhooks-changed') {
+    webhooks.load();
+  }
+  else if (event.type === 'process-gone') {
+    // Its connections are closed, so their upload tokens are no good any more
+    remoteUploadTokens.forEach((remote, token) => {
+      if (remote.slot === event.slot) {
+        remoteUploadTokens.delete(token);
+      }
+    });
+
+    // Every process hears about it, but only one tells the rooms
+    if (event.announcer === adapter.slot && event.users.length > 0) {
+      announceGoneUsers(event.users);
+    }
+  }
+  else if (event.type === 'plugin-event' && adapter.slot === PLUGIN_SLOT) {
+    pluginHost.emit(event.event, event.data);
+  }
+  else if (event.type === 'plugin-command' && adapter.slot === PLUGIN_SLOT) {
+    runRemotePluginCommand(event);
+  }
+  else if (event.type === 'plugins-wanted' && adapter.slot === PLUGIN_SLOT) {
+    sharePlugins();
+  }
+  else if (event.type === 'plugins') {
+    remotePluginBots = event.bots;
+    registerRemotePluginCommands(event.commands);
+  }
+}
+
+/**
+ * Announce the departure of the users of a server process that crashed
+ * (they never left their rooms, see lib/cluster.js)
+ *
+ * @param {Array<object>} users - [{ username, status, text, rooms }]
+ */
+function announceGoneUsers(users) {
+  users
+    // Someone who already reconnected to another process is still here
+    .filter((user) => !findOnlineUsername(user.username))
+    .forEach((user) => {
+      user.rooms.forEach((room) => {
+        broadcastToRoom(room, {
+          type: 'system',
+          room: room,
+          text: `${user.username} left #${room}`,
+          timestamp: Date.now()
+        });
+        broadcastPresence(room, { removed: [user.username] });
+        emitPluginEvent('leave', { username: user.username, room: room });
+      });
+    });
+
+  broadcastRoomList();
+}
+
+adapter.onEvent(handleClusterEvent);
+
+// ============================================
+// PLUGINS IN A CLUSTER
+// ============================================
+//
+// The plugins run in the server process of PLUGIN_SLOT only (a single
+// process is always that one). The other processes pass it what their
+// plugins would have heard, and run plugin commands there:
+//
+//   1. The plugin process publishes { type: 'plugins', bots, commands } - the
+//      bot names (reserved everywhere) and what /help shows of each command
+//   2. The others register a stand-in for each command, which publishes
+//      { type: 'plugin-command', name, username, room, args } instead of running
+//   3. 'message', 'join' and 'leave' events are published as
+//      { type: 'plugin-event', event, data } (see emitPluginEvent())
+//
+// A process that starts after the plugin process asks for step 1 again ('plugins-wanted').
+
+/**
+ * Tell the plugins about an event, wherever they run
+ * @param {string} event - 'message', 'join' or 'leave'
+ * @param {object} data - What happened (see lib/plugins.js)
+ */
+function emitPluginEvent(event, data) {
+  if (adapter.slot === PLUGIN_SLOT) {
+    pluginHost.emit(event, data);
+  } else {
+    adapter.publish({ type: 'plugin-event', event: event, data: data });
+  }
+}
+
+/**
+ * Send the other server processes the plugin bots and commands (step 1 above)
+ */
+function sharePlugins() {
+  adapter.publish({
+    type: 'plugins',
+    bots: pluginHost.getBotNames(),
+    commands: pluginHost.getCommands().map((command) => {
+      return {
+        name: command.name,
+        usage: command.usage,
+        description: command.description,
+        roomOnly: command.roomOnly,
+        adminOnly: command.adminOnly,
+        secretArgs: command.secretArgs
+      };
+    })
+  });
+}
+
+/**
+ * Register stand-ins for the commands of the plugin process (step 2 above)
+ * runCommand() checks roomOnly and adminOnly here, as for any command, before the stand-in runs
+ *
+ * @param {Array<object>} commands - { name, usage, description, roomOnly, adminOnly, secretArgs }
+ */
+function registerRemotePluginCommands(commands) {
+  commands
+    // Sent again when the plugin process restarts
+    .filter((command) => !commandRegistry.get(command.name))
+    .forEach((command) => {
+      commandRegistry.register(Object.assign({}, command, {
+        run(context) {
+          adapter.publish({
+            type: 'plugin-command',
+            name: command.name,
+            username: context.username,
+            room: context.room,
+            args: context.args
+          });
+        }
+      }));
+    });
+}
+
+/**
+ * Run a plugin command that was typed in another server process
+ * The caller's connection is over there, so answers go to every connection of the user
+ *
+ * @param {object} event - { name, username, room, args }
+ */
+function runRemotePluginCommand(event) {
+  const command = commandRegistry.get(event.name);
+  if (!command) {
+    return;
+  }
+
+  command.run({
+    ws: null,
+    username: event.username,
+    room: event.room,
+    args: event.args,
+    chat: commandApi,
+    reply: (replyText) => sendToUser(event.username, {
+      type: 'system',
+      room: event.room || undefined,
+      text: replyText,
+      timestamp: Date.now()
+    }),
+    fail: (code, errorText) => sendToUser(event.username, {
+      type: 'error',
+      code: code,
+      text: errorText,
+      timestamp: Date.now()
+    })
+  });
+}
+
+if (adapter.slot === PLUGIN_SLOT) {
+  sharePlugins();
+} else {
+  adapter.publish({ type: 'plugins-wanted' });
+}
+
+// ============================================
+// READ RECEIPTS
+// ============================================
+
+/**
+ * Schedule a "seen by" update for a room
+ * Several read reports within READ_RECEIPT_INTERVAL are sent as a single update,
+ * so a busy room doesn't get a broadcast for every scroll of every member
+ *
+ * @param {string} room - The room name
+ * @param {number} fromId - Oldest message whose "seen by" list changed
+ */
+function scheduleReadReceipts(room, fromId) {
+  const pending = pendingReadReceipts.get(room);
+
+  if (pending) {
+    pending.fromId = Math.min(pending.fromId, fromId);
+    return;
+  }
+
+  pendingReadReceipts.set(room, {
+    fromId: fromId,
+    timer: setTimeout(() => flushReadReceipts(room), READ_RECEIPT_INTERVAL)
+  });
+}
+
+/**
+ * Broadcast the "seen by" lists of the messages whose readers changed
+ * @param {string} room - The room name
+ */
+function flushReadReceipts(room) {
+  const pending = pendingReadReceipts.get(room);
+  pendingReadReceipts.delete(room);
+
+  const receipts = messageStore.getSince(room, pending.fromId - 1)
+    .filter((message) => !message.deleted)
+    .map((message) => ({ id: message.id, seenBy: readReceipts.getSeenBy(message) }))
+    .filter((receipt) => receipt.seenBy.length > 0);
+
+  if (receipts.length === 0) {
+    return;
+  }
+
+  broadcastToRoom(room, {
+    type: 'read-receipts',
+    room: room,
+    messages: receipts,
+    timestamp: Date.now()
+  });
+}
+
+// ============================================
+// MODERATION
+// ============================================
+
+/**
+ * Check whether a user has been muted by an admin, and tell them if so
+ *
+ * @param {WebSocket} ws - The client
+ * @param {string} username - The client's username
+ * @param {string} [nonce] - Nonce of the refused message (so the browser marks it as failed)
+ * @returns {boolean} True if the user is muted (an error was sent)
+ */
+function isMuted(ws, username, nonce) {
+  const mute = moderation.getMute(username);
+  if (!mute) {
+    return false;
+  }
+
+  const minutes = Math.ceil((mute.until - Date.now()) / 60000);
+  sendError(ws, 'muted', `You have been muted by a moderator for ${minutes} more minute(s)`, {
+    nonce: nonce,
+    retryAfter: mute.until - Date.now()
+  });
+  return true;
+}
+
+/**
+ * Tell a client why it is being removed, then close its connection
+ * The close code tells the browser not to reconnect by itself
+ *
+ * @param {WebSocket} ws - The client
+ * @param {number} closeCode - CLOSE_KICKED or CLOSE_BANNED
+ * @param {object} details - { action: 'kick' | 'ban', by, reason, until? }
+ */
+function disconnectClient(ws, closeCode, details) {
+  sendToClient(ws, Object.assign({ type: 'moderated', timestamp: Date.now() }, details));
+  ws.close(closeCode, details.action === 'ban' ? 'Banned' : 'Kicked');
+}
+
+/**
+ * Tell the rooms of a user about a moderation action
+ * @param {WebSocket} ws - The user's connection
+ * @param {string} text - The notice
+ */
+function announceModeration(ws, text) {
+  clientRooms.get(ws).forEach((room) => {
+    broadcastToRoom(room, { type: 'system', room: room, text: text, timestamp: Date.now() });
+  });
+}
+
+/**
+ * Apply a kick, ban or mute to the matching connections of every server process
+ * @param {object} match - { username } or { ip } (normalized, see normalizeIp())
+ * @param {object} details - { action: 'kick' | 'ban' | 'mute', by, reason, until? }
+ */
+function moderateClients(match, details) {
+  adapter.publish({ type: 'moderate', match: match, details: details });
+  moderateLocalClients(match, details);
+}
+
+/**
+ * Apply a kick, ban or mute to the matching connections of this server process:
+ * announce it in their rooms, then disconnect them (kick, ban) or tell them (mute)
+ *
+ * @param {object} match - { username } or { ip } (normalized, see normalizeIp())
+ * @param {object} details - { action: 'kick' | 'ban' | 'mute', by, reason, until? }
+ */
+function moderateLocalClients(match, details) {
+  const done = { kick: 'kicked', ban: 'banned', mute: 'muted' }[details.action];
+
+  connectedClients.forEach((client) => {
+    const username = clientUsernames.get(client);
+    const matches = match.ip
+      ? normalizeIp(clientIps.get(client)) === match.ip
+      : username && username.toLowerCase() === match.username.toLowerCase();
+
+    if (!matches) {
+      return;
+    }
+
+    if (username) {
+      announceModeration(client, `${username} was ${done} by ${details.by}${details.reason ? `: ${details.reason}` : ''}`);
+    }
+
+    if (details.action === 'mute') {
+      sendToClient(client, Object.assign({ type: 'moderated', timestamp: Date.now() }, details));
+    } else {
+      disconnectClient(client, details.action === 'ban' ? CLOSE_BANNED : CLOSE_KICKED, details);
+    }
+  });
+}
+
+/**
+ * Make a client an admin if it knows the admin secret
+ *
+ * @param {WebSocket} ws - The client
+ * @param {string} secret - The secret it typed
+ * @returns {boolean} True if the secret was right
+ */
+function grantAdmin(ws, secret) {
+  const username = clientUsernames.get(ws);
+
+  // Compare hashes so the comparison takes the same time for any guess
+  const hash = (text) => crypto.createHash('sha256').update(text).digest();
+  const isRight = ADMIN_SECRET !== '' && crypto.timingSafeEqual(hash(secret), hash(ADMIN_SECRET));
+
+  if (!isRight) {
+    moderation.audit('admin-denied', { by: username, ip: clientIps.get(ws) });
+    return false;
+  }
+
+  adminClients.add(ws);
+  moderation.audit('admin-granted', { by: username, ip: clientIps.get(ws) });
+
+  sendToClient(ws, { type: 'role', admin: true, timestamp: Date.now() });
+  return true;
+}
+
+/**
+ * Disconnect every connection of a user
+ *
+ * @param {string} target - The username
+ * @param {string} by - The admin
+ * @param {string} reason - Why (may be empty)
+ * @returns {object|null} null on success, or { code, text } explaining why not
+ */
+function kickUser(target, by, reason) {
+  const name = findOnlineUsername(target);
+  if (!name) {
+    return { code: 'user-offline', text: `${target} is not online` };
+  }
+
+  moderation.audit('kick', { by: by, target: name, reason: reason });
+  moderateClients({ username: name }, { action: 'kick', by: by, reason: reason });
+
+  return null;
+}
+
+/**
+ * Ban a username or an IP address, and disconnect the matching connections
+ *
+ * @param {string} target - A username or an IP address
+ * @param {number|null} duration - Milliseconds (null for the default)
+ * @param {string} by - The admin
+ * @param {string} reason - Why (may be empty)
+ * @returns {object|null} null on success, or { code, text } explaining why not
+ */
+function banTarget(target, duration, by, reason) {
+  const kind = net.isIP(normalizeIp(target)) ? 'ip' : 'username';
+
+  if (kind === 'username' && !USERNAME_PATTERN.test(target)) {
+    return { code: 'invalid-username', text: `"${target}" is not a username or an IP address` };
+  }
+
+  const ban = moderation.ban({
+    kind: kind,
+    target: target,
+    duration: duration || DEFAULT_BAN_DURATION,
+    by: by,
+    reason: reason
+  });
+  moderation.audit('ban', { by: by, target: ban.target, kind: kind, until: new Date(ban.until).toISOString(), reason: reason });
+
+  // Disconnect everyone who is covered by the ban right now
+  moderateClients(kind === 'ip' ? { ip: ban.target } : { username: ban.target }, {
+    action: 'ban',
+    by: by,
+    reason: reason,
+    until: ban.until
+  });
+
+  return null;
+}
+
+/**
+ * Lift the ban of a username or an IP address
+ *
+ * @param {string} target - A username or an IP address
+ * @param {string} by - The admin
+ * @returns {object|null} null on success, or { code, text } explaining why not
+ */
+function unbanTarget(target, by) {
+  const kind = net.isIP(normalizeIp(target)) ? 'ip' : 'username';
+
+  if (!moderation.unban(kind, target)) {
+    return { code: 'not-banned', text: `${target} is not banned` };
+  }
+
+  moderation.audit('unban', { by: by, target: target, kind: kind });
+  return null;
+}
+
+/**
+ * Stop a user from sending messages and reactions for a while
+ *
+ * @param {string} target - The username
+ * @param {number|null} duration - Milliseconds (null for the default)
+ * @param {string} by - The admin
+ * @param {string} reason - Why (may be empty)
+ * @returns {object|null} null on success, or { code, text } explaining why not
+ */
+function muteUser(target, duration, by, reason) {
+  if (!USERNAME_PATTERN.test(target)) {
+    return { code: 'invalid-username', text: `"${target}" is not a username` };
+  }
+
+  const mute = moderation.mute({
+    username: target,
+    duration: duration || DEFAULT_MUTE_DURATION,
+    by: by,
+    reason: reason
+  });
+  moderation.audit('mute', { by: by, target: target, until: new Date(mute.until).toISOString(), reason: reason });
+
+  moderateClients({ username: target }, { action: 'mute', by: by, reason: reason, until: mute.until });
+
+  return null;
+}
+
+/**
+ * Let a muted user talk again
+ *
+ * @param {string} target - The username
+ * @param {string} by - The admin
+ * @returns {object|null} null on success, or { code, text } explaining why not
+ */
+function unmuteUser(target, by) {
+  if (!moderation.unmute(target)) {
+    return { code: 'not-muted', text: `${target} is not muted` };
+  }
+
+  moderation.audit('unmute', { by: by, target: target });
+
+  sendToUser(target, { type: 'moderated', action: 'unmute', by: by, timestamp: Date.now() });
+
+  return null;
+}
+
+// ============================================
+// CHAT MESSAGES AND COMMANDS
+// ============================================
+
+/**
+ * Save a chat message and broadcast it to the room
+ * Used for normal messages and for commands that post to the room (like /me)
+ *
+ * @param {WebSocket} ws - The sender (already a member of the room)
+ * @param {object} message - { room, text, replyTo?, action?, attachments? } - the text is already validated
+ * @param {string} [nonce] - The nonce to acknowledge
+ * @returns {object|null} The stored message, or null if it was refused (an error was sent)
+ */
+function postChatMessage(ws, message, nonce) {
+  const username = clientUsernames.get(ws);
+
+  if (isMuted(ws, username, nonce)) {
+    return null;
+  }
+
+  const result = storeChatMessage(username, message);
+  if (result.error) {
+    sendError(ws, result.error.code, result.error.text, { nonce: nonce, field: result.error.field });
+    return null;
+  }
+
+  // Acknowledge first, so the sender knows the id before the broadcast arrives
+  acknowledge(ws, nonce, result.message);
+
+  broadcastChatMessage(result.message);
+  return result.message;
+}
+
+/**
+ * Check a new chat message and save it to the history (without sending it anywhere)
+ * Shared by WebSocket clients and the REST API
+ *
+ * @param {string} username - Who sends it
+ * @param {object} message - { room, text, replyTo?, action?, attachments?, bot? } - the text is already validated
+ * @returns {object} { message } with the stored message, or { error: { code, field?, text } }
+ */
+function storeChatMessage(username, message) {
+  // A reply must point to an existing message in the same room
+  let quoted = null; // The message being answered
+  let parent = null; // The message that started its thread
+  if (message.replyTo !== undefined && message.replyTo !== null) {
+    quoted = messageStore.get(message.replyTo);
+
+    if (!quoted || quoted.deleted || quoted.room !== message.room) {
+      return { error: { code: 'message-not-found', field: 'replyTo', text: 'The message you replied to no longer exists' } };
+    }
+
+    // Threads are one level deep: replying to a reply joins the same thread
+    parent = (quoted.replyTo && messageStore.get(quoted.replyTo)) || quoted;
+  }
+
+  console.log(`[WebSocket] ${username} in ${message.room}: ${message.text}`);
+
+  // Save the message to the history
+  // The server decides the id and the timestamp, the client's clock is not trusted
+  const newMessage = {
+    type: 'chat-message',
+    room: message.room,
+    username: username,
+    text: message.text,
+    timestamp: Date.now()
+  };
+
+  // "/me waves" is shown as an action line: "Alice waves"
+  if (message.action) {
+    newMessage.action = true;
+  }
+
+  // Messages sent by scripts through the REST API
+  if (message.bot) {
+    newMessage.bot = true;
+  }
+
+  // "@Bob" highlights the message for Bob (and notifies him if his tab is hidden)
+  const mentions = findMentions(message.text);
+  if (mentions.length > 0) {
+    newMessage.mentions = mentions;
+  }
+
+  // Replies carry a short quote of the message they answer
+  // (brought up to date when sent again later, see withCurrentState())
+  if (parent) {
+    newMessage.replyTo = parent.id;
+    newMessage.replyPreview = getReplyPreview(quoted);
+  }
+
+  // Files uploaded before sending (already checked, see getAttachments())
+  if (message.attachments && message.attachments.length > 0) {
+    newMessage.attachments = message.attachments;
+  }
+
+  const stored = messageStore.append(newMessage);
+  (stored.attachments || []).forEach((attachment) => uploadStore.attach(attachment.id, stored.id));
+
+  return { message: stored };
+}
+
+/**
+ * Send a stored chat message to everyone in its room
+ * @param {object} storedMessage - The message returned by storeChatMessage()
+ */
+function broadcastChatMessage(storedMessage) {
+  // Broadcast the chat message to all members of the room
+  // This includes the sender, so they see their own message too
+  broadcastToRoom(storedMessage.room, storedMessage);
+
+  // And to the outgoing webhooks of the room
+  webhooks.deliver('chat-message', storedMessage);
+
+  // Update the "N replies" link on the message that started the thread
+  const parent = storedMessage.replyTo ? messageStore.get(storedMessage.replyTo) : null;
+  if (parent) {
+    broadcastToRoom(storedMessage.room, {
+      type: 'thread-updated',
+      id: parent.id,
+      room: parent.room,
+      replyCount: parent.replyCount,
+      lastReplyAt: parent.lastReplyAt
+    });
+  }
+
+  // And to the plugins (last, so a bot's answer arrives after the message it answers)
+  emitPluginEvent('message', storedMessage);
+}
+
+/**
+ * Post a chat message as a bot (a REST API token, an incoming webhook or a plugin)
+ * Bots go through the same checks as people: mutes, validation and the middleware
+ *
+ * @param {string} botName - Who the message is from
+ * @param {object} message - { room, text, replyTo? }
+ * @returns {object} { message } with the posted message, or { error: { code, field?, text } }
+ */
+function postBotMessage(botName, message) {
+  const mute = moderation.getMute(botName);
+  if (mute) {
+    return { error: { code: 'muted', text: `${botName} is muted until ${new Date(mute.until).toISOString()}` } };
+  }
+
+  if (!isValidRoomName(message.room)) {
+    return { error: { code: 'invalid-room', field: 'room', text: 'Say which room to post to, e.g. { "room": "general", "text": "..." }' } };
+  }
+
+  if (typeof message.text !== 'string' || !message.text.trim()) {
+    return { error: { code: 'invalid-message', field: 'text', text: 'Messages need some text' } };
+  }
+
+  if (message.text.length > MAX_MESSAGE_LENGTH) {
+    return { error: { code: 'message-too-long', field: 'text', text: `Messages can be at most ${MAX_MESSAGE_LENGTH} characters` } };
+  }
+
+  // The same rule as 'replyTo' in CLIENT_MESSAGE_SCHEMAS (null or left out: not a reply)
+  if (message.replyTo !== undefined && message.replyTo !== null && !(Number.isInteger(message.replyTo) && message.replyTo >= 1)) {
+    return { error: { code: 'invalid-field', field: 'replyTo', text: '"replyTo" must be the id of a message (a whole number from 1)' } };
+  }
+
+  // The same middleware as WebSocket messages (there is no connection, so context.ws is null)
+  const inbound = messagePipeline.run(
+    { type: 'chat-message', room: message.room, text: message.text, replyTo: message.replyTo },
+    { direction: 'inbound', ws: null, username: botName, room: null }
+  );
+  if (!inbound.message) {
+    return { error: { code: 'message-rejected', text: inbound.reason } };
+  }
+
+  const result = storeChatMessage(botName, {
+    room: inbound.message.room,
+    text: inbound.message.text,
+    replyTo: inbound.message.replyTo,
+    bot: true
+  });
+
+  if (result.message) {
+    broadcastChatMessage(result.message);
+  }
+  return result;
+}
+
+/**
+ * Remove the escaping "/" from text like "//shrug" (which is sent as "/shrug")
+ * @param {string} text - The chat text
+ * @returns {string} The text to show
+ */
+function unescapeCommandText(text) {
+  return text.startsWith('//') ? text.slice(1) : text;
+}
+
+/**
+ * Change the username of a connected client and tell the rooms it is in
+ *
+ * @param {WebSocket} ws - The client
+ * @param {string} newName - The name it wants
+ * @returns {object|null} null on success, or { code, text } explaining why not
+ */
+function renameUser(ws, newName) {
+  const oldName = clientUsernames.get(ws);
+
+  if (!USERNAME_PATTERN.test(newName)) {
+    return { code: 'invalid-username', text: 'Usernames must be 2-20 letters, numbers, "-" or "_"' };
+  }
 
-  // Log the request to the console so we can see what's being requested
-  console.log(`[HTTP] Request for: ${pathname}`);
+  if (newName === oldName) {
+    return { code: 'invalid-username', text: `You are already called ${oldName}` };
+  }
 
-  // Handle different routes (URLs)
-  if (pathname === '/') {
-    // If someone visits the root URL, serve index.html
-    pathname = '/index.html';
+  // Changing only the upper/lower case of our own name is allowed
+  if (newName.toLowerCase() !== oldName.toLowerCase() && isUsernameTaken(newName)) {
+    return { code: 'username-taken', text: `The username "${newName}" is already in use` };
   }
 
-  // Build the full file path by combining 'public' folder with the requested file
-  // path.join() ensures the path is correct for Windows, Mac, and Linux
-  const filePath = path.join(__dirname, 'public', pathname);
+  if (isBotName(newName)) {
+    return { code: 'username-taken', text: `The username "${newName}" belongs to a bot` };
+  }
 
-  // Check if the requested file is actually inside the 'public' folder
-  // This is a security measure to prevent users from accessing files outside 'public'
-  const publicPath = path.join(__dirname, 'public');
-  if (!filePath.startsWith(publicPath)) {
-    // If someone tries to access files outside 'public', deny the request
-    res.writeHead(403, { 'Content-Type': 'text/plain' });
-    res.end('403 - Forbidden');
-    return;
+  // A new name must not be a way around a ban or a mute
+  if (moderation.findBan(newName, null)) {
+    return { code: 'banned', text: `The username "${newName}" is banned` };
   }
 
-  // Serve the requested file
-  serveStaticFile(filePath, res);
-});
+  if (moderation.getMute(oldName)) {
+    return { code: 'muted', text: 'You can\'t change your name while you are muted' };
+  }
 
-// ============================================
-// CREATE WEBSOCKET SERVER
-// ============================================
+  clientUsernames.set(ws, newName);
+  console.log(`[WebSocket] ${oldName} is now known as ${newName}`);
+
+  // A new name is no way around a mute
+  floodGuards.inherit(`user:${oldName.toLowerCase()}`, `user:${newName.toLowerCase()}`);
+  // Our messages stay ours, and don't go to whoever takes the old name
+  messageStore.renameAuthor(oldName, newName);
+  adapter.publish({ type: 'upload-token', token: uploadTokens.get(ws), username: newName, slot: adapter.slot });
+  sharePresence();
+
+  // Resent messages must still be recognised under the new name
+  const nonces = recentNonces.get(oldName.toLowerCase());
+  if (nonces) {
+    recentNonces.delete(oldName.toLowerCase());
+    recentNonces.set(newName.toLowerCase(), nonces);
+  }
+
+  // The client saves its new name (like after 'identified')
+  sendToClient(ws, {
+    type: 'username-changed',
+    oldUsername: oldName,
+    username: newName,
+    timestamp: Date.now()
+  });
+
+  clientRooms.get(ws).forEach((room) => {
+    broadcastToRoom(room, {
+      type: 'system',
+      room: room,
+      text: `${oldName} is now known as ${newName}`,
+      timestamp: Date.now()
+    });
+    broadcastPresence(room, { updated: [getMember(ws)], removed: [oldName] });
+  });
+
+  return null;
+}
 
 /**
- * Create a WebSocket server and attach it to the HTTP server
+ * Change the topic of a room and tell its members
  *
- * How this works:
- * 1. The HTTP server handles normal web requests (GET /index.html, etc.)
- * 2. When a client wants to establish a WebSocket connection, they send a special
- *    HTTP request called an "upgrade" request
- * 3. The WebSocket server intercepts these upgrade requests and converts them
- *    into WebSocket connections
- * 4. Both servers share the same port (3000) because they're attached to the same
- *    HTTP server instance
+ * @param {string} room - The room name
+ * @param {string} topic - The new topic
+ * @param {string} username - Who changed it
+ * @returns {object|null} null on success, or { code, text } explaining why not
  */
-const wss = new WebSocket.Server({
-  server: server  // Attach to the HTTP server we created above
-});
+function setRoomTopic(room, topic, username) {
+  if (topic.length > MAX_TOPIC_LENGTH) {
+    return { code: 'topic-too-long', text: `Topics can be at most ${MAX_TOPIC_LENGTH} characters` };
+  }
 
-console.log('[WebSocket] WebSocket server created');
+  // Topics are shown to everyone in the room, so the middleware checks them like messages
+  const inbound = messagePipeline.run(
+    { type: 'set-topic', room: room, text: topic },
+    { direction: 'inbound', ws: null, username: username, room: null }
+  );
+  if (!inbound.message) {
+    return { code: 'message-rejected', text: inbound.reason };
+  }
+  topic = typeof inbound.message.text === 'string' ? inbound.message.text : topic;
 
-// ============================================
-// WEBSOCKET BROADCAST FUNCTIONS
-// ============================================
+  roomTopics.set(room, topic);
+  adapter.publish({ type: 'topic', room: room, topic: topic });
+  console.log(`[Rooms] ${username} set the topic of ${room}: ${topic}`);
+
+  broadcastToRoom(room, {
+    type: 'room-topic',
+    room: room,
+    topic: topic,
+    username: username,
+    timestamp: Date.now()
+  });
+  broadcastToRoom(room, {
+    type: 'system',
+    room: room,
+    text: `${username} changed the topic to: ${topic}`,
+    timestamp: Date.now()
+  });
+
+  return null;
+}
+
+// What command modules can do (they get this as context.chat)
+const commandApi = {
+  listCommands: () => commandRegistry.list(),
+  getOnlineUsers: getOnlineUsers,
+  renameUser: renameUser,
+  postChatMessage: postChatMessage,
+  getTopic: (room) => roomTopics.get(room) || '',
+  setTopic: setRoomTopic,
+  isAdmin: (ws) => adminClients.has(ws),
+  grantAdmin: grantAdmin,
+  kickUser: kickUser,
+  ban: banTarget,
+  unban: unbanTarget,
+  muteUser: muteUser,
+  unmuteUser: unmuteUser,
+  addWebhook: addWebhook,
+  addIncomingWebhook: addIncomingWebhook,
+  removeWebhook: removeWebhook,
+  listWebhooks: () => webhooks.list()
+};
 
 /**
- * Broadcast a message to all connected clients
- * This function sends the same message to everyone in the chat
+ * Get a frame as it may be written to the log: slash commands without their arguments
+ * Some arguments are secrets (like the one of /admin), and runCommand() logs the others itself
  *
- * @param {object} messageObject - The message object to broadcast
+ * @param {*} frame - The parsed frame
+ * @returns {*} The frame, or a copy of it with the command arguments left out
  */
-function broadcast(messageObject) {
-  // Convert the JavaScript object to a JSON string
-  const messageString = JSON.stringify(messageObject);
-
-  console.log(`[WebSocket] Broadcasting message to ${connectedClients.size} clients:`, messageObject);
+function redactCommand(frame) {
+  const isText = frame && typeof frame === 'object' && typeof frame.text === 'string';
+  const parsed = isText && ['chat-message', 'direct-message'].includes(frame.type) ? commandRegistry.parse(frame.text) : null;
 
-  // Loop through all connected clients
-  connectedClients.forEach((client) => {
-    // Only send to clients that are still connected and ready
-    // readyState === WebSocket.OPEN means the connection is active
-    if (client.readyState === WebSocket.OPEN) {
-      try {
-        // Send the message to this client
-        client.send(messageString);
-      } catch (error) {
-        // If sending fails, log the error but don't crash the server
-        console.error('[WebSocket] Error sending to client:', error.message);
-      }
-    }
-  });
+  return parsed ? Object.assign({}, frame, { text: `/${parsed.name} (arguments not logged)` }) : frame;
 }
 
 /**
- * Broadcast a message to all clients EXCEPT the sender
- * Useful for typing indicators - we don't want to send "You are typing" back to yourself
+ * Run the chat text as a slash command, if it is one
  *
- * @param {object} messageObject - The message object to broadcast
- * @param {WebSocket} excludeClient - The client to exclude from broadcast
+ * @param {WebSocket} ws - The sender
+ * @param {string} text - The chat text (e.g. "/nick Bob")
+ * @param {string|null} room - The room it was typed in (null in a direct message conversation)
+ * @returns {boolean} True if the text was a command (and has been handled)
  */
-function broadcastExcept(messageObject, excludeClient) {
-  // Convert the JavaScript object to a JSON string
-  const messageString = JSON.stringify(messageObject);
+function runCommand(ws, text, room) {
+  const parsed = commandRegistry.parse(text);
+  if (!parsed) {
+    return false;
+  }
 
-  console.log(`[WebSocket] Broadcasting to others (excluding sender):`, messageObject);
+  const username = clientUsernames.get(ws);
+  const command = commandRegistry.get(parsed.name);
 
-  // Loop through all connected clients
-  connectedClients.forEach((client) => {
-    // Skip the excluded client and only send to clients that are still open
-    if (client !== excludeClient && client.readyState === WebSocket.OPEN) {
-      try {
-        // Send the message to this client
-        client.send(messageString);
-      } catch (error) {
-        // If sending fails, log the error but don't crash the server
-        console.error('[WebSocket] Error sending to client:', error.message);
-      }
-    }
+  if (!command) {
+    sendError(ws, 'unknown-command', `Unknown command /${parsed.name} - type /help for a list`);
+    return true;
+  }
+
+  if (command.adminOnly && !adminClients.has(ws)) {
+    sendError(ws, 'not-allowed', `/${command.name} is only for admins`);
+    return true;
+  }
+
+  if (command.roomOnly && !room) {
+    sendError(ws, 'room-only-command', `/${command.name} only works in rooms`);
+    return true;
+  }
+
+  // Never write the admin secret to the log
+  console.log(`[Commands] ${username} ran /${command.name}${command.secretArgs ? '' : ' ' + parsed.args}`);
+
+  command.run({
+    ws: ws,
+    username: username,
+    room: room,
+    args: parsed.args,
+    chat: commandApi,
+
+    // Answer only the caller, shown as a system message in the conversation
+    reply: (replyText) => sendToClient(ws, {
+      type: 'system',
+      room: room || undefined,
+      text: replyText,
+      timestamp: Date.now()
+    }),
+    fail: (code, errorText) => sendError(ws, code, errorText)
   });
+
+  return true;
 }
 
 // ============================================
@@ -226,142 +2988,419 @@ function broadcastExcept(messageObject, excludeClient) {
  * This event fires whenever a new client connects via WebSocket
  * The 'connection' event gives us a 'ws' object representing this client
  */
-wss.on('connection', (ws) => {
+wss.on('connection', (ws, req) => {
   console.log('[WebSocket] New client connected');
   console.log(`[WebSocket] Total clients: ${connectedClients.size + 1}`);
 
   // Add this client to our set of connected clients
   connectedClients.add(ws);
+  clientIps.set(ws, normalizeIp(req.socket.remoteAddress));
+
+  // Until it has a name, the client gets rate limits of its own: many people can share
+  // one IP address (an office, a school, a phone network), so the address won't do
+  handshakeKeys.set(ws, `conn:${nextHandshakeNumber++}`);
 
-  // Note: We don't add to clientUsernames yet - we'll do that when they send their first message
-  // This is because the username is sent from the client, not available at connection time
+  // The client hasn't joined any rooms yet
+  clientRooms.set(ws, new Set());
+
+  // The client answered our heartbeat ping, so it is still there
+  ws.on('pong', () => {
+    awaitingPong.delete(ws);
+  });
+
+  // Note: We don't add to clientUsernames yet - we'll do that when the client sends 'hello'
+  // This is because the username is chosen in the browser, not available at connection time
 
   // ============================================
   // Send welcome message to the new client only
   // ============================================
-  const welcomeMessage = {
+  // It also says which protocol versions we speak, for the client's hello (see lib/protocol.js):
+  // the newest one, and every one we still accept
+  sendToClient(ws, {
     type: 'system',
     text: 'Welcome to the chat! You are now connected.',
+    protocol: PROTOCOL_VERSION,
+    protocols: SUPPORTED_PROTOCOLS,
     timestamp: Date.now()
-  };
-
-  try {
-    ws.send(JSON.stringify(welcomeMessage));
-  } catch (error) {
-    console.error('[WebSocket] Error sending welcome message:', error.message);
-  }
+  });
 
-  // Send the current online count to the new client
-  const countMessage = {
-    type: 'online-count',
-    count: getOnlineCount(),
+  // Send the list of rooms so the client can fill its sidebar
+  sendToClient(ws, {
+    type: 'room-list',
+    rooms: getRoomList(),
     timestamp: Date.now()
-  };
-
-  try {
-    ws.send(JSON.stringify(countMessage));
-  } catch (error) {
-    console.error('[WebSocket] Error sending online count:', error.message);
-  }
+  });
 
   // ============================================
   // Handle incoming messages from this client
   // ============================================
   ws.on('message', (data) => {
-    console.log('[WebSocket] Received raw data:', data.toString());
+    // Try to parse the incoming message as JSON
+    let received;
+    try {
+      received = JSON.parse(data.toString());
+    } catch (error) {
+      console.error('[WebSocket] Invalid JSON:', error.message);
+      sendError(ws, 'invalid-json', 'Frames must be valid JSON');
+      return;
+    }
+
+    // Errors sent while handling this frame repeat its requestId (see sendError())
+    currentRequest = { ws: ws, requestId: getRequestId(received) };
 
     try {
-      // Try to parse the incoming message as JSON
-      const message = JSON.parse(data.toString());
+      console.log('[WebSocket] Received message:', redactCommand(received));
+
+      // Drop the frame if this connection is sending too fast
+      if (!checkRateLimit(ws, received)) {
+        return;
+      }
+
+      // Refuse frames that don't match the schema of their type (see CLIENT_MESSAGE_SCHEMAS)
+      const invalid = validateFrame(CLIENT_MESSAGE_SCHEMAS, received);
+      if (invalid) {
+        console.error(`[WebSocket] Invalid ${received && received.type} frame: ${invalid.code} (${invalid.field})`);
+        sendError(ws, invalid.code, invalid.text, { field: invalid.field, nonce: getNonce(received) });
+        return;
+      }
+
+      // Middleware may change the frame or refuse it (see lib/pipeline.js)
+      const inbound = messagePipeline.run(received, {
+        direction: 'inbound',
+        ws: ws,
+        username: clientUsernames.get(ws) || null,
+        room: null
+      });
+
+      if (!inbound.message) {
+        sendError(ws, 'message-rejected', inbound.reason, { nonce: getNonce(received) });
+        return;
+      }
+
+      const message = inbound.message;
+
+      // Browsers can't see WebSocket pings, so they check that we are still
+      // there with their own 'ping' message (allowed before the handshake too)
+      if (message.type === 'ping') {
+        sendToClient(ws, { type: 'pong', timestamp: Date.now() });
+        return;
+      }
+
+      // The handshake binds a username to this connection
+      if (message.type === 'hello') {
+        identifyClient(ws, message);
+        return;
+      }
 
-      console.log('[WebSocket] Parsed message:', message);
+      // Everything else needs an identified client
+      // Any 'username' field sent by the client is ignored - we use our own record
+      const username = clientUsernames.get(ws);
 
-      // Check if this is the first time we're seeing this client's username
-      const isNewUser = !clientUsernames.has(ws);
+      if (!username && message.type !== 'list-rooms') {
+        console.error('[WebSocket] Message from unidentified client:', message.type);
+        sendError(ws, 'not-identified', 'Send a hello message with your username first');
+        return;
+      }
 
       // ============================================
       // Handle different message types
       // ============================================
 
-      if (message.type === 'chat-message') {
-        // Validate chat message format
-        if (!message.username || !message.text) {
-          console.error('[WebSocket] Invalid chat message - missing username or text');
+      if (message.type === 'join-room') {
+        joinRoom(ws, message.room, message.since);
+      }
+      else if (message.type === 'leave-room') {
+        if (!leaveRoom(ws, message.room)) {
+          sendError(ws, 'not-in-room', `You are not in #${message.room}`, { field: 'room' });
           return;
         }
 
-        // If this is a new user (first message), save their username and announce them
-        if (isNewUser && message.username) {
-          clientUsernames.set(ws, message.username);
-          console.log(`[WebSocket] User joined: ${message.username}`);
-
-          // Broadcast join message to everyone
-          const joinMessage = {
-            type: 'system',
-            text: `${message.username} joined the chat`,
-            timestamp: Date.now()
-          };
-          broadcast(joinMessage);
-
-          // Broadcast updated online count
-          broadcastOnlineCount();
+        // Confirm the leave so the client can close the room's pane
+        sendToClient(ws, {
+          type: 'room-left',
+          room: message.room,
+          timestamp: Date.now()
+        });
+      }
+      else if (message.type === 'list-rooms') {
+        sendToClient(ws, {
+          type: 'room-list',
+          rooms: getRoomList(),
+          timestamp: Date.now()
+        });
+      }
+      else if (message.type === 'chat-message') {
+        const nonce = getNonce(message);
+
+        // Messages with files may have no text
+        if (!message.text && !hasAttachments(message)) {
+          sendError(ws, 'invalid-message', 'Messages need some text', { nonce: nonce, field: 'text' });
+          return;
         }
 
-        console.log(`[WebSocket] ${message.username}: ${message.text}`);
+        // Only members of a room can send to it
+        if (!clientRooms.get(ws).has(message.room)) {
+          console.error(`[WebSocket] ${username} is not a member of room:`, message.room);
+          sendError(ws, 'not-in-room', `Join #${message.room} before sending to it`, { nonce: nonce, field: 'room' });
+          return;
+        }
 
-        // Broadcast the chat message to all connected clients
-        // This includes the sender, so they see their own message too
-        broadcast(message);
-      }
-      else if (message.type === 'typing') {
-        // Handle typing indicator
-        // Validate typing message format
-        if (!message.username || message.isTyping === undefined) {
-          console.error('[WebSocket] Invalid typing message - missing username or isTyping');
+        // "/nick Bob" etc. are commands for the server, not messages for the room
+        if (runCommand(ws, message.text, message.room)) {
           return;
         }
 
-        // Save username if this is a new user
-        if (isNewUser && message.username) {
-          clientUsernames.set(ws, message.username);
-          console.log(`[WebSocket] User registered via typing: ${message.username}`);
-
-          // Broadcast join message
-          const joinMessage = {
-            type: 'system',
-            text: `${message.username} joined the chat`,
-            timestamp: Date.now()
-          };
-          broadcast(joinMessage);
-
-          // Broadcast updated online count
-          broadcastOnlineCount();
+        // Already delivered (the browser is retrying) - just acknowledge it again
+        const duplicate = findByNonce(username, nonce);
+        if (duplicate) {
+          console.log(`[WebSocket] Duplicate message from ${username} (nonce ${nonce})`);
+          acknowledge(ws, nonce, duplicate);
+          return;
         }
 
-        console.log(`[WebSocket] ${message.username} is typing: ${message.isTyping}`);
+        const attachments = getAttachments(ws, message.attachments, nonce);
+        if (!attachments) {
+          return;
+        }
 
-        // Broadcast typing indicator to all OTHER clients (not the sender)
-        broadcastExcept(message, ws);
+        postChatMessage(ws, {
+          room: message.room,
+          text: unescapeCommandText(message.text),
+          replyTo: message.replyTo,
+          attachments: attachments
+        }, nonce);
       }
-      else {
-        console.log('[WebSocket] Unknown message type:', message.type);
+      else if (message.type === 'get-thread') {
+        // Asking for the thread of a reply shows the whole thread it is part of
+        let parent = messageStore.get(message.id);
+        if (parent && parent.replyTo) {
+          parent = messageStore.get(parent.replyTo);
+        }
+
+        // Only threads of rooms we are in can be read
+        if (!parent || !clientRooms.get(ws).has(parent.room)) {
+          sendError(ws, 'message-not-found', 'That thread no longer exists', { field: 'id' });
+          return;
+        }
+
+        const thread = messageStore.getThread(parent.id);
+
+        sendToClient(ws, {
+          type: 'thread',
+          id: parent.id,
+          room: parent.room,
+          parent: withCurrentState([thread.parent])[0],
+          replies: withCurrentState(thread.replies),
+          timestamp: Date.now()
+        });
       }
+      else if (message.type === 'direct-message') {
+        const nonce = getNonce(message);
 
-    } catch (error) {
-      // If JSON parsing fails or any other error occurs, log it
-      console.error('[WebSocket] Error processing message:', error.message);
+        // Messages with files may have no text
+        if (!message.text && !hasAttachments(message)) {
+          sendError(ws, 'invalid-message', 'Messages need some text', { nonce: nonce, field: 'text' });
+          return;
+        }
 
-      // Send error message back to the sender only
-      try {
-        const errorMessage = {
-          type: 'error',
-          text: 'Failed to process message',
+        // Commands work in direct message conversations too (except room-only ones)
+        if (runCommand(ws, message.text, null)) {
+          return;
+        }
+
+        // Already delivered (the browser is retrying) - just acknowledge it again
+        const duplicate = findByNonce(username, nonce);
+        if (duplicate) {
+          acknowledge(ws, nonce, duplicate);
+          return;
+        }
+
+        if (isMuted(ws, username, nonce)) {
+          return;
+        }
+
+        const attachments = getAttachments(ws, message.attachments, nonce);
+        if (!attachments) {
+          return;
+        }
+
+        // Look up the recipient (they may be connected to another server process)
+        const recipient = findOnlineUsername(message.to);
+
+        if (!recipient) {
+          sendError(ws, 'user-offline', `${message.to} is not online`, { nonce: nonce, field: 'to' });
+          return;
+        }
+
+        // Direct messages aren't saved, but they get an id from the same sequence
+        const directMessage = {
+          id: messageStore.reserveId(),
+          type: 'direct-message',
+          username: username,
+          to: recipient, // The recipient's exact spelling
+          text: unescapeCommandText(message.text),
           timestamp: Date.now()
         };
-        ws.send(JSON.stringify(errorMessage));
-      } catch (sendError) {
-        console.error('[WebSocket] Error sending error message:', sendError.message);
+
+        const mentions = findMentions(directMessage.text);
+        if (mentions.length > 0) {
+          directMessage.mentions = mentions;
+        }
+
+        if (attachments.length > 0) {
+          directMessage.attachments = attachments;
+          attachments.forEach((attachment) => uploadStore.attach(attachment.id, directMessage.id));
+        }
+
+        console.log(`[WebSocket] ${username} -> ${directMessage.to} (direct message)`);
+
+        acknowledge(ws, nonce, directMessage);
+
+        // Deliver only to the recipient and the sender (so the sender sees it in their conversation)
+        // A user messaging themselves only gets one copy
+        sendToUser(recipient, directMessage);
+        if (recipient !== username) {
+          sendToUser(username, directMessage);
+        }
+      }
+      else if (message.type === 'edit-message') {
+        if (!message.text) {
+          sendError(ws, 'invalid-message', 'Messages need some text', { field: 'text' });
+          return;
+        }
+
+        if (isMuted(ws, username)) {
+          return;
+        }
+
+        const stored = findOwnMessage(ws, username, message);
+        if (!stored) {
+          return;
+        }
+
+        console.log(`[WebSocket] ${username} edited message ${stored.id}`);
+
+        // Save the change to the history and show it to everyone in the room
+        // The mentions are found again, the new text may name other users
+        broadcastToRoom(stored.room, messageStore.edit(stored.id, message.text, findMentions(message.text)));
+      }
+      else if (message.type === 'delete-message') {
+        const stored = findOwnMessage(ws, username, message, true);
+        if (!stored) {
+          return;
+        }
+
+        console.log(`[WebSocket] ${username} deleted message ${stored.id}`);
+
+        // Admins removing someone else's message is a moderation action
+        if (stored.username !== username) {
+          moderation.audit('message-removed', {
+            by: username,
+            target: stored.username,
+            id: stored.id,
+            room: stored.room,
+            text: stored.text
+          });
+        }
+
+        // Its files go too: their links stop working for everyone who has them
+        (stored.attachments || []).forEach((attachment) => uploadStore.remove(attachment.id));
+
+        broadcastToRoom(stored.room, messageStore.remove(stored.id));
+      }
+      else if (message.type === 'react') {
+        if (isMuted(ws, username)) {
+          return;
+        }
+
+        const stored = messageStore.get(message.id);
+
+        // Only messages of rooms we are in can be reacted to
+        if (!stored || stored.deleted || !clientRooms.get(ws).has(stored.room)) {
+          sendError(ws, 'message-not-found', 'That message no longer exists', { field: 'id' });
+          return;
+        }
+
+        // Limit the number of different emojis, but always allow toggling an existing one
+        const reactions = stored.reactions || [];
+        const isNewEmoji = !reactions.some((reaction) => reaction.emoji === message.emoji);
+        if (isNewEmoji && reactions.length >= MAX_REACTIONS_PER_MESSAGE) {
+          sendError(ws, 'too-many-reactions', 'This message already has too many different reactions', { field: 'emoji' });
+          return;
+        }
+
+        console.log(`[WebSocket] ${username} toggled ${message.emoji} on message ${stored.id}`);
+
+        // Save the change and send everyone in the room the new reaction counts
+        broadcastToRoom(stored.room, messageStore.toggleReaction(stored.id, message.emoji, username));
+      }
+      else if (message.type === 'set-status') {
+        // The custom text is optional
+        const text = message.text ? message.text.trim() : '';
+
+        const presence = clientPresence.get(ws);
+        if (presence.status === message.status && presence.text === text) {
+          return;
+        }
+
+        presence.status = message.status;
+        presence.text = text;
+        console.log(`[Presence] ${username} is now ${presence.status}${text ? ` (${text})` : ''}`);
+
+        // Update the roster of every room the user is in
+        clientRooms.get(ws).forEach((room) => {
+          broadcastPresence(room, { updated: [getMember(ws)] });
+        });
+        sharePresence();
+      }
+      else if (message.type === 'mark-read') {
+        // The client has seen every message of the room up to this id
+        if (!clientRooms.get(ws).has(message.room)) {
+          sendError(ws, 'not-in-room', `Join #${message.room} before marking it as read`, { field: 'room' });
+          return;
+        }
+
+        const read = messageStore.get(message.id);
+        if (!read || read.room !== message.room) {
+          sendError(ws, 'message-not-found', 'That message no longer exists', { field: 'id' });
+          return;
+        }
+
+        // Old reports (e.g. from another tab that is further behind) change nothing
+        const previous = readReceipts.markRead(message.room, username, read.id);
+        if (previous !== null) {
+          scheduleReadReceipts(message.room, previous + 1);
+          adapter.publish({ type: 'read', room: message.room, username: username, id: read.id });
+        }
+      }
+      else if (message.type === 'typing') {
+        // Handle typing indicator
+        // A "stopped typing" can arrive just after leaving the room: not worth an error
+        if (!clientRooms.get(ws).has(message.room)) {
+          return;
+        }
+
+        console.log(`[WebSocket] ${username} is typing in ${message.room}: ${message.isTyping}`);
+
+        // Broadcast typing indicator to all OTHER members of the room (not the sender)
+        broadcastToRoom(message.room, {
+          type: 'typing',
+          room: message.room,
+          username: username,
+          isTyping: message.isTyping,
+          timestamp: Date.now()
+        }, ws);
       }
+      // Unknown types never get here: validateFrame() refused them
+
+    } catch (error) {
+      // A bug on our side: log it, and tell the sender their frame wasn't handled
+      console.error('[WebSocket] Error processing message:', error);
+      sendError(ws, 'server-error', 'Something went wrong on the server while handling your message', {
+        nonce: getNonce(received)
+      });
+    } finally {
+      currentRequest = null;
     }
   });
 
@@ -371,30 +3410,8 @@ wss.on('connection', (ws) => {
   ws.on('close', () => {
     console.log('[WebSocket] Client disconnected');
 
-    // Get the username before removing from map
-    const username = clientUsernames.get(ws);
-
-    // Remove this client from our collections
-    connectedClients.delete(ws);
-    clientUsernames.delete(ws);
-
-    console.log(`[WebSocket] Total clients: ${connectedClients.size}`);
-
-    // If the user had a username, broadcast their departure
-    if (username) {
-      console.log(`[WebSocket] User left: ${username}`);
-
-      // Broadcast leave message
-      const leaveMessage = {
-        type: 'system',
-        text: `${username} left the chat`,
-        timestamp: Date.now()
-      };
-      broadcast(leaveMessage);
-
-      // Broadcast updated online count
-      broadcastOnlineCount();
-    }
+    // Leave all rooms (members are told about the departure) and forget the client
+    removeClient(ws);
   });
 
   // ============================================
@@ -403,25 +3420,7 @@ wss.on('connection', (ws) => {
   ws.on('error', (error) => {
     console.error('[WebSocket] Client error:', error.message);
 
-    // Get the username before removing
-    const username = clientUsernames.get(ws);
-
-    // Remove this client from our collections
-    connectedClients.delete(ws);
-    clientUsernames.delete(ws);
-
-    // If the user had a username, broadcast their departure
-    if (username) {
-      const leaveMessage = {
-        type: 'system',
-        text: `${username} left the chat`,
-        timestamp: Date.now()
-      };
-      broadcast(leaveMessage);
-
-      // Broadcast updated online count
-      broadcastOnlineCount();
-    }
+    removeClient(ws);
   });
 });
 
@@ -449,9 +3448,24 @@ server.listen(PORT, () => {
  * Handle server shutdown gracefully
  * This closes all WebSocket connections when the server stops
  */
+let shuttingDown = false;
+
 process.on('SIGINT', () => {
+  // Ctrl+C reaches every process of a cluster, and the primary passes it on too
+  if (shuttingDown) {
+    return;
+  }
+  shuttingDown = true;
+
   console.log('\n[Server] Shutting down gracefully...');
 
+  // Stop pinging clients and drop "seen by" updates nobody will receive
+  clearInterval(heartbeatTimer);
+  pendingReadReceipts.forEach((pending) => clearTimeout(pending.timer));
+  webhooks.stop();
+  pluginHost.stop();
+  sendQueues.stop();
+
   // Close all WebSocket connections
   connectedClients.forEach((client) => {
     client.close();
@@ -462,9 +3476,13 @@ process.on('SIGINT', () => {
     console.log('[WebSocket] WebSocket server closed');
   });
 
-  // Close the HTTP server
+  // Close the HTTP server, then make sure all history is written to disk
   server.close(() => {
     console.log('[HTTP] HTTP server closed');
-    process.exit(0);
+
+    messageStore.close(() => {
+      console.log('[Store] History saved');
+      moderation.close(() => process.exit(0));
+    });
   });
 });
@@ -0,0 +1,230 @@
+// Tests for lib/backpressure.js, with a fake connection whose amount of
+// waiting data (bufferedAmount) each test sets itself
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createSendQueues } = require('../lib/backpressure');
+
+/**
+ * Create a fake WebSocket connection
+ * Frames it "sends" are kept in 'sent', and their write callbacks in 'callbacks'
+ *
+ * @returns {object} The connection
+ */
+function createFakeSocket() {
+  const ws = {
+    OPEN: 1,
+    readyState: 1,
+    bufferedAmount: 0,
+    terminated: false,
+    sent: [],
+    callbacks: [],
+    send(data, callback) {
+      ws.sent.push(JSON.parse(data));
+      ws.callbacks.push(callback);
+    },
+    terminate() {
+      ws.terminated = true;
+      ws.readyState = 3;
+    }
+  };
+  return ws;
+}
+
+/**
+ * Create send queues with small limits
+ * @param {object} [overrides] - Options to change
+ * @returns {object} The queues
+ */
+function createTestQueues(overrides) {
+  return createSendQueues(Object.assign({
+    highWatermark: 1000,
+    lowWatermark: 100,
+    maxQueueBytes: 10000,
+    slowClientTimeout: 30000
+  }, overrides));
+}
+
+/**
+ * Send a frame through the queues
+ * @param {object} queues - The send queues
+ * @param {object} ws - The connection
+ * @param {object} message - The frame
+ */
+function send(queues, ws, message) {
+  queues.send(ws, message, JSON.stringify(message));
+}
+
+test('frames go out right away below the high watermark', () => {
+  const queues = createTestQueues();
+  const ws = createFakeSocket();
+
+  send(queues, ws, { type: 'chat-message', id: 1 });
+  send(queues, ws, { type: 'typing', room: 'general' });
+
+  assert.deepStrictEqual(ws.sent.map((frame) => frame.type), ['chat-message', 'typing']);
+  assert.strictEqual(queues.getStats().congestedClients, 0);
+  queues.stop();
+});
+
+test('a congested connection queues frames, and gets them in order once it caught up', () => {
+  const queues = createTestQueues();
+  const ws = createFakeSocket();
+
+  send(queues, ws, { type: 'chat-message', id: 1 });
+  ws.bufferedAmount = 2000;
+  send(queues, ws, { type: 'chat-message', id: 2 });
+  send(queues, ws, { type: 'chat-message', id: 3 });
+
+  assert.deepStrictEqual(ws.sent.map((frame) => frame.id), [1]);
+  assert.deepStrictEqual(queues.getStats(), {
+    congestedClients: 1,
+    queuedFrames: 2,
+    queuedBytes: 2 * JSON.stringify({ type: 'chat-message', id: 2 }).length,
+    droppedFrames: 0,
+    mergedFrames: 0,
+    slowDisconnects: 0
+  });
+
+  // Frames that arrive while congested go behind the queue, even if there is room again
+  ws.bufferedAmount = 50;
+  send(queues, ws, { type: 'chat-message', id: 4 });
+  assert.deepStrictEqual(ws.sent.map((frame) => frame.id), [1]);
+
+  // The first frame is out: the queue follows
+  ws.callbacks[0]();
+  assert.deepStrictEqual(ws.sent.map((frame) => frame.id), [1, 2, 3, 4]);
+  assert.strictEqual(queues.getStats().congestedClients, 0);
+
+  send(queues, ws, { type: 'chat-message', id: 5 });
+  assert.deepStrictEqual(ws.sent.map((frame) => frame.id), [1, 2, 3, 4, 5]);
+  queues.stop();
+});
+
+test('the queue is sent only until the connection is congested again', () => {
+  const queues = createTestQueues();
+  const ws = createFakeSocket();
+
+  send(queues, ws, { type: 'chat-message', id: 1 });
+  ws.bufferedAmount = 2000;
+  send(queues, ws, { type: 'chat-message', id: 2 });
+  send(queues, ws, { type: 'chat-message', id: 3 });
+
+  // Sending frame 2 fills the connection up again
+  ws.bufferedAmount = 50;
+  ws.send = (data, callback) => {
+    ws.sent.push(JSON.parse(data));
+    ws.callbacks.push(callback);
+    ws.bufferedAmount = 2000;
+  };
+  ws.callbacks[0]();
+
+  assert.deepStrictEqual(ws.sent.map((frame) => frame.id), [1, 2]);
+  assert.strictEqual(queues.getStats().queuedFrames, 1);
+  queues.stop();
+});
+
+test('while congested, typing is dropped and presence, room lists and read receipts are merged', () => {
+  const queues = createTestQueues();
+  const ws = createFakeSocket();
+
+  send(queues, ws, { type: 'chat-message', id: 1 });
+  ws.bufferedAmount = 2000;
+
+  send(queues, ws, { type: 'typing', room: 'general', username: 'bob' });
+  send(queues, ws, { type: 'presence', room: 'general', updated: [{ username: 'bob', status: 'online' }], removed: [] });
+  send(queues, ws, { type: 'room-list', rooms: ['general'] });
+  send(queues, ws, { type: 'read-receipts', room: 'general', messages: [{ id: 2, seenBy: ['bob'] }] });
+  send(queues, ws, { type: 'presence', room: 'general', updated: [{ username: 'amy', status: 'online' }], removed: ['bob'] });
+  send(queues, ws, { type: 'room-list', rooms: ['general', 'random'] });
+  send(queues, ws, { type: 'read-receipts', room: 'general', messages: [{ id: 1, seenBy: ['amy'] }, { id: 2, seenBy: ['amy', 'bob'] }] });
+
+  const stats = queues.getStats();
+  assert.strictEqual(stats.droppedFrames, 1);
+  assert.strictEqual(stats.mergedFrames, 3);
+  assert.strictEqual(stats.queuedFrames, 3);
+
+  ws.bufferedAmount = 0;
+  ws.callbacks[0]();
+
+  assert.deepStrictEqual(ws.sent.slice(1), [
+    { type: 'presence', room: 'general', updated: [{ username: 'amy', status: 'online' }], removed: ['bob'] },
+    { type: 'room-list', rooms: ['general', 'random'] },
+    { type: 'read-receipts', room: 'general', messages: [{ id: 1, seenBy: ['amy'] }, { id: 2, seenBy: ['amy', 'bob'] }] }
+  ]);
+  queues.stop();
+});
+
+test('a connection whose queue grows too big is disconnected', () => {
+  const queues = createTestQueues({ maxQueueBytes: 100 });
+  const ws = createFakeSocket();
+
+  ws.bufferedAmount = 2000;
+  send(queues, ws, { type: 'chat-message', id: 1, text: 'x'.repeat(50) });
+  assert.strictEqual(ws.terminated, false);
+
+  send(queues, ws, { type: 'chat-message', id: 2, text: 'x'.repeat(50) });
+  assert.strictEqual(ws.terminated, true);
+  assert.strictEqual(queues.getStats().slowDisconnects, 1);
+  assert.strictEqual(queues.getStats().congestedClients, 0);
+  queues.stop();
+});
+
+test('a connection that stays congested too long is disconnected', async () => {
+  const queues = createTestQueues({ slowClientTimeout: 100 });
+  const ws = createFakeSocket();
+
+  ws.bufferedAmount = 2000;
+  send(queues, ws, { type: 'chat-message', id: 1 });
+
+  // Congested connections are checked every second
+  await new Promise((resolve) => setTimeout(resolve, 1100));
+
+  assert.strictEqual(ws.terminated, true);
+  assert.strictEqual(queues.getStats().slowDisconnects, 1);
+  queues.stop();
+});
+
+test('a connection that reads slowly but steadily stays connected', async () => {
+  const queues = createTestQueues({ slowClientTimeout: 1500 });
+  const ws = createFakeSocket();
+
+  send(queues, ws, { type: 'chat-message', id: 1 });
+  ws.bufferedAmount = 2000;
+  for (let id = 2; id <= 8; id++) {
+    send(queues, ws, { type: 'chat-message', id: id });
+  }
+
+  // Each frame sent fills the connection up again
+  ws.send = (data, callback) => {
+    ws.sent.push(JSON.parse(data));
+    ws.callbacks.push(callback);
+    ws.bufferedAmount = 2000;
+  };
+
+  // One queued frame goes out every half second, longer than slowClientTimeout in all
+  for (let round = 0; round < 5; round++) {
+    await new Promise((resolve) => setTimeout(resolve, 500));
+    ws.bufferedAmount = 50;
+    ws.callbacks[ws.callbacks.length - 1]();
+  }
+
+  assert.strictEqual(ws.terminated, false);
+  assert.deepStrictEqual(ws.sent.map((frame) => frame.id), [1, 2, 3, 4, 5, 6]);
+  assert.strictEqual(queues.getStats().queuedFrames, 2);
+  queues.stop();
+});
+
+test('a closed connection is forgotten with its queue', () => {
+  const queues = createTestQueues();
+  const ws = createFakeSocket();
+
+  ws.bufferedAmount = 2000;
+  send(queues, ws, { type: 'chat-message', id: 1 });
+  queues.forget(ws);
+
+  assert.strictEqual(queues.getStats().congestedClients, 0);
+  assert.strictEqual(queues.getStats().queuedFrames, 0);
+  queues.stop();
+});
@@ -0,0 +1,100 @@
+// Tests for lib/protocol.js: checking client frames against their schema,
+// request ids and the protocol version of the hello
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { PROTOCOL_VERSION, validateFrame, getRequestId, negotiateProtocol } = require('../lib/protocol');
+
+// A small set of schemas, shaped like CLIENT_MESSAGE_SCHEMAS in server.js
+const SCHEMAS = {
+  'ping': {},
+  'chat-message': {
+    room: { type: 'string', required: true, pattern: /^[a-z]+$/ },
+    text: { type: 'string', required: true, maxLength: 10, code: 'message-too-long', text: 'Too long' },
+    replyTo: { type: 'integer', min: 1 },
+    attachments: {
+      type: 'array',
+      maxLength: 2,
+      items: { type: 'string', pattern: /^[0-9a-f]{4}$/, code: 'invalid-attachments', text: 'Not an upload id' }
+    }
+  },
+  'set-status': {
+    status: { type: 'string', required: true, oneOf: ['online', 'away'] },
+    silent: { type: 'boolean' }
+  }
+};
+
+test('a frame that fits its schema passes', () => {
+  assert.strictEqual(validateFrame(SCHEMAS, { type: 'ping' }), null);
+  assert.strictEqual(validateFrame(SCHEMAS, { type: 'chat-message', room: 'general', text: 'hi', replyTo: 3 }), null);
+});
+
+test('fields a schema does not list are ignored, and null counts as not sent', () => {
+  assert.strictEqual(validateFrame(SCHEMAS, { type: 'chat-message', room: 'general', text: 'hi', timestamp: 1, replyTo: null }), null);
+});
+
+test('frames that are not objects, or have no known type, are refused', () => {
+  assert.strictEqual(validateFrame(SCHEMAS, 'hello').code, 'invalid-message');
+  assert.strictEqual(validateFrame(SCHEMAS, [{ type: 'ping' }]).code, 'invalid-message');
+  assert.deepStrictEqual(validateFrame(SCHEMAS, {}), { code: 'missing-field', field: 'type', text: '"type" is required' });
+  assert.strictEqual(validateFrame(SCHEMAS, { type: 'fly' }).code, 'unknown-type');
+
+  // Not even keys of Object.prototype
+  assert.strictEqual(validateFrame(SCHEMAS, { type: 'toString' }).code, 'unknown-type');
+});
+
+test('a missing required field is named in the error', () => {
+  assert.deepStrictEqual(validateFrame(SCHEMAS, { type: 'chat-message', text: 'hi' }),
+    { code: 'missing-field', field: 'room', text: '"room" is required' });
+});
+
+test('a value of the wrong type is refused', () => {
+  assert.deepStrictEqual(validateFrame(SCHEMAS, { type: 'chat-message', room: 'general', text: 5 }),
+    { code: 'invalid-field', field: 'text', text: '"text" must be a string' });
+  assert.strictEqual(validateFrame(SCHEMAS, { type: 'chat-message', room: 'general', text: 'hi', replyTo: 1.5 }).field, 'replyTo');
+  assert.strictEqual(validateFrame(SCHEMAS, { type: 'chat-message', room: 'general', text: 'hi', attachments: 'a' }).field, 'attachments');
+  assert.strictEqual(validateFrame(SCHEMAS, { type: 'set-status', status: 'away', silent: 'yes' }).field, 'silent');
+});
+
+test('limits are checked, with the code and text of the rule when it has them', () => {
+  assert.deepStrictEqual(validateFrame(SCHEMAS, { type: 'chat-message', room: 'general', text: 'much too long' }),
+    { code: 'message-too-long', field: 'text', text: 'Too long' });
+  assert.deepStrictEqual(validateFrame(SCHEMAS, { type: 'chat-message', room: 'General', text: 'hi' }),
+    { code: 'invalid-field', field: 'room', text: '"room" is not in the expected format' });
+  assert.deepStrictEqual(validateFrame(SCHEMAS, { type: 'chat-message', room: 'general', text: 'hi', replyTo: 0 }),
+    { code: 'invalid-field', field: 'replyTo', text: '"replyTo" must be at least 1' });
+  assert.deepStrictEqual(validateFrame(SCHEMAS, { type: 'chat-message', room: 'general', text: 'hi', attachments: ['a', 'b', 'c'] }),
+    { code: 'invalid-field', field: 'attachments', text: '"attachments" can have at most 2 items' });
+  assert.deepStrictEqual(validateFrame(SCHEMAS, { type: 'set-status', status: 'busy' }),
+    { code: 'invalid-field', field: 'status', text: '"status" must be one of: online, away' });
+});
+
+test('every item of an array follows the items rule, and errors name the array', () => {
+  assert.strictEqual(validateFrame(SCHEMAS, { type: 'chat-message', room: 'general', text: 'hi', attachments: ['0a1b', 'ffff'] }), null);
+  assert.strictEqual(validateFrame(SCHEMAS, { type: 'chat-message', room: 'general', text: 'hi', attachments: [] }), null);
+
+  assert.deepStrictEqual(validateFrame(SCHEMAS, { type: 'chat-message', room: 'general', text: 'hi', attachments: ['0a1b', 'zzzz'] }),
+    { code: 'invalid-attachments', field: 'attachments', text: 'Not an upload id' });
+  assert.deepStrictEqual(validateFrame(SCHEMAS, { type: 'chat-message', room: 'general', text: 'hi', attachments: [{ id: '0a1b' }] }),
+    { code: 'invalid-field', field: 'attachments', text: '"attachments[0]" must be a string' });
+  assert.deepStrictEqual(validateFrame(SCHEMAS, { type: 'chat-message', room: 'general', text: 'hi', attachments: ['0a1b', null] }),
+    { code: 'missing-field', field: 'attachments', text: '"attachments[1]" is required' });
+});
+
+test('every frame may carry a request id of up to 64 characters', () => {
+  assert.strictEqual(validateFrame(SCHEMAS, { type: 'ping', requestId: 'abc' }), null);
+  assert.strictEqual(validateFrame(SCHEMAS, { type: 'ping', requestId: 'x'.repeat(65) }).field, 'requestId');
+
+  assert.strictEqual(getRequestId({ type: 'ping', requestId: 'abc' }), 'abc');
+  assert.strictEqual(getRequestId({ type: 'ping', requestId: 42 }), undefined);
+  assert.strictEqual(getRequestId({ type: 'ping', requestId: '' }), undefined);
+  assert.strictEqual(getRequestId('not a frame'), undefined);
+});
+
+test('the protocol version of a hello is negotiated', () => {
+  assert.strictEqual(negotiateProtocol(PROTOCOL_VERSION), PROTOCOL_VERSION);
+  assert.strictEqual(negotiateProtocol(undefined), 1);
+  assert.strictEqual(negotiateProtocol(null), 1);
+  assert.strictEqual(negotiateProtocol(99), null);
+});
@@ -0,0 +1,82 @@
+// Tests for lib/rate-limiter.js: token buckets and the flood guards kept per user
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createTokenBucket, createFloodGuard, createFloodGuards } = require('../lib/rate-limiter');
+
+// Small limits: 2 chat frames in a burst, 2 strikes mute for 1 second, 2 mutes disconnect
+const OPTIONS = {
+  limits: { chat: { capacity: 2, refillPerSecond: 1 } },
+  strikeWindow: 10000,
+  muteAfterStrikes: 2,
+  muteDuration: 1000,
+  disconnectAfterMutes: 2,
+  forgetAfter: 50
+};
+
+test('a token bucket allows a burst, then says how long to wait', () => {
+  const bucket = createTokenBucket({ capacity: 2, refillPerSecond: 1 });
+
+  assert.strictEqual(bucket.take(), true);
+  assert.strictEqual(bucket.retryAfter(), 0);
+  assert.strictEqual(bucket.take(), true);
+  assert.strictEqual(bucket.take(), false);
+
+  const retryAfter = bucket.retryAfter();
+  assert.ok(retryAfter > 900 && retryAfter <= 1000, `retryAfter was ${retryAfter}`);
+});
+
+test('a flood guard mutes after too many strikes, and asks for a disconnect after too many mutes', () => {
+  const guard = createFloodGuard(OPTIONS);
+
+  assert.strictEqual(guard.check('chat'), null);
+  assert.strictEqual(guard.check('chat'), null);
+
+  assert.strictEqual(guard.check('chat').code, 'rate-limited');
+  const muted = guard.check('chat');
+  assert.strictEqual(muted.code, 'muted');
+  assert.strictEqual(muted.disconnect, false);
+
+  // Frame kinds without limits are always allowed - unless muted
+  assert.strictEqual(guard.check('muted').code, 'muted');
+  assert.strictEqual(guard.check('other').disconnect, true);
+});
+
+test('flood guards are shared by everything using the same key', () => {
+  const guards = createFloodGuards(OPTIONS);
+
+  assert.strictEqual(guards.check('user:alice', 'chat'), null);
+  assert.strictEqual(guards.check('user:alice', 'chat'), null);
+  assert.strictEqual(guards.check('user:alice', 'chat').code, 'rate-limited');
+
+  // Another user has limits of their own
+  assert.strictEqual(guards.check('user:bob', 'chat'), null);
+});
+
+test('a new key can inherit the guard of an old one, but never replaces its own', () => {
+  const guards = createFloodGuards(OPTIONS);
+
+  guards.check('user:alice', 'chat');
+  guards.check('user:alice', 'chat');
+  guards.check('user:bob', 'chat');
+
+  guards.inherit('user:alice', 'user:alice2');
+  assert.strictEqual(guards.check('user:alice2', 'chat').code, 'rate-limited');
+
+  guards.inherit('user:alice', 'user:bob');
+  assert.strictEqual(guards.check('user:bob', 'chat'), null);
+});
+
+test('sweep() forgets the guards nobody used for a while', async () => {
+  const guards = createFloodGuards(OPTIONS);
+
+  guards.check('ip:203.0.113.7', 'chat');
+  guards.check('ip:203.0.113.7', 'chat');
+  guards.sweep();
+  assert.strictEqual(guards.check('ip:203.0.113.7', 'chat').code, 'rate-limited');
+
+  await new Promise((resolve) => setTimeout(resolve, 100));
+  guards.sweep();
+  assert.strictEqual(guards.check('ip:203.0.113.7', 'chat'), null);
+});
@@ -0,0 +1,107 @@
+// Tests for lib/uploads.js: files are "uploaded" from a stream that stands in
+// for the HTTP request body, into a temporary directory
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+
+const { createUploadStore } = require('../lib/uploads');
+
+// Temporary data directories of the tests, removed when they are done
+const dataDirs = [];
+test.after(() => dataDirs.forEach((dir) => fs.rmSync(dir, { recursive: true, force: true })));
+
+/**
+ * Create an upload store in the given directory (a new temporary one if left out)
+ * @param {string} [dataDir] - Directory of an earlier store, to read its index again
+ * @returns {object} The store, with its directory in 'dataDir'
+ */
+function createTestStore(dataDir) {
+  if (!dataDir) {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chat-uploads-'));
+    dataDirs.push(dataDir);
+  }
+
+  const store = createUploadStore({
+    dataDir: dataDir,
+    maxBytes: 1024,
+    allowedTypes: ['text/plain']
+  });
+  store.load();
+  store.dataDir = dataDir;
+  return store;
+}
+
+/**
+ * Save a small text file
+ * @param {object} store - The upload store
+ * @returns {Promise<object>} The saved upload
+ */
+function saveFile(store) {
+  const req = Readable.from([Buffer.from('hello')]);
+  req.headers = {};
+
+  return new Promise((resolve, reject) => {
+    store.save(req, { name: 'notes.txt', type: 'text/plain', username: 'alice' }, (error, upload) => {
+      return error ? reject(error) : resolve(upload);
+    });
+  });
+}
+
+/**
+ * Wait a while (index lines are appended in the background)
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>}
+ */
+function wait(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+test('an upload remembers the message it is attached to, also after a restart', async () => {
+  const store = createTestStore();
+  const upload = await saveFile(store);
+  assert.strictEqual(store.get(upload.id).attachedTo, undefined);
+
+  store.attach(upload.id, 42);
+  assert.strictEqual(store.get(upload.id).attachedTo, 42);
+  await wait(50);
+
+  const restarted = createTestStore(store.dataDir);
+  assert.strictEqual(restarted.get(upload.id).attachedTo, 42);
+});
+
+test('attaching is shared with the other server processes', async () => {
+  const shared = [];
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chat-uploads-'));
+  dataDirs.push(dataDir);
+
+  const store = createUploadStore({
+    dataDir: dataDir,
+    maxBytes: 1024,
+    allowedTypes: ['text/plain'],
+    onSave: (upload) => shared.push(Object.assign({}, upload))
+  });
+  store.load();
+
+  const upload = await saveFile(store);
+  store.attach(upload.id, 7);
+
+  assert.strictEqual(shared.length, 2);
+  assert.strictEqual(shared[1].attachedTo, 7);
+});
+
+test('removing an upload deletes its file, also after a restart', async () => {
+  const store = createTestStore();
+  const upload = await saveFile(store);
+  store.attach(upload.id, 1);
+
+  store.remove(upload.id);
+  assert.strictEqual(store.get(upload.id), undefined);
+  await wait(50);
+
+  assert.strictEqual(fs.existsSync(store.getFilePath(upload.id)), false);
+  assert.strictEqual(createTestStore(store.dataDir).get(upload.id), undefined);
+});
@@ -0,0 +1,167 @@
+// Tests for lib/webhooks.js: outgoing deliveries are sent to a receiver on
+// this machine, which answers with the status codes each test asks for
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+
+const { createWebhooks, signPayload } = require('../lib/webhooks');
+
+/**
+ * Start a webhook receiver that answers with the given status codes, in order
+ * (the last one is repeated), and remembers every request it got
+ *
+ * @param {Array<number>} statuses - The status codes to answer with
+ * @returns {Promise<object>} { url, requests: [{ headers, body }], close() }
+ */
+function startReceiver(statuses) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body: body });
+      res.writeHead(statuses[Math.min(requests.length, statuses.length) - 1]);
+      res.end();
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}/hook`,
+        requests: requests,
+        close: () => new Promise((done) => server.close(done))
+      });
+    });
+  });
+}
+
+// Temporary data directories of the tests, removed when they are done
+const dataDirs = [];
+test.after(() => dataDirs.forEach((dir) => fs.rmSync(dir, { recursive: true, force: true })));
+
+/**
+ * Create a webhook store in a new temporary directory, with short retry delays
+ * @returns {object} The store
+ */
+function createTestWebhooks() {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chat-webhooks-'));
+  dataDirs.push(dataDir);
+
+  const webhooks = createWebhooks({
+    dataDir: dataDir,
+    timeout: 1000,
+    maxAttempts: 3,
+    retryDelay: 20
+  });
+  webhooks.load();
+  return webhooks;
+}
+
+/**
+ * Wait a while
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>}
+ */
+function wait(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+test('deliveries are signed with the webhook secret', async () => {
+  const receiver = await startReceiver([200]);
+  const webhooks = createTestWebhooks();
+  const hook = webhooks.addOutgoing({ url: receiver.url, room: null, by: 'admin' });
+
+  webhooks.deliver('chat-message', { room: 'general', text: 'hello' });
+  await wait(100);
+
+  assert.strictEqual(receiver.requests.length, 1);
+  const { headers, body } = receiver.requests[0];
+  assert.deepStrictEqual(JSON.parse(body), { event: 'chat-message', data: { room: 'general', text: 'hello' } });
+  assert.strictEqual(headers['x-webhook-event'], 'chat-message');
+
+  // What a receiver does: HMAC-SHA256 of "<timestamp>.<body>" with the secret
+  const expected = 'sha256=' + crypto.createHmac('sha256', hook.secret)
+    .update(`${headers['x-webhook-timestamp']}.${body}`)
+    .digest('hex');
+  assert.strictEqual(headers['x-webhook-signature'], expected);
+  assert.strictEqual(signPayload(hook.secret, headers['x-webhook-timestamp'], body), expected);
+
+  webhooks.stop();
+  await receiver.close();
+});
+
+test('only webhooks of the message room get it', async () => {
+  const receiver = await startReceiver([200]);
+  const webhooks = createTestWebhooks();
+  webhooks.addOutgoing({ url: receiver.url, room: 'random', by: 'admin' });
+
+  webhooks.deliver('chat-message', { room: 'general', text: 'hello' });
+  webhooks.deliver('chat-message', { room: 'random', text: 'hi' });
+  await wait(100);
+
+  assert.deepStrictEqual(receiver.requests.map((request) => JSON.parse(request.body).data.room), ['random']);
+
+  webhooks.stop();
+  await receiver.close();
+});
+
+test('a 5xx answer is retried with the same delivery id', async () => {
+  const receiver = await startReceiver([500, 503, 200]);
+  const webhooks = createTestWebhooks();
+  webhooks.addOutgoing({ url: receiver.url, room: null, by: 'admin' });
+
+  webhooks.deliver('chat-message', { room: 'general', text: 'hello' });
+  await wait(300);
+
+  // Tried 3 times (20ms, then 40ms apart), and not again after the 200
+  assert.strictEqual(receiver.requests.length, 3);
+  const ids = new Set(receiver.requests.map((request) => request.headers['x-webhook-delivery']));
+  assert.strictEqual(ids.size, 1);
+
+  webhooks.stop();
+  await receiver.close();
+});
+
+test('deliveries are given up after maxAttempts tries', async () => {
+  const receiver = await startReceiver([500]);
+  const webhooks = createTestWebhooks();
+  webhooks.addOutgoing({ url: receiver.url, room: null, by: 'admin' });
+
+  webhooks.deliver('chat-message', { room: 'general', text: 'hello' });
+  await wait(300);
+
+  assert.strictEqual(receiver.requests.length, 3);
+
+  webhooks.stop();
+  await receiver.close();
+});
+
+test('a 4xx answer is not retried', async () => {
+  const receiver = await startReceiver([400]);
+  const webhooks = createTestWebhooks();
+  webhooks.addOutgoing({ url: receiver.url, room: null, by: 'admin' });
+
+  webhooks.deliver('chat-message', { room: 'general', text: 'hello' });
+  await wait(300);
+
+  assert.strictEqual(receiver.requests.length, 1);
+
+  webhooks.stop();
+  await receiver.close();
+});
+
+test('incoming webhooks are found by their token only', () => {
+  const webhooks = createTestWebhooks();
+  const { hook, token } = webhooks.addIncoming({ name: 'ci-bot', room: 'general', by: 'admin' });
+
+  assert.strictEqual(webhooks.findIncoming(token).id, hook.id);
+  assert.strictEqual(webhooks.findIncoming('not-the-token'), null);
+  assert.strictEqual(webhooks.findIncoming(''), null);
+});